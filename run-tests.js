@@ -1,19 +1,115 @@
 /**
  * Headless Test Runner for California Climate Farmer
  *
- * Usage: node run-tests.js [testId1] [testId2] ...
- *   - If no arguments are provided, runs all defined tests.
+ * Usage: node run-tests.js [testId1] [testId2] ... [--seed=N]
+ *   - If no test IDs are provided, runs all defined tests.
  *   - Example: node run-tests.js monoculture tech-focus
+ *   - --seed=N replays runs with a fixed RNG seed (printed in the summary table).
+ *   - --save-dir=PATH writes each test's final game state to PATH as a JSON save file.
+ *   - --runs=N runs each strategy N times with distinct seeds and prints distribution statistics.
+ *   - --metrics-dir=PATH exports a per-day time series (CSV and JSON) of each test to PATH.
+ *   - --metrics-interval=N samples metrics every N days instead of daily.
+ *   - --region=ID runs every test on a regional preset (central_valley, central_coast, imperial_valley).
+ *   - --content-pack=PATH loads a JSON content pack (crops, technologies, event templates) before the tests; repeatable.
+ *   - --grid=ROWSxCOLS sets the farm size (default 10x10).
+ *   - --layout=ID starts every test on a farm layout preset (open, homestead, creekside) with roads, buildings or a creek.
  */
 
 // Need to adjust the import path based on running from the root directory
 import { TestHarness } from './scripts/test/test-harness.js';
+import { regions } from './scripts/regions.js';
+import { loadContentPackFile } from './scripts/content-packs.js';
+import { farmLayouts, MAX_GRID_SIZE } from './scripts/land.js';
 
 console.log("Starting Headless Test Runner...");
 
 async function run() {
-    const harness = new TestHarness();
-    const args = process.argv.slice(2); // Get command line arguments (test IDs)
+    const rawArgs = process.argv.slice(2); // Get command line arguments (test IDs and flags)
+    const seedArg = rawArgs.find(arg => arg.startsWith('--seed='));
+    const saveDirArg = rawArgs.find(arg => arg.startsWith('--save-dir='));
+    const runsArg = rawArgs.find(arg => arg.startsWith('--runs='));
+    const metricsDirArg = rawArgs.find(arg => arg.startsWith('--metrics-dir='));
+    const metricsIntervalArg = rawArgs.find(arg => arg.startsWith('--metrics-interval='));
+    const regionArg = rawArgs.find(arg => arg.startsWith('--region='));
+    const contentPackArgs = rawArgs.filter(arg => arg.startsWith('--content-pack='));
+    const gridArg = rawArgs.find(arg => arg.startsWith('--grid='));
+    const layoutArg = rawArgs.find(arg => arg.startsWith('--layout='));
+    const args = rawArgs.filter(arg => !arg.startsWith('--'));
+
+    let seed = null;
+    if (seedArg) {
+        seed = Number(seedArg.split('=')[1]);
+        if (!Number.isInteger(seed) || seed < 0) {
+            console.error(`Invalid seed "${seedArg}". Expected a non-negative integer.`);
+            process.exit(1);
+        }
+        console.log(`Using fixed seed: ${seed}`);
+    }
+
+    let runs = 1;
+    if (runsArg) {
+        runs = Number(runsArg.split('=')[1]);
+        if (!Number.isInteger(runs) || runs < 1) {
+            console.error(`Invalid run count "${runsArg}". Expected a positive integer.`);
+            process.exit(1);
+        }
+        console.log(`Batch mode: ${runs} runs per strategy`);
+    }
+
+    let metricsInterval = 1;
+    if (metricsIntervalArg) {
+        metricsInterval = Number(metricsIntervalArg.split('=')[1]);
+        if (!Number.isInteger(metricsInterval) || metricsInterval < 1) {
+            console.error(`Invalid metrics interval "${metricsIntervalArg}". Expected a positive integer.`);
+            process.exit(1);
+        }
+    }
+
+    // Packs are loaded first so a pack crop can be listed in a region
+    for (const packArg of contentPackArgs) {
+        const result = await loadContentPackFile(packArg.split('=')[1]);
+        if (!result.success) {
+            console.error(`Content pack "${result.name}" could not be loaded:`);
+            result.errors.forEach(error => console.error(`  - ${error}`));
+            process.exit(1);
+        }
+        console.log(`Loaded content pack "${result.name}": ${result.added.length} added (${result.added.join(', ') || 'none'}), ${result.replaced.length} replaced (${result.replaced.join(', ') || 'none'})`);
+    }
+
+    let region;
+    if (regionArg) {
+        region = regionArg.split('=')[1];
+        if (!regions.some(r => r.id === region)) {
+            console.error(`Unknown region "${region}". Expected one of: ${regions.map(r => r.id).join(', ')}.`);
+            process.exit(1);
+        }
+        console.log(`Using region: ${region}`);
+    }
+
+    let gridRows, gridCols;
+    if (gridArg) {
+        const match = gridArg.split('=')[1].match(/^(\d+)x(\d+)$/);
+        [gridRows, gridCols] = match ? [Number(match[1]), Number(match[2])] : [];
+        if (!match || [gridRows, gridCols].some(n => n < 1 || n > MAX_GRID_SIZE)) {
+            console.error(`Invalid farm size "${gridArg}". Expected ROWSxCOLS, each 1-${MAX_GRID_SIZE}.`);
+            process.exit(1);
+        }
+        console.log(`Using farm size: ${gridRows} x ${gridCols}`);
+    }
+
+    let layout;
+    if (layoutArg) {
+        layout = layoutArg.split('=')[1];
+        if (!farmLayouts.some(l => l.id === layout)) {
+            console.error(`Unknown farm layout "${layout}". Expected one of: ${farmLayouts.map(l => l.id).join(', ')}.`);
+            process.exit(1);
+        }
+        console.log(`Using farm layout: ${layout}`);
+    }
+
+    const saveDir = saveDirArg ? saveDirArg.split('=')[1] : null;
+    const metricsDir = metricsDirArg ? metricsDirArg.split('=')[1] : null;
+    const harness = new TestHarness({ seed, saveDir, runs, metricsDir, metricsInterval, region, gridRows, gridCols, layout });
 
     if (args.length > 0) {
         console.log("Running specified tests:", args);
@@ -0,0 +1,105 @@
+/**
+ * California Climate Farmer - Groundwater Aquifer
+ *
+ * Tracks the depth to the water table under the farm. Irrigation pumps groundwater
+ * (drawing the table down and making each pump cycle more expensive), while rain,
+ * seasonal precipitation and slow lateral inflow recharge it. An SGMA-style annual
+ * pumping cap limits how much can be extracted, and tightens when the basin is overdrafted.
+ */
+
+// Depths are feet below the surface. Regions can override the initial and equilibrium
+// depths and the pumping cap (see regions.js water).
+const INITIAL_DEPTH = 120;
+const EQUILIBRIUM_DEPTH = 130;     // Depth the table drifts back to with no pumping: below the starting depth,
+                                   // since neighbors' pumping keeps drawing the basin down
+const MIN_DEPTH = 60;              // Near-saturated basin - recharge can't raise it further
+const MAX_PUMPABLE_DEPTH = 450;    // Wells run dry below this
+const REFERENCE_DEPTH = 120;       // Depth at which pumping costs exactly the base irrigation cost
+
+const DRAWDOWN_PER_UNIT = 0.01;    // Feet of drawdown per irrigation pumped
+const DAILY_INFLOW_RATE = 0.002;   // Fraction of (depth - equilibrium) closed per day by lateral flow
+const RAIN_RECHARGE_FACTOR = 0.03; // Feet of recharge per point of rain water increase
+const SEASON_RECHARGE_FACTOR = 0.1; // Feet of recharge per point of seasonal reserve recovery
+
+// SGMA-style regulation: irrigations allowed per year, cut when the basin is critically overdrafted
+const BASE_ANNUAL_PUMPING_CAP = 6000;
+const OVERDRAFT_DEPTH = 250;
+const OVERDRAFT_CAP_FACTOR = 0.5;
+
+export class Aquifer {
+    constructor(options = {}) {
+        this.depth = options.aquiferDepth ?? INITIAL_DEPTH;
+        this.equilibriumDepth = options.aquiferEquilibriumDepth ?? EQUILIBRIUM_DEPTH;
+        this.baseAnnualCap = options.pumpingCap ?? BASE_ANNUAL_PUMPING_CAP;
+        this.pumpedThisYear = 0;
+        this.annualCap = this.baseAnnualCap;
+        this.overdrafted = false;
+    }
+
+    // Multiplier applied to the base irrigation cost (deeper water = more lift energy)
+    getPumpCostMultiplier() {
+        return this.depth / REFERENCE_DEPTH;
+    }
+
+    // Returns { allowed, reason } for pumping `units` irrigations today
+    canPump(units = 1) {
+        if (this.depth >= MAX_PUMPABLE_DEPTH) return { allowed: false, reason: 'Wells have run dry' };
+        if (this.pumpedThisYear + units > this.annualCap) return { allowed: false, reason: 'Annual groundwater pumping cap reached' };
+        return { allowed: true };
+    }
+
+    pump(units = 1) {
+        this.pumpedThisYear += units;
+        this.depth = Math.min(MAX_PUMPABLE_DEPTH, this.depth + units * DRAWDOWN_PER_UNIT);
+    }
+
+    // Raise the water table by `feet`
+    recharge(feet) {
+        if (feet <= 0) return;
+        this.depth = Math.max(MIN_DEPTH, this.depth - feet);
+    }
+
+    rechargeFromRain(waterIncrease) {
+        this.recharge(waterIncrease * RAIN_RECHARGE_FACTOR);
+    }
+
+    rechargeFromSeason(recovery) {
+        this.recharge(recovery * SEASON_RECHARGE_FACTOR);
+    }
+
+    // Daily lateral flow pulls the table back toward equilibrium (inflow when drawn down, drainage when mounded)
+    update() {
+        this.depth -= (this.depth - this.equilibriumDepth) * DAILY_INFLOW_RATE;
+    }
+
+    // Reset the pumping allowance; returns a message if the regulatory status changed
+    startNewYear() {
+        this.pumpedThisYear = 0;
+        const wasOverdrafted = this.overdrafted;
+        this.overdrafted = this.depth >= OVERDRAFT_DEPTH;
+        this.annualCap = Math.round(this.baseAnnualCap * (this.overdrafted ? OVERDRAFT_CAP_FACTOR : 1));
+
+        if (this.overdrafted && !wasOverdrafted) {
+            return `Groundwater basin critically overdrafted (water table ${Math.round(this.depth)} ft). Pumping cap cut to ${this.annualCap} irrigations/year.`;
+        }
+        if (!this.overdrafted && wasOverdrafted) {
+            return `Groundwater levels recovered. Pumping cap restored to ${this.annualCap} irrigations/year.`;
+        }
+        return null;
+    }
+
+    serialize() {
+        return {
+            depth: this.depth, equilibriumDepth: this.equilibriumDepth, baseAnnualCap: this.baseAnnualCap,
+            pumpedThisYear: this.pumpedThisYear, annualCap: this.annualCap, overdrafted: this.overdrafted
+        };
+    }
+
+    static deserialize(data = {}) {
+        const aquifer = new Aquifer();
+        Object.keys(aquifer.serialize()).forEach(key => {
+            if (data[key] !== undefined) aquifer[key] = data[key];
+        });
+        return aquifer;
+    }
+}
@@ -5,7 +5,11 @@
  * Each cell tracks its crop, growth state, environmental conditions, and crop history.
  */
 
-import { crops, getCropById } from './crops.js';
+import { crops, getCropById, getPerennialAgeFactor, GROWTH_STAGES, getGrowthStageIndex } from './crops.js';
+import { WATER_POINTS_PER_INCH } from './weather.js';
+import { getPestsForCrop, infestCell } from './pests.js';
+import { DEFAULT_ERODIBILITY } from './erosion.js';
+import { getLandUseById } from './land.js';
 
 // Define constants for empty plot soil dynamics
 // ADJUSTMENT: Increase degradation, decrease regen significantly
@@ -13,9 +17,77 @@ const EMPTY_PLOT_SOIL_DEGRADATION_DRY = 0.025; // Was 0.015 - Faster degradation
 const EMPTY_PLOT_SOIL_DEGRADATION_WET = 0.012; // Was 0.008 - More erosion when wet
 const EMPTY_PLOT_SOIL_REGEN_BASE = 0.003; // Was 0.008 - Much lower passive regen
 
+// Soil nutrient pools (lbs/acre). A crop's fertilizerNeed is its nitrogen demand per growth
+// cycle; P and K demand are fixed fractions of it (roughly corn's N:P2O5:K2O removal ratio).
+export const NUTRIENTS = ['N', 'P', 'K'];
+const INITIAL_NUTRIENTS = { N: 60, P: 30, K: 90 };
+const MAX_NUTRIENTS = { N: 250, P: 120, K: 300 };
+const NUTRIENT_DEMAND_RATIO = { N: 1.0, P: 0.2, K: 0.3 };
+const N_MINERALIZATION_PER_OM = 25 / 360;               // ~25 lb N/ac/yr released per 1% organic matter
+const DAILY_WEATHERING = { P: 0.02, K: 0.05 };           // Slow mineral release of P and K
+const LEACH_RATE = { N: 1.0, P: 0.0, K: 0.2 };           // Relative mobility in heavy rain (nitrate leaches, P binds)
+const LUSH_NITROGEN_LEVEL = 150;                         // Excess N makes soft growth that attracts pests
+
+// Soil organic matter (% of soil mass), first-order model from TDD.md: dOM/dt = inputs - k * OM (per year)
+const INITIAL_ORGANIC_MATTER = 2.0;
+const MIN_ORGANIC_MATTER = 0.2;
+const MAX_ORGANIC_MATTER = 8.0;
+const OM_DECAY_RATE = 0.03;            // k per year in a warm climate
+const OM_TILLAGE_DECAY_MULTIPLIER = 1.5; // Plowing exposes OM to oxidation
+const OM_INPUT_CROP_RESIDUE = 0.04;    // %/yr returned by residues while a crop is growing
+const OM_INPUT_NO_TILL = 0.02;         // %/yr extra residue retained on the surface
+const OM_INPUT_SILVOPASTURE = 0.02;    // %/yr from tree litter and roots
+const OM_EROSION_LOSS = 0.01;          // OM lost per point of soil damage (topsoil is the OM-rich layer)
+// Each +1% OM holds roughly 20,000 gal/acre more water: capacity 100 at 2% OM, +/-20 per 1%
+const WATER_CAPACITY_BASE = 60;
+const WATER_CAPACITY_PER_OM = 20;
+
+// Cover crops and managed fallow (see coverCrops in crops.js)
+const COVER_SOIL_REGEN = 0.02;          // Daily soil health gain under a growing cover
+const FALLOW_SOIL_REGEN = 0.008;        // Daily soil health gain under managed fallow
+const COVER_BASE_PEST_DECAY = 0.1;      // Daily pest decline with no host crop present
+const COVER_INCORPORATION_OM = 0.05;    // OM % added when a fully grown cover is worked into the soil
+
+// Daily temperature effects on growth (weather from weather.js). Development follows growing
+// degree days above the crop's gddBase; extreme heat also stresses the plant.
+const GDD_UPPER_CUTOFF_F = 86;          // Development doesn't speed up above this (standard corn cutoff)
+const HEAT_STRESS_THRESHOLD_F = 95;     // Highs above this slow growth, scaled by the crop's heatSensitivity
+const HEAT_STRESS_PER_DEGREE = 0.02;
+const MAX_HEAT_STRESS = 0.7;
+
+// FAO-33 yield response to water: 1 - Y/Ymax = Ky * (1 - ETa/ETm) for each growth stage,
+// with the stage results multiplied together for the season
+const WATER_STRESS_THRESHOLD = 0.3;     // Crops transpire freely until soil water falls below this share of capacity
+const DROUGHT_RESISTANT_KY_FACTOR = 0.6; // Drought-resistant varieties lose less yield per unit of ET deficit
+
+// Floods (applyFloodEvent in events.js) leave plots waterlogged: saturated soil starves roots of oxygen
+const WATERLOG_GROWTH_FACTOR = 0.2;     // Share of normal growth while waterlogged
+const WATERLOG_YIELD_LOSS_PER_DAY = 2;  // Expected yield points lost per waterlogged day
+
+// Wildfire smoke (today's weather.smokeShading) blocks sunlight, and fruit that has started ripening
+// absorbs smoke compounds in proportion to the crop's smokeTaintSensitivity (wine grapes)
+const SMOKE_TAINT_PROGRESS = 60;        // Fruit absorbs smoke from veraison (ripening stage) on
+const SMOKE_TAINT_PER_DAY = 0.08;       // Taint per smoky day at full shading
+const MAX_SMOKE_TAINT = 0.8;            // Taint never wipes out the whole crop's value (bulk wine, juice)
+
+// Neighboring plots (spatial.js): sediment washed in from upslope builds this plot's soil
+const SEDIMENT_SOIL_GAIN = 0.5;         // Soil health points per point of sediment caught (some is subsoil)
+
+// Pest and disease treatment (outbreaks themselves are run by updatePests in pests.js)
+const TREATMENT_PRESSURE_DROP = 15;     // A spray also knocks down the background pest population
+
+// Perennial orchards and vineyards (see perennial fields in crops.js)
+const DORMANT_WATER_USE_FACTOR = 0.3;   // Dormant trees still transpire a little
+const PERENNIAL_SOIL_FACTOR = 0.25;     // Untilled orchard floors degrade far slower than tilled fields
+const PERENNIAL_HARVEST_SOIL_FACTOR = 0.5; // Shaking/picking disturbs less soil than harvesting an annual
+const DORMANT_SOIL_REGEN = 0.02;        // Orchard floor vegetation rebuilds soil between seasons
+const CHILL_SHORTFALL_SENSITIVITY = 1.6; // Yield lost per unit of missing chill (30% short = ~50% crop)
+const MIN_CHILL_FACTOR = 0.2;
+
 // Cell class definition
 export class Cell {
-    constructor() {
+    // `soil` optionally sets the starting soilHealth, organicMatter, nutrients and erodibility (see regions.js)
+    constructor(soil = {}) {
         // *** CHANGE: Explicitly get 'empty' crop by ID ***
         this.crop = getCropById('empty');
         if (!this.crop || this.crop.id !== 'empty') {
@@ -24,27 +96,123 @@ export class Cell {
              this.crop = { id: 'empty', name: 'Error Init', color: '#ff0000' }; // Default to an error state if needed
         }
 
-        this.waterLevel = 80; // %
-        this.soilHealth = 85; // %
+        this.landUse = 'farmland'; // Roads, buildings and creeks are never farmed (see land.js)
+        this.tenure = 'owned'; // 'owned' or 'leased' (rent is paid each year)
+        this.waterAccess = 'district'; // 'district' (carries surface-water rights) or 'groundwater' (wells only), see land-market.js
+        this.waterLevel = 80; // Stored soil water; 100 = full for a soil at 2% OM (see getWaterCapacity)
+        this.soilHealth = soil.soilHealth ?? 85; // %
+        this.organicMatter = soil.organicMatter ?? INITIAL_ORGANIC_MATTER; // % of soil mass
         this.growthProgress = 0; // %
+        this.gddAccumulated = 0; // Effective growing degree days since planting (or since spring for perennials), see addGrowth
         this.daysSincePlanting = 0;
-        this.fertilized = false;
+        this.nutrients = { ...INITIAL_NUTRIENTS, ...soil.nutrients }; // lbs/acre
+        // Topography and water erosion (USLE, see erosion.js)
+        this.slope = 1; // % gradient down the farm (set from the region's terrain when the grid is built)
+        this.erodibility = soil.erodibility ?? DEFAULT_ERODIBILITY; // USLE K factor
+        this.contour = false; // Planted on the contour across the slope
+        this.erosionThisYear = 0; // Soil lost this year (tons/acre)
+        this.erosionLastYear = 0;
+        this.nutrientSufficiency = 1; // Running average of the limiting nutrient factor over the current crop
         this.irrigated = false;
         this.harvestReady = false;
         this.expectedYield = 0; // %
+        this.stageET = newStageET(); // Potential (etm) and actual (eta) crop water use per growth stage this season
+        this.waterYieldFactor = 1; // Share of yield left after this season's water stress so far
+        this.waterloggedDays = 0; // Days of standing water left after a flood
+        this.smokeTaint = 0; // Share of this season's crop value lost to smoke taint
+        this.pollinationBonus = 0; // Extra yield share from pollinator habitat next door at bloom
+        this.fertilizersApplied = []; // Fertilizer IDs applied this growth cycle (each product once per cycle)
+
+        // Perennials only: years since planting, dormancy between harvest and bloom, and last winter's chill
+        this.plantAge = 0;
+        this.dormant = false;
+        this.chillFactor = 1;
+        this.lastChillHours = null;
 
         this.cropHistory = [];
         this.consecutivePlantings = 0;
         this.pestPressure = 5; // % Start with a tiny base
+        this.infestation = null; // Active pest or disease outbreak: { pestId, severity, daysInfested, detected }
+        this.pestProtectionDays = 0; // Days left before a spray wears off
+    }
+
+    // Plain-object snapshot for save files (crop stored by ID)
+    serialize() {
+        return {
+            cropId: this.crop.id,
+            landUse: this.landUse,
+            tenure: this.tenure,
+            waterAccess: this.waterAccess,
+            waterLevel: this.waterLevel,
+            soilHealth: this.soilHealth,
+            organicMatter: this.organicMatter,
+            growthProgress: this.growthProgress,
+            gddAccumulated: this.gddAccumulated,
+            daysSincePlanting: this.daysSincePlanting,
+            nutrients: { ...this.nutrients },
+            slope: this.slope,
+            erodibility: this.erodibility,
+            contour: this.contour,
+            erosionThisYear: this.erosionThisYear,
+            erosionLastYear: this.erosionLastYear,
+            nutrientSufficiency: this.nutrientSufficiency,
+            irrigated: this.irrigated,
+            harvestReady: this.harvestReady,
+            expectedYield: this.expectedYield,
+            stageET: this.stageET.map(stage => ({ ...stage })),
+            waterYieldFactor: this.waterYieldFactor,
+            waterloggedDays: this.waterloggedDays,
+            smokeTaint: this.smokeTaint,
+            pollinationBonus: this.pollinationBonus,
+            fertilizersApplied: [...this.fertilizersApplied],
+            plantAge: this.plantAge,
+            dormant: this.dormant,
+            chillFactor: this.chillFactor,
+            lastChillHours: this.lastChillHours,
+            cropHistory: this.cropHistory.map(entry => ({ ...entry })),
+            consecutivePlantings: this.consecutivePlantings,
+            pestPressure: this.pestPressure,
+            infestation: this.infestation ? { ...this.infestation } : null,
+            pestProtectionDays: this.pestProtectionDays
+        };
+    }
+
+    // Rebuild a cell from serialize() output; missing fields keep constructor defaults
+    static deserialize(data = {}) {
+        const cell = new Cell();
+        cell.crop = getCropById(data.cropId || 'empty');
+        const fields = ['landUse', 'tenure', 'waterAccess', 'waterLevel', 'soilHealth', 'organicMatter', 'growthProgress', 'gddAccumulated', 'daysSincePlanting', 'slope', 'erodibility', 'contour', 'erosionThisYear', 'erosionLastYear', 'nutrientSufficiency', 'irrigated',
+            'harvestReady', 'expectedYield', 'waterYieldFactor', 'waterloggedDays', 'smokeTaint', 'pollinationBonus', 'plantAge', 'dormant', 'chillFactor', 'lastChillHours', 'consecutivePlantings', 'pestPressure', 'pestProtectionDays'];
+        fields.forEach(field => {
+            if (data[field] !== undefined) cell[field] = data[field];
+        });
+        if (data.nutrients) cell.nutrients = { ...cell.nutrients, ...data.nutrients };
+        if (data.infestation) cell.infestation = { ...data.infestation };
+        if (Array.isArray(data.fertilizersApplied)) cell.fertilizersApplied = [...data.fertilizersApplied];
+        if (Array.isArray(data.stageET) && data.stageET.length === GROWTH_STAGES.length) {
+            cell.stageET = data.stageET.map(stage => ({ etm: stage.etm || 0, eta: stage.eta || 0 }));
+        }
+        if (Array.isArray(data.cropHistory)) cell.cropHistory = data.cropHistory.map(entry => ({ ...entry }));
+        return cell;
+    }
+
+    // Farmland can be planted; roads, buildings and creeks can't
+    isFarmable() {
+        return getLandUseById(this.landUse).farmable;
     }
 
     // Plant a new crop
     plant(newCropData) { // Expect full crop data object
-        if (!newCropData || newCropData.id === 'empty') return false;
+        if (!newCropData || newCropData.id === 'empty' || !this.isFarmable()) return false;
 
         const previousCropId = this.crop.id;
 
         // Remember previous crop if not empty
+        // Terminating a cover crop works its biomass into the soil
+        if (this.crop.isCoverCrop) {
+            this.addOrganicMatter(COVER_INCORPORATION_OM * (this.growthProgress / 100));
+        }
+
         if (previousCropId !== 'empty') {
             this.cropHistory.push({
                 id: previousCropId,
@@ -71,17 +239,26 @@ export class Cell {
         // Set new crop and reset state
         this.crop = newCropData;
         this.growthProgress = 0;
+        this.gddAccumulated = 0;
         this.daysSincePlanting = 0;
-        this.fertilized = false;
         this.irrigated = false;
         this.harvestReady = false;
+        this.nutrientSufficiency = this.getNutrientFactor();
+        this.resetSeasonWater();
+        this.smokeTaint = 0;
+        this.pollinationBonus = 0;
+        this.fertilizersApplied = [];
+        this.plantAge = 0;
+        this.dormant = false;
+        this.chillFactor = 1;
+        this.lastChillHours = null;
 
         // Base yield expectation starts at 100%
         // ADJUSTMENT: Slightly soften initial penalties
         const monocropPenalty = this.consecutivePlantings * 4; // Was 5% per planting
         const pestPenalty = this.pestPressure / 2.5; // Was / 2 (max 32% penalty instead of 40%)
 
-        this.expectedYield = Math.max(30, 100 - monocropPenalty - pestPenalty); // Floor at 30%
+        this.expectedYield = newCropData.isCoverCrop ? 0 : Math.max(30, 100 - monocropPenalty - pestPenalty); // Floor at 30%
 
         return true;
     }
@@ -93,32 +270,173 @@ export class Cell {
         // Assume irrigation adds a fixed amount, modified by efficiency tech?
         // Or maybe it just tops up to a certain level? Let's use fixed amount.
         const irrigationAmount = 30 * waterEfficiency; // Base amount added
-        this.waterLevel = Math.min(100, this.waterLevel + irrigationAmount);
+        this.addWater(irrigationAmount);
         return true;
     }
 
-    // Apply fertilizer
-    fertilize(fertilizerEfficiency = 1.0) {
-        if (this.crop.id === 'empty' || this.fertilized) return false;
-        this.fertilized = true; // Mark as fertilized for this growth cycle
+    // --- Soil Water & Organic Matter ---
+
+    // Maximum water the soil can hold; organic matter acts as a sponge
+    getWaterCapacity() {
+        return Math.max(50, Math.min(140, WATER_CAPACITY_BASE + WATER_CAPACITY_PER_OM * this.organicMatter));
+    }
+
+    // Share of applied water that soaks in rather than running off (crusted, low-OM soil sheds water)
+    getInfiltrationFactor() {
+        return Math.max(0.5, Math.min(1.0, 0.6 + 0.2 * this.organicMatter));
+    }
+
+    // Multiplier on water loss: degraded soil dries faster, rich soil holds moisture longer
+    getDryingFactor() {
+        const mulchFactor = this.crop.isCoverCrop ? this.crop.dryingFactor : 1;
+        return Math.max(0.8, Math.min(1.3, 1.4 - 0.2 * this.organicMatter)) * mulchFactor;
+    }
+
+    // Returns the water that didn't soak in (runoff)
+    addWater(amount) {
+        const before = this.waterLevel;
+        this.waterLevel = Math.min(this.getWaterCapacity(), this.waterLevel + amount * this.getInfiltrationFactor());
+        return Math.max(0, amount - (this.waterLevel - before));
+    }
+
+    // Topsoil carried in by runoff from upslope (soil health points)
+    depositSediment(amount) {
+        this.soilHealth = Math.min(100, this.soilHealth + amount * SEDIMENT_SOIL_GAIN);
+        this.addOrganicMatter(amount * OM_EROSION_LOSS);
+    }
 
-        // Effectiveness depends on soil health
-        const soilFactor = 0.5 + (this.soilHealth / 200); // 50% effective at 0 soil, 100% at 100
+    // Daily step of dOM = inputs - k * OM; practices change both the inputs and the decay rate
+    updateOrganicMatter(techs) {
+        const noTill = techs && techs.includes('no_till_farming');
+        let inputs = 0;
+        if (this.crop.isCoverCrop) {
+            inputs += this.crop.organicMatterInput;
+        } else if (this.crop.id !== 'empty') {
+            inputs += OM_INPUT_CROP_RESIDUE;
+            if (noTill) inputs += OM_INPUT_NO_TILL;
+        }
+        if (techs && techs.includes('silvopasture')) inputs += OM_INPUT_SILVOPASTURE;
+        // Covered and fallow plots aren't tilled, so they decay at the untilled rate
+        const untilled = noTill || this.crop.isCoverCrop;
+        const decayRate = OM_DECAY_RATE * (untilled ? 1 : OM_TILLAGE_DECAY_MULTIPLIER);
+        const annualChange = inputs - decayRate * this.organicMatter;
+        this.organicMatter = Math.max(MIN_ORGANIC_MATTER, Math.min(MAX_ORGANIC_MATTER, this.organicMatter + annualChange / 360));
+    }
 
-        // Improves soil health slightly
-        const soilBoost = 10 * fertilizerEfficiency * soilFactor; // Reduced boost? Was 15
-        this.soilHealth = Math.min(100, this.soilHealth + soilBoost);
+    addOrganicMatter(amount) {
+        this.organicMatter = Math.max(MIN_ORGANIC_MATTER, Math.min(MAX_ORGANIC_MATTER, this.organicMatter + amount));
+    }
 
-        // Boosts expected yield, impacted by soil and pests
-        const yieldBoost = 15 * fertilizerEfficiency * soilFactor * (1 - (this.pestPressure / 150)); // Reduced boost? Was 20
-        this.expectedYield = Math.min(150, this.expectedYield + yieldBoost); // Cap yield boost
+    // Whether `fertilizerId` has already gone on this growth cycle
+    hasFertilizer(fertilizerId) {
+        return this.fertilizersApplied.includes(fertilizerId);
+    }
 
+    // Apply fertilizer (an entry from fertilizers.js), adding to the soil nutrient pools.
+    // Each product can be applied once per growth cycle.
+    fertilize(fertilizer, fertilizerEfficiency = 1.0) {
+        if (this.crop.id === 'empty' || !fertilizer || this.hasFertilizer(fertilizer.id)) return false;
+        this.fertilizersApplied.push(fertilizer.id);
+
+        // Retention depends on soil health: degraded soil holds less of what is applied
+        const soilFactor = 0.5 + (this.soilHealth / 200); // 50% retained at 0 soil, 100% at 100
+        NUTRIENTS.forEach(nutrient => {
+            const added = (fertilizer.nutrients[nutrient] || 0) * fertilizerEfficiency * soilFactor;
+            this.nutrients[nutrient] = Math.min(MAX_NUTRIENTS[nutrient], this.nutrients[nutrient] + added);
+        });
+        if (fertilizer.soilHealthBoost) {
+            this.soilHealth = Math.min(100, this.soilHealth + fertilizer.soilHealthBoost * soilFactor);
+        }
+        if (fertilizer.organicMatter) this.addOrganicMatter(fertilizer.organicMatter);
         return true;
     }
 
+    // Scouting walks the plot and finds any outbreak, however early. Returns the infestation (or null).
+    scout() {
+        if (this.infestation) this.infestation.detected = true;
+        return this.infestation;
+    }
+
+    // Spray an insecticide or fungicide: cuts the outbreak by `efficacy` (0-1) and blocks
+    // new infestations for `protectionDays`
+    treatPests(efficacy, protectionDays) {
+        if (this.infestation) {
+            this.infestation.severity *= 1 - Math.max(0, Math.min(1, efficacy));
+            if (this.infestation.severity < 1) this.infestation = null;
+        }
+        this.pestProtectionDays = Math.max(this.pestProtectionDays, protectionDays);
+        this.pestPressure = Math.max(0, this.pestPressure - TREATMENT_PRESSURE_DROP);
+    }
+
+    // Nutrient still required by the current crop to finish its cycle (lbs/acre)
+    getRemainingNutrientDemand(nutrient) {
+        if (this.crop.id === 'empty') return 0;
+        const cycleDemand = (this.crop.fertilizerNeed || 0) * NUTRIENT_DEMAND_RATIO[nutrient];
+        return cycleDemand * (1 - this.growthProgress / 100);
+    }
+
+    // Supply/demand ratio (0-1) of the scarcest nutrient for the current crop (Liebig's law of the minimum)
+    getNutrientFactor() {
+        return Math.min(...NUTRIENTS.map(nutrient => this.getNutrientFactorFor(nutrient)));
+    }
+
+    getNutrientFactorFor(nutrient) {
+        const demand = this.getRemainingNutrientDemand(nutrient);
+        return demand <= 0 ? 1 : Math.min(1, this.nutrients[nutrient] / demand);
+    }
+
+    // The nutrient currently limiting growth, or null when all are sufficient
+    getLimitingNutrient() {
+        let limiting = null, lowest = 1;
+        NUTRIENTS.forEach(nutrient => {
+            const factor = this.getNutrientFactorFor(nutrient);
+            if (factor < lowest) { lowest = factor; limiting = nutrient; }
+        });
+        return limiting;
+    }
+
+    // Heavy rain washes mobile nutrients out of the root zone; `fraction` is the share of N lost
+    leachNutrients(fraction) {
+        NUTRIENTS.forEach(nutrient => {
+            this.nutrients[nutrient] = Math.max(0, this.nutrients[nutrient] * (1 - fraction * LEACH_RATE[nutrient]));
+        });
+    }
+
+    // Background nutrient supply: N mineralized from organic matter, P and K from weathering
+    replenishNutrients() {
+        const nutrients = this.nutrients;
+        nutrients.N = Math.min(MAX_NUTRIENTS.N, nutrients.N + N_MINERALIZATION_PER_OM * this.organicMatter);
+        nutrients.P = Math.min(MAX_NUTRIENTS.P, nutrients.P + DAILY_WEATHERING.P);
+        nutrients.K = Math.min(MAX_NUTRIENTS.K, nutrients.K + DAILY_WEATHERING.K);
+    }
+
+    // Crop uptake proportional to today's growth (N_uptake in the TDD nitrogen budget)
+    takeUpNutrients(growthRate) {
+        NUTRIENTS.forEach(nutrient => {
+            const demand = (this.crop.fertilizerNeed || 0) * NUTRIENT_DEMAND_RATIO[nutrient] * (growthRate / 100);
+            this.nutrients[nutrient] = Math.max(0, this.nutrients[nutrient] - demand);
+        });
+    }
+
     // Update cell for daily changes
-    update(waterReserve, techs) {
+    // `random` is the game's seeded RNG; defaults to Math.random for standalone use
+    // `neighborEffects` is what the plot gets from its neighbors (getCellNeighborEffects in spatial.js)
+    update(waterReserve, techs, random = Math.random, weather = null, neighborEffects = null) {
+        if (!this.isFarmable()) return;
+        const shelter = neighborEffects?.windbreak || 0;
         this.irrigated = false; // Reset daily flag
+        const waterlogged = this.waterloggedDays > 0;
+        if (waterlogged) {
+            this.waterloggedDays--;
+            this.waterLevel = Math.max(this.waterLevel, this.getWaterCapacity());
+        }
+        this.replenishNutrients();
+        this.updateOrganicMatter(techs);
+
+        if (this.crop.isCoverCrop) {
+            this.updateCoverCrop(waterReserve, techs, weather, shelter);
+            return;
+        }
 
         // --- Handle Empty Plot Soil Dynamics ---
         if (this.crop.id === 'empty') {
@@ -133,7 +451,8 @@ export class Cell {
 
             // Degradation factors (apply multiplier)
             if (waterReserve < 35 || this.waterLevel < 25) { // Dry conditions threshold slightly lower
-                 soilChange -= (EMPTY_PLOT_SOIL_DEGRADATION_DRY * degradationMultiplier);
+                 // Dry bare soil blows away; a windbreak next door shelters it
+                 soilChange -= (EMPTY_PLOT_SOIL_DEGRADATION_DRY * degradationMultiplier * (1 - shelter));
             }
              // Apply wet degradation if very wet (e.g., after heavy rain event)
              // Maybe check waterLevel > 98? For simplicity, check high waterReserve too
@@ -145,19 +464,39 @@ export class Cell {
             soilChange = Math.min(0.01, soilChange); // Cap positive change
 
             this.soilHealth = Math.max(10, Math.min(100, this.soilHealth + soilChange)); // Apply change, clamp 10-100
-            this.waterLevel = Math.max(0, this.waterLevel - 0.1); // Slower passive water loss
+            this.waterLevel = Math.max(0, this.waterLevel - 0.1 * this.getDryingFactor()); // Slower passive water loss
             this.pestPressure = Math.max(0, this.pestPressure - 0.1); // Slow pest decay
 
             return; // Stop update for empty plot
         }
 
+        if (this.dormant) {
+            this.updateDormantPerennial(techs, weather);
+            return;
+        }
+
         // --- Handle Plot with Crop --- (Keep logic from previous balancing pass)
         this.daysSincePlanting++;
-        const growthRate = this.calculateGrowthRate(waterReserve, techs);
-        this.growthProgress += growthRate;
-        this.growthProgress = Math.min(100, this.growthProgress);
+        // Nutrient sufficiency is sampled before uptake so it reflects what the crop had available today
+        const nutrientFactor = this.getNutrientFactor();
+        if (!this.harvestReady) {
+            this.nutrientSufficiency += (nutrientFactor - this.nutrientSufficiency) / this.daysSincePlanting;
+        }
+        let growthRate = this.calculateGrowthRate(waterReserve, techs, weather, shelter);
+        if (waterlogged && !this.harvestReady) {
+            growthRate *= WATERLOG_GROWTH_FACTOR;
+            this.expectedYield = Math.max(0, this.expectedYield - WATERLOG_YIELD_LOSS_PER_DAY);
+        }
+        this.applySmokeExposure(weather);
+        this.applyPollination(neighborEffects);
+        this.takeUpNutrients(growthRate);
+        this.addGrowth(growthRate);
 
         if (!this.harvestReady && this.growthProgress >= 100) {
+            if (this.crop.perennial && getPerennialAgeFactor(this.crop, this.plantAge) === 0) {
+                this.dormant = true; // Young trees finish the season's growth without setting a crop
+                return;
+            }
             this.harvestReady = true;
         }
 
@@ -165,27 +504,29 @@ export class Cell {
             this.expectedYield = Math.max(0, this.expectedYield - 0.1); // Slight decay if not harvested
         }
 
-        // Water consumption
-        const baseWaterUsePerDay = this.crop.waterUse || 1.0; // Ensure valid number
+        // Water consumption: the crop draws its full demand (ETm) from moist soil, but only
+        // ETa = Ks * ETm once the soil dries out. The shortfall is tallied by growth stage for the yield response.
+        const baseWaterUsePerDay = this.getCropWaterDemand(weather) || 1.0; // Ensure valid number
         let waterEfficiencyFactor = 1.0;
         if (techs && techs.includes('drip_irrigation')) waterEfficiencyFactor *= 0.8;
         if (techs && techs.includes('ai_irrigation')) waterEfficiencyFactor *= 0.9;
         if (techs && techs.includes('drought_resistant')) waterEfficiencyFactor *= 0.95;
-        const actualWaterUse = Math.max(0.1, baseWaterUsePerDay * waterEfficiencyFactor); // Ensure minimum use
+        const potentialWaterUse = Math.max(0.1, baseWaterUsePerDay * waterEfficiencyFactor * this.getDryingFactor()); // Ensure minimum use
+        const actualWaterUse = Math.min(this.waterLevel, potentialWaterUse * this.getWaterStressCoefficient());
         this.waterLevel = Math.max(0, this.waterLevel - actualWaterUse);
 
-        // Water stress
-        if (this.waterLevel < 30 && !this.harvestReady) {
-            const stressPenalty = 0.8 * (1 - (this.waterLevel / 30));
-            let droughtResistanceFactor = 1.0;
-            if (techs && techs.includes('drought_resistant')) droughtResistanceFactor = 0.6;
-            this.expectedYield = Math.max(10, this.expectedYield - (stressPenalty * droughtResistanceFactor));
+        if (!this.harvestReady) {
+            const stage = this.stageET[getGrowthStageIndex(this.growthProgress)];
+            stage.etm += potentialWaterUse;
+            stage.eta += actualWaterUse;
+            this.waterYieldFactor = this.getWaterYieldFactor(techs);
         }
 
         // Soil degradation from farming
         let soilDegradation = 0.08;
         if (this.consecutivePlantings > 0) soilDegradation *= (1 + (this.consecutivePlantings * 0.25));
         if (this.pestPressure > 50) soilDegradation *= 1.15;
+        if (this.crop.perennial) soilDegradation *= PERENNIAL_SOIL_FACTOR;
         if (techs && techs.includes('no_till_farming')) soilDegradation *= 0.4;
         else soilDegradation *= 1.1; // Slightly higher degradation without no-till
 
@@ -197,22 +538,191 @@ export class Cell {
         this.soilHealth = Math.max(10, Math.min(100, this.soilHealth - soilDegradation + soilRegen));
 
         // Pest pressure dynamics
-        if (this.soilHealth < 40 && Math.random() < 0.015) this.pestPressure = Math.min(80, this.pestPressure + 1.5);
-        if (this.pestPressure > 0 && this.pestPressure < 30 && !this.fertilized) this.pestPressure = Math.max(0, this.pestPressure - 0.05);
+        if (this.soilHealth < 40 && random() < 0.015) this.pestPressure = Math.min(80, this.pestPressure + 1.5);
+        if (this.pestPressure > 0 && this.pestPressure < 30 && this.nutrients.N < LUSH_NITROGEN_LEVEL) this.pestPressure = Math.max(0, this.pestPressure - 0.05);
 
         if (this.harvestReady) return 'harvest-ready';
     }
 
+    // Daily update for cover crops and managed fallow: no yield, but soil, nitrogen and pest benefits
+    updateCoverCrop(waterReserve, techs, weather = null, shelter = 0) {
+        this.daysSincePlanting++;
+        const isFallow = this.crop.category === 'fallow';
+
+        if (!isFallow) {
+            const growthRate = this.calculateGrowthRate(waterReserve, techs, weather, shelter);
+            this.addGrowth(growthRate);
+            // Legumes fix nitrogen as they grow (N_fixation in the TDD nitrogen budget)
+            if (this.crop.nFixation > 0) {
+                this.nutrients.N = Math.min(MAX_NUTRIENTS.N, this.nutrients.N + this.crop.nFixation * (growthRate / 100));
+            }
+        }
+
+        const waterUse = isFallow ? 0.1 : this.getCropWaterDemand(weather);
+        this.waterLevel = Math.max(0, this.waterLevel - waterUse * this.getDryingFactor());
+
+        const soilRegen = isFallow ? FALLOW_SOIL_REGEN : COVER_SOIL_REGEN * (0.5 + this.growthProgress / 200);
+        this.soilHealth = Math.min(100, this.soilHealth + soilRegen);
+        this.pestPressure = Math.max(0, this.pestPressure - COVER_BASE_PEST_DECAY - this.crop.pestSuppression);
+    }
+
+    // Daily update for an orchard between harvest (or end of an establishment season) and next bloom
+    updateDormantPerennial(techs, weather = null) {
+        this.daysSincePlanting++;
+        let waterEfficiencyFactor = 1.0;
+        if (techs && techs.includes('drip_irrigation')) waterEfficiencyFactor *= 0.8;
+        this.waterLevel = Math.max(0, this.waterLevel - this.getCropWaterDemand(weather) * DORMANT_WATER_USE_FACTOR * waterEfficiencyFactor * this.getDryingFactor());
+        this.soilHealth = Math.min(100, this.soilHealth + DORMANT_SOIL_REGEN);
+        this.pestPressure = Math.max(0, this.pestPressure - 0.05);
+    }
+
+    // Called at the new year (after winter). Perennials age a year, break dormancy, and set this
+    // season's crop potential from winter chill. Returns null for non-perennials.
+    startNewYear(chillHours) {
+        if (!this.crop.perennial) return null;
+        const lostCrop = this.harvestReady; // Fruit left on the trees past the harvest window is lost
+
+        this.plantAge++;
+        this.dormant = false;
+        this.harvestReady = false;
+        this.growthProgress = 0;
+        this.gddAccumulated = 0;
+        this.daysSincePlanting = 0;
+        this.nutrientSufficiency = this.getNutrientFactor();
+        this.resetSeasonWater();
+        this.smokeTaint = 0;
+        this.pollinationBonus = 0;
+        this.fertilizersApplied = [];
+
+        this.lastChillHours = chillHours;
+        const chillRatio = chillHours / this.crop.chillHoursRequired;
+        this.chillFactor = chillRatio >= 1 ? 1 : Math.max(MIN_CHILL_FACTOR, 1 - CHILL_SHORTFALL_SENSITIVITY * (1 - chillRatio));
+        this.expectedYield = Math.max(30, 100 - this.pestPressure / 2.5) * this.chillFactor;
+
+        return { lostCrop, bearing: getPerennialAgeFactor(this.crop, this.plantAge) > 0 };
+    }
+
+    // Yield multiplier from the orchard's age (1 for annuals)
+    getAgeFactor() {
+        return getPerennialAgeFactor(this.crop, this.plantAge);
+    }
+
+    // Pull out the current crop (e.g. an old orchard) and return the plot to empty
+    clear() {
+        if (this.crop.id === 'empty') return false;
+        this.cropHistory.push({ id: this.crop.id, duration: this.daysSincePlanting, age: this.plantAge });
+        if (this.cropHistory.length > 10) this.cropHistory.shift();
+        this.crop = getCropById('empty');
+        this.growthProgress = 0;
+        this.gddAccumulated = 0;
+        this.daysSincePlanting = 0;
+        this.nutrientSufficiency = 1;
+        this.harvestReady = false;
+        this.expectedYield = 0;
+        this.resetSeasonWater();
+        this.smokeTaint = 0;
+        this.pollinationBonus = 0;
+        this.fertilizersApplied = [];
+        this.plantAge = 0;
+        this.dormant = false;
+        this.chillFactor = 1;
+        this.lastChillHours = null;
+        this.consecutivePlantings = 0;
+        return true;
+    }
+
+    // Nitrogen fixed so far by the current legume cover (lbs/acre)
+    getFixedNitrogen() {
+        return this.crop.isCoverCrop ? (this.crop.nFixation || 0) * (this.growthProgress / 100) : 0;
+    }
+
+    // Crop water use in water units per day: Kc * ET0 when today's weather is known,
+    // otherwise the crop's typical daily use
+    getCropWaterDemand(weather) {
+        if (weather && this.crop.kc !== undefined) return this.crop.kc * weather.et0 * WATER_POINTS_PER_INCH;
+        return this.crop.waterUse;
+    }
+
+    // Growing degree days (F) for today's weather, modified method: highs capped at 86F and
+    // lows raised to the crop's base so a cold night doesn't cancel a warm afternoon
+    getDailyGDD(weather) {
+        if (!weather || !this.crop.gddToMaturity) return 0;
+        const base = this.crop.gddBase;
+        const high = Math.max(base, Math.min(weather.tmax, GDD_UPPER_CUTOFF_F));
+        const low = Math.max(base, Math.min(weather.tmin, GDD_UPPER_CUTOFF_F));
+        return (high + low) / 2 - base;
+    }
+
+    // Advance the crop by `growth` (% of its cycle). Crops with a degree-day requirement count their
+    // development in effective degree days: today's GDD, slowed by the same water, soil, nutrient, pest,
+    // heat and smoke stress as calculateGrowthRate. They mature once gddAccumulated reaches
+    // gddToMaturity, and growthProgress is the share of it reached so far.
+    addGrowth(growth) {
+        const gddToMaturity = this.crop.gddToMaturity;
+        if (!(gddToMaturity > 0)) {
+            this.growthProgress = Math.min(100, this.growthProgress + growth);
+            return;
+        }
+        this.gddAccumulated = Math.min(gddToMaturity, this.gddAccumulated + growth * gddToMaturity / 100);
+        this.growthProgress = this.gddAccumulated >= gddToMaturity ? 100 : 100 * this.gddAccumulated / gddToMaturity;
+    }
+
+    // Water stress coefficient Ks (FAO-56): 1 while soil water is above the stress threshold,
+    // falling linearly to 0 as the soil dries out completely
+    getWaterStressCoefficient() {
+        const threshold = this.getWaterCapacity() * WATER_STRESS_THRESHOLD;
+        return Math.min(1, this.waterLevel / threshold);
+    }
+
+    // Yield multiplier from this season's water stress: each stage loses Ky * (1 - ETa/ETm)
+    getWaterYieldFactor(techs) {
+        const kyFactor = (techs && techs.includes('drought_resistant')) ? DROUGHT_RESISTANT_KY_FACTOR : 1;
+        return this.stageET.reduce((factor, stage, i) => {
+            if (stage.etm <= 0) return factor;
+            const ky = (this.crop.kyStages ? this.crop.kyStages[i] : this.crop.ky) || 0;
+            return factor * Math.max(0, 1 - ky * kyFactor * (1 - stage.eta / stage.etm));
+        }, 1);
+    }
+
+    resetSeasonWater() {
+        this.stageET = newStageET();
+        this.waterYieldFactor = 1;
+    }
+
+    // Ripening fruit of smoke-sensitive crops picks up taint on smoky days
+    applySmokeExposure(weather) {
+        if (!weather?.smokeShading || !this.crop.smokeTaintSensitivity || this.growthProgress < SMOKE_TAINT_PROGRESS) return;
+        const taint = SMOKE_TAINT_PER_DAY * (weather.smokeShading / 0.5) * this.crop.smokeTaintSensitivity;
+        this.smokeTaint = Math.min(MAX_SMOKE_TAINT, this.smokeTaint + taint);
+    }
+
+    // Bees from pollinator habitat next door raise the set of pollinator-dependent crops at bloom
+    applyPollination(neighborEffects) {
+        if (!neighborEffects?.pollination || !this.crop.pollinatorDependence || this.harvestReady) return;
+        if (GROWTH_STAGES[getGrowthStageIndex(this.growthProgress)].id !== 'flowering') return;
+        this.pollinationBonus = Math.max(this.pollinationBonus, neighborEffects.pollination * this.crop.pollinatorDependence);
+    }
+
+    // Growth multiplier for heat stress on days above 95F; `shelter` is the share a windbreak next door prevents
+    getHeatStressFactor(weather, shelter = 0) {
+        if (!weather || weather.tmax <= HEAT_STRESS_THRESHOLD_F) return 1;
+        const stress = (weather.tmax - HEAT_STRESS_THRESHOLD_F) * HEAT_STRESS_PER_DEGREE * (this.crop.heatSensitivity || 1) * (1 - shelter);
+        return 1 - Math.min(MAX_HEAT_STRESS, stress);
+    }
+
     // Calculate growth rate based on conditions
-    calculateGrowthRate(waterReserve, techs) {
+    calculateGrowthRate(waterReserve, techs, weather = null, shelter = 0) {
         if (this.crop.id === 'empty' || this.harvestReady) return 0; // No growth if empty or ready
 
-        // Base growth rate based on crop growth time
-        const baseRate = (this.crop.growthTime > 0) ? (100 / this.crop.growthTime) : 0;
+        // Base development rate: today's share of the crop's degree days to maturity, so crops race
+        // through warm weather and stall in the cold. Without weather, fall back to a fixed growth time.
+        let baseRate;
+        if (weather && this.crop.gddToMaturity > 0) baseRate = 100 * this.getDailyGDD(weather) / this.crop.gddToMaturity;
+        else baseRate = (this.crop.growthTime > 0) ? (100 / this.crop.growthTime) : 0;
         if (baseRate <= 0) return 0;
 
         // Water factors
-        const cellWaterFactor = this.waterLevel / 100;
+        const cellWaterFactor = Math.min(1, this.waterLevel / 100); // Extra capacity buffers stress but doesn't speed growth
         const farmWaterFactor = waterReserve / 100;
         let combinedWaterFactor = cellWaterFactor * 0.8 + farmWaterFactor * 0.2; // Cell level more important
         let waterMultiplier = Math.pow(Math.max(0, combinedWaterFactor), this.crop.waterSensitivity || 1.0); // Ensure base isn't negative
@@ -224,14 +734,19 @@ export class Cell {
         if (techs && techs.includes('soil_sensors')) { soilMultiplier *= 1.05; } // Small boost
          if (techs && techs.includes('no_till_farming')) { soilMultiplier *= 1.03; } // Tiny boost from no-till structure
 
-        // Fertilizer factor
-        const fertilizerMultiplier = this.fertilized ? 1.2 : 1.0; // Keep boost significant
+        // Nutrient factor: limited by the scarcest of N, P and K (1.2 when fully supplied, 0.7 when depleted)
+        const fertilizerMultiplier = 0.7 + 0.5 * this.getNutrientFactor();
 
         // Pest pressure reduces growth rate
         const pestMultiplier = 1 - (this.pestPressure / 250); // Reduced impact (was / 200)
 
+        const temperatureMultiplier = this.getHeatStressFactor(weather, shelter);
+
+        // Wildfire smoke blocks sunlight, cutting photosynthesis
+        const smokeMultiplier = 1 - (weather?.smokeShading || 0);
+
         // Calculate final growth rate, ensuring it's not negative
-        const finalRate = baseRate * waterMultiplier * soilMultiplier * fertilizerMultiplier * pestMultiplier;
+        const finalRate = baseRate * waterMultiplier * soilMultiplier * fertilizerMultiplier * pestMultiplier * temperatureMultiplier * smokeMultiplier;
 
         return Math.max(0, finalRate); // Growth rate cannot be negative
     }
@@ -241,21 +756,26 @@ export class Cell {
         if (this.crop.id === 'empty') return { value: 0, cropName: 'Nothing', yieldPercentage: 0 };
         if (!this.harvestReady) return { value: 0, cropName: this.crop.name, yieldPercentage: 0 };
 
-        // Start with the expected yield calculated during growth
-        let finalYieldPercentage = this.expectedYield;
+        // Start with the expected yield calculated during growth, cut by the season's water stress and
+        // limited by nutrient supply (a well-fed crop gains up to 15%, a starved one loses up to 45%)
+        const nutrientYieldFactor = 0.55 + 0.6 * this.nutrientSufficiency;
+        let finalYieldPercentage = this.expectedYield * this.waterYieldFactor * nutrientYieldFactor * this.getAgeFactor() * (1 + this.pollinationBonus);
 
         // Clamp yield percentage (0% to 150%)
         finalYieldPercentage = Math.max(0, Math.min(150, finalYieldPercentage));
 
         // Calculate final harvest value
+        // Smoke-tainted fruit sells at a discount (or only for bulk wine)
         const baseValue = this.crop.harvestValue || 0;
-        const harvestValue = Math.round(baseValue * (finalYieldPercentage / 100) * marketPriceFactor);
+        const harvestValue = Math.round(baseValue * (finalYieldPercentage / 100) * marketPriceFactor * (1 - this.smokeTaint));
 
         // Prepare result object (using the current this.crop before reset)
         const result = {
             cropName: this.crop.name,
             value: harvestValue,
-            yieldPercentage: Math.round(finalYieldPercentage)
+            yieldPercentage: Math.round(finalYieldPercentage),
+            smokeTaint: this.smokeTaint,
+            pollinationBonus: this.pollinationBonus
         };
 
         // --- Apply Post-Harvest Soil Impact ---
@@ -264,20 +784,33 @@ export class Cell {
         const harvestedCrop = getCropById(harvestedCropId); // Use getter
         const cropSoilImpact = harvestedCrop?.soilImpact || 0;
         const monocropFactor = 1 + (this.consecutivePlantings * 0.15);
-        const harvestImpact = (4 + Math.abs(cropSoilImpact)) * monocropFactor;
+        const perennialFactor = this.crop.perennial ? PERENNIAL_HARVEST_SOIL_FACTOR : 1;
+        const harvestImpact = (4 + Math.abs(cropSoilImpact)) * monocropFactor * perennialFactor;
 
         // Apply impact to soil health
         this.soilHealth = Math.max(10, this.soilHealth - harvestImpact);
 
+        // Orchards and vineyards stay in the ground and rest until next season's bloom
+        if (this.crop.perennial) {
+            this.growthProgress = 0;
+            this.harvestReady = false;
+            this.irrigated = false;
+            this.dormant = true;
+            return result;
+        }
+
         // --- Reset Cell State ---
         // *** REMOVED DUPLICATE DECLARATIONS HERE ***
         this.crop = getCropById('empty'); // Reset crop to empty
         this.growthProgress = 0;
         this.daysSincePlanting = 0;
-        this.fertilized = false;
+        this.nutrientSufficiency = 1;
         this.irrigated = false; // Reset daily flag too
         this.harvestReady = false;
         this.expectedYield = 0;
+        this.smokeTaint = 0;
+        this.pollinationBonus = 0;
+        this.fertilizersApplied = [];
         // Keep consecutivePlantings, pestPressure, cropHistory
 
         return result; // Return the calculated harvestData object
@@ -291,14 +824,16 @@ export class Cell {
 
         switch (effect) {
             case 'water-increase':
-                // Protection shouldn't reduce benefits of rain
-                this.waterLevel = Math.min(100, this.waterLevel + magnitude);
+                // Protection shouldn't reduce benefits of rain; runoff depends on infiltration
+                this.addWater(magnitude);
                 break;
             case 'water-decrease':
-                this.waterLevel = Math.max(0, this.waterLevel - effectiveMagnitude);
+                // Evaporative losses are faster from low-OM soil
+                this.waterLevel = Math.max(0, this.waterLevel - effectiveMagnitude * this.getDryingFactor());
                 break;
             case 'soil-damage':
                 this.soilHealth = Math.max(10, this.soilHealth - effectiveMagnitude);
+                this.addOrganicMatter(-effectiveMagnitude * OM_EROSION_LOSS);
                 break;
             case 'soil-improve':
                 // Protection shouldn't reduce benefits
@@ -313,17 +848,38 @@ export class Cell {
             case 'growth-boost':
                 if (this.crop.id !== 'empty' && !this.harvestReady) {
                     // Protection shouldn't reduce benefits
-                    this.growthProgress = Math.min(100, this.growthProgress + magnitude);
+                    this.addGrowth(magnitude);
                 }
                 break;
-            case 'pest-increase':
-                 // Protection reduces the increase
+            case 'pest-increase': {
+                 // Protection reduces the increase. It also worsens an outbreak, or starts one on a host crop.
                  this.pestPressure = Math.min(80, this.pestPressure + effectiveMagnitude);
+                 const pest = getPestsForCrop(this.crop.id)[0];
+                 if (this.infestation) this.infestation.severity = Math.min(100, this.infestation.severity + effectiveMagnitude);
+                 else if (pest && effectiveMagnitude > 0 && this.pestProtectionDays <= 0) infestCell(this, pest, effectiveMagnitude);
+                break;
+            }
+            case 'nutrient-leach':
+                 // Magnitude is the fraction of nitrogen washed out; protection reduces it
+                 this.leachNutrients(Math.min(1, effectiveMagnitude));
+                break;
+            case 'waterlog':
+                // Magnitude is days of standing water; protection (drainage) shortens it
+                this.waterloggedDays = Math.max(this.waterloggedDays, Math.round(effectiveMagnitude));
+                if (this.waterloggedDays > 0) this.waterLevel = Math.max(this.waterLevel, this.getWaterCapacity());
                 break;
             case 'pest-decrease': // E.g., beneficial insects event
                 // Protection shouldn't reduce benefits
                 this.pestPressure = Math.max(0, this.pestPressure - magnitude);
+                if (this.infestation) {
+                    this.infestation.severity -= magnitude;
+                    if (this.infestation.severity <= 0) this.infestation = null;
+                }
                 break;
         }
     }
 } // End of Cell Class
+
+function newStageET() {
+    return GROWTH_STAGES.map(() => ({ etm: 0, eta: 0 }));
+}
@@ -0,0 +1,330 @@
+/**
+ * California Climate Farmer - Content Packs
+ *
+ * Loads crops, cover crops, technologies and event templates from JSON so new content
+ * (a crop like sorghum, a new technology, a policy event) can be added without editing
+ * the JS definition files. A pack is one JSON object:
+ *
+ *   { "name": "...", "crops": [...], "coverCrops": [...], "technologies": [...], "eventTemplates": [...] }
+ *
+ * Every entry is checked against CONTENT_SCHEMAS. An entry whose id matches a built-in is
+ * merged over it, so a pack can change a single field (e.g. almond basePrice); a new id must
+ * supply every required field. A pack with any error is rejected as a whole.
+ *
+ * Packs change the shared definition arrays (crops, coverCrops, technologies, eventTemplates)
+ * and region crop lists, so load them before creating a game. Saves only store crop and tech
+ * IDs: load the same packs before loading a save that uses their content.
+ */
+
+import { crops, coverCrops, GROWTH_STAGES } from './crops.js';
+import { technologies } from './technology.js';
+import { eventTemplates, EVENT_CATEGORIES, CELL_EFFECTS } from './events.js';
+import { regions } from './regions.js';
+
+// Technology effects the game reads through getTechEffectValue. The built-in techs list others
+// (cropHealth, erosionReduction, ...) for their descriptions, but those benefits are tied to the
+// tech's id, so a pack tech claiming them would do nothing.
+const TECH_EFFECTS = [
+    'waterEfficiency', 'fertilizerEfficiency', 'pestResistance', 'pestControlEfficiency', 'energyCostFactor', 'floodProtection'
+];
+
+// Modifier targets an event template can change (see game.addModifier); marketPrice:<cropId> is also allowed
+const MODIFIER_TARGETS = ['irrigationCost', 'plantingCostFactor', 'fertilizeCost', 'treatmentCost', 'contourCost', 'dailyOverheadCost'];
+
+const SEASONS = ['Spring', 'Summer', 'Fall', 'Winter'];
+
+// Field specs: type is one of id, string, color, number, boolean, effect (number or boolean),
+// enum, array, object, map.
+// Numbers take min/max (and integer); arrays take items (and length); objects take fields;
+// maps take keys (allowed key names) and values.
+const SHARED_CROP_FIELDS = {
+    id: { type: 'id', required: true },
+    name: { type: 'string', required: true },
+    color: { type: 'color', required: true },
+    waterUse: { type: 'number', min: 0, max: 10, required: true },
+    kc: { type: 'number', min: 0, max: 2, required: true },
+    growthTime: { type: 'number', min: 0, max: 400, required: true },
+    gddBase: { type: 'number', min: 0, max: 70 },
+    gddToMaturity: { type: 'number', min: 1, max: 6000 },
+    harvestValue: { type: 'number', min: 0, required: true },
+    basePrice: { type: 'number', min: 0, required: true },
+    soilImpact: { type: 'number', min: -10, max: 10, required: true },
+    fertilizerNeed: { type: 'number', min: 0, max: 300, required: true },
+    waterSensitivity: { type: 'number', min: 0, max: 3, required: true },
+    heatSensitivity: { type: 'number', min: 0, max: 3, required: true }
+};
+
+export const CONTENT_SCHEMAS = {
+    crops: {
+        target: crops,
+        fields: {
+            ...SHARED_CROP_FIELDS,
+            gddBase: { ...SHARED_CROP_FIELDS.gddBase, required: true },
+            gddToMaturity: { ...SHARED_CROP_FIELDS.gddToMaturity, required: true },
+            ky: { type: 'number', min: 0, max: 2, required: true },
+            kyStages: { type: 'array', length: GROWTH_STAGES.length, items: { type: 'number', min: 0, max: 2 }, required: true },
+            perennial: { type: 'boolean' },
+            establishmentYears: { type: 'number', min: 0, max: 20, integer: true },
+            matureAge: { type: 'number', min: 1, max: 40, integer: true },
+            declineAge: { type: 'number', min: 1, max: 100, integer: true },
+            declineRate: { type: 'number', min: 0, max: 1 },
+            removalCost: { type: 'number', min: 0 },
+            chillHoursRequired: { type: 'number', min: 0, max: 2000 },
+            smokeTaintSensitivity: { type: 'number', min: 0, max: 3 },
+            pollinatorDependence: { type: 'number', min: 0, max: 1 },
+            regions: { type: 'array', items: { type: 'id' } } // Regions where the crop can be planted (added to their crop lists)
+        },
+        // Perennials need their age curve (see getPerennialAgeFactor)
+        requiredIf: [{ when: 'perennial', fields: ['establishmentYears', 'matureAge', 'declineAge', 'declineRate', 'removalCost', 'chillHoursRequired'] }]
+    },
+    coverCrops: {
+        target: coverCrops,
+        fields: {
+            ...SHARED_CROP_FIELDS,
+            category: { type: 'enum', values: ['cover', 'fallow', 'habitat'], required: true },
+            isCoverCrop: { type: 'boolean', required: true },
+            nFixation: { type: 'number', min: 0, max: 300, required: true },
+            organicMatterInput: { type: 'number', min: 0, max: 1, required: true },
+            erosionProtection: { type: 'number', min: 0, max: 1, required: true },
+            leachingReduction: { type: 'number', min: 0, max: 1, required: true },
+            pestSuppression: { type: 'number', min: 0, max: 1, required: true },
+            dryingFactor: { type: 'number', min: 0, max: 2, required: true },
+            windbreak: { type: 'number', min: 0, max: 1 },
+            pollinatorHabitat: { type: 'number', min: 0, max: 1 },
+            beneficialInsects: { type: 'number', min: 0, max: 1 },
+            sedimentTrapping: { type: 'number', min: 0, max: 1 }
+        }
+    },
+    technologies: {
+        target: technologies,
+        fields: {
+            id: { type: 'id', required: true },
+            name: { type: 'string', required: true },
+            description: { type: 'string', required: true },
+            cost: { type: 'number', min: 0, required: true },
+            effects: { type: 'map', keys: TECH_EFFECTS, values: { type: 'effect' }, required: true },
+            prerequisites: { type: 'array', items: { type: 'id' }, required: true }
+        }
+    },
+    eventTemplates: {
+        target: eventTemplates,
+        fields: {
+            id: { type: 'id', required: true },
+            category: { type: 'enum', values: EVENT_CATEGORIES, required: true }, // Competes with this category's built-in events
+            weight: { type: 'number', min: 0, max: 10, required: true }, // 1 = as likely as all the category's built-in events together
+            message: { type: 'string', required: true },
+            forecastMessage: { type: 'string' },
+            isAlert: { type: 'boolean' },
+            seasons: { type: 'array', items: { type: 'enum', values: SEASONS } }, // Omit for any season
+            minYear: { type: 'number', min: 1, integer: true },
+            balanceChange: { type: 'number' },
+            modifier: {
+                type: 'object',
+                fields: {
+                    target: { type: 'string', required: true },
+                    multiplier: { type: 'number', min: 0, max: 5, required: true },
+                    durationDays: { type: 'number', min: 1, max: 360, integer: true, required: true },
+                    label: { type: 'string' }
+                }
+            },
+            cellEffect: {
+                type: 'object',
+                fields: {
+                    effect: { type: 'enum', values: CELL_EFFECTS, required: true },
+                    magnitude: { type: 'number', min: 0, max: 100, required: true },
+                    cropIds: { type: 'array', items: { type: 'id' } } // Omit to affect every plot
+                }
+            }
+        }
+    }
+};
+
+// Check a pack without loading it. Returns a list of error strings (empty when valid).
+export function validateContentPack(pack) {
+    const errors = [];
+    if (!isPlainObject(pack)) return ['Content pack must be a JSON object.'];
+    const sections = Object.keys(CONTENT_SCHEMAS);
+    Object.keys(pack).forEach(key => {
+        if (key !== 'name' && key !== 'description' && !sections.includes(key)) {
+            errors.push(`Unknown section "${key}" (expected ${sections.join(', ')}).`);
+        }
+    });
+
+    sections.forEach(section => {
+        if (pack[section] === undefined) return;
+        if (!Array.isArray(pack[section])) { errors.push(`${section} must be an array.`); return; }
+        const schema = CONTENT_SCHEMAS[section];
+        const seen = new Set();
+        pack[section].forEach((entry, index) => {
+            const path = `${section}[${index}]${entry && typeof entry.id === 'string' ? ` (${entry.id})` : ''}`;
+            if (!isPlainObject(entry)) { errors.push(`${path}: must be an object.`); return; }
+            if (typeof entry.id === 'string') {
+                if (seen.has(entry.id)) errors.push(`${path}: duplicate id in this pack.`);
+                seen.add(entry.id);
+            }
+            checkFields(schema.fields, entry, path, errors, false);
+            // Required fields are checked after merging, so overrides of built-ins may be partial
+            const merged = { ...(schema.target.find(item => item.id === entry.id) || {}), ...entry };
+            Object.entries(schema.fields).forEach(([field, spec]) => {
+                if (spec.required && merged[field] === undefined) errors.push(`${path}: missing required field "${field}".`);
+            });
+            (schema.requiredIf || []).forEach(rule => {
+                if (!merged[rule.when]) return;
+                rule.fields.forEach(field => {
+                    if (merged[field] === undefined) errors.push(`${path}: "${field}" is required when "${rule.when}" is set.`);
+                });
+            });
+        });
+    });
+    checkReferences(pack, errors);
+    return errors;
+}
+
+// Validate and merge a pack into the game definitions. Nothing is changed if the pack has errors.
+// Returns { success, name, errors, added, replaced } (added/replaced list "section:id").
+export function loadContentPack(pack) {
+    const name = (isPlainObject(pack) && typeof pack.name === 'string') ? pack.name : 'Unnamed pack';
+    const errors = validateContentPack(pack);
+    if (errors.length > 0) return { success: false, name, errors, added: [], replaced: [] };
+
+    const added = [];
+    const replaced = [];
+    Object.entries(CONTENT_SCHEMAS).forEach(([section, schema]) => {
+        (pack[section] || []).forEach(entry => {
+            const { regions: regionIds, ...definition } = entry;
+            if (section === 'technologies') definition.researched = false;
+            const index = schema.target.findIndex(item => item.id === entry.id);
+            if (index >= 0) {
+                schema.target[index] = { ...schema.target[index], ...copy(definition) };
+                replaced.push(`${section}:${entry.id}`);
+            } else {
+                schema.target.push(copy(definition));
+                added.push(`${section}:${entry.id}`);
+            }
+            (regionIds || []).forEach(regionId => {
+                const region = regions.find(r => r.id === regionId);
+                if (!region.crops.includes(entry.id)) region.crops.push(entry.id);
+            });
+        });
+    });
+    return { success: true, name, errors: [], added, replaced };
+}
+
+// Node.js only: read and load a pack from a JSON file. fs is imported lazily so this
+// module still loads in the browser (which passes parsed JSON to loadContentPack).
+export async function loadContentPackFile(path) {
+    const fs = await import('node:fs/promises');
+    let pack;
+    try {
+        pack = JSON.parse(await fs.readFile(path, 'utf8'));
+    } catch (error) {
+        return { success: false, name: path, errors: [`${path}: ${error.message}`], added: [], replaced: [] };
+    }
+    const result = loadContentPack(pack);
+    result.errors = result.errors.map(error => `${path}: ${error}`);
+    return result;
+}
+
+// Type and range checks for the fields present in `value`
+function checkFields(fields, value, path, errors, checkRequired) {
+    Object.entries(value).forEach(([field, fieldValue]) => {
+        const spec = fields[field];
+        if (!spec) { errors.push(`${path}: unknown field "${field}".`); return; }
+        checkValue(spec, fieldValue, `${path}.${field}`, errors);
+    });
+    if (checkRequired) {
+        Object.entries(fields).forEach(([field, spec]) => {
+            if (spec.required && value[field] === undefined) errors.push(`${path}: missing required field "${field}".`);
+        });
+    }
+}
+
+function checkValue(spec, value, path, errors) {
+    switch (spec.type) {
+        case 'id':
+            if (typeof value !== 'string' || !/^[a-z][a-z0-9_]*$/.test(value)) errors.push(`${path}: must be a lowercase id (letters, digits, underscores).`);
+            break;
+        case 'string':
+            if (typeof value !== 'string' || value.trim() === '') errors.push(`${path}: must be a non-empty string.`);
+            break;
+        case 'color':
+            if (typeof value !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(value)) errors.push(`${path}: must be a color like "#a0522d".`);
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') errors.push(`${path}: must be true or false.`);
+            break;
+        case 'effect':
+            if (typeof value !== 'boolean' && !Number.isFinite(value)) errors.push(`${path}: must be a number or true/false.`);
+            break;
+        case 'number':
+            if (!Number.isFinite(value)) { errors.push(`${path}: must be a number.`); break; }
+            if (spec.integer && !Number.isInteger(value)) errors.push(`${path}: must be a whole number.`);
+            if (spec.min !== undefined && value < spec.min) errors.push(`${path}: must be at least ${spec.min} (got ${value}).`);
+            if (spec.max !== undefined && value > spec.max) errors.push(`${path}: must be at most ${spec.max} (got ${value}).`);
+            break;
+        case 'enum':
+            if (!spec.values.includes(value)) errors.push(`${path}: must be one of ${spec.values.join(', ')}.`);
+            break;
+        case 'array':
+            if (!Array.isArray(value)) { errors.push(`${path}: must be an array.`); break; }
+            if (spec.length !== undefined && value.length !== spec.length) errors.push(`${path}: must have ${spec.length} values.`);
+            value.forEach((item, index) => checkValue(spec.items, item, `${path}[${index}]`, errors));
+            break;
+        case 'object':
+            if (!isPlainObject(value)) { errors.push(`${path}: must be an object.`); break; }
+            checkFields(spec.fields, value, path, errors, true);
+            break;
+        case 'map':
+            if (!isPlainObject(value)) { errors.push(`${path}: must be an object.`); break; }
+            Object.entries(value).forEach(([key, item]) => {
+                if (spec.keys && !spec.keys.includes(key)) errors.push(`${path}: unknown key "${key}" (expected ${spec.keys.join(', ')}).`);
+                else checkValue(spec.values, item, `${path}.${key}`, errors);
+            });
+            break;
+    }
+}
+
+// Cross-references: IDs must exist in the built-ins or in this pack. Malformed values were
+// already reported by the field checks and are skipped here.
+function checkReferences(pack, errors) {
+    const entries = (section) => (Array.isArray(pack[section]) ? pack[section].filter(isPlainObject) : []);
+    const list = (value) => (Array.isArray(value) ? value : []);
+    const cropIds = new Set([...crops, ...coverCrops, ...entries('crops'), ...entries('coverCrops')].map(c => c.id));
+    const techIds = new Set([...technologies, ...entries('technologies')].map(t => t.id));
+
+    entries('crops').forEach(crop => {
+        if (coverCrops.some(c => c.id === crop.id)) errors.push(`crops (${crop.id}): "${crop.id}" is a cover crop; define it under coverCrops.`);
+        list(crop.regions).forEach(regionId => {
+            if (!regions.some(r => r.id === regionId)) errors.push(`crops (${crop.id}): unknown region "${regionId}" (expected ${regions.map(r => r.id).join(', ')}).`);
+        });
+    });
+    entries('coverCrops').forEach(crop => {
+        if (crops.some(c => c.id === crop.id)) errors.push(`coverCrops (${crop.id}): "${crop.id}" is a cash crop; define it under crops.`);
+    });
+    entries('technologies').forEach(tech => {
+        list(tech.prerequisites).forEach(prereqId => {
+            if (!techIds.has(prereqId)) errors.push(`technologies (${tech.id}): unknown prerequisite "${prereqId}".`);
+            if (prereqId === tech.id) errors.push(`technologies (${tech.id}): cannot be its own prerequisite.`);
+        });
+    });
+    entries('eventTemplates').forEach(template => {
+        const target = template.modifier?.target;
+        if (typeof target === 'string') {
+            const marketCropId = target.startsWith('marketPrice:') ? target.slice('marketPrice:'.length) : null;
+            if (marketCropId !== null ? !cropIds.has(marketCropId) : !MODIFIER_TARGETS.includes(target)) {
+                errors.push(`eventTemplates (${template.id}): unknown modifier target "${target}" (expected ${MODIFIER_TARGETS.join(', ')} or marketPrice:<cropId>).`);
+            }
+        }
+        list(template.cellEffect?.cropIds).forEach(cropId => {
+            if (!cropIds.has(cropId)) errors.push(`eventTemplates (${template.id}): unknown crop "${cropId}" in cellEffect.`);
+        });
+    });
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function copy(value) {
+    return JSON.parse(JSON.stringify(value));
+}
@@ -12,37 +12,140 @@ export const crops = [
         name: 'Empty Plot',     // Display name
         color: '#cccccc',       // Neutral color (light grey)
         waterUse: 0,            // No active crop water use (evaporation handled in cell.update if needed)
-        growthTime: 0,          // Not applicable
+        kc: 0,                  // Crop coefficient: daily water use = kc * ET0 (see weather.js)
+        growthTime: 0,          // Typical days to maturity (used when no daily weather is available)
+        gddBase: 0,             // Growing degree day base temperature (F) - development stops below it
+        gddToMaturity: 0,       // Degree days from planting (or spring for perennials) to harvest
         harvestValue: 0,        // No harvest
         basePrice: 0,           // Cannot be planted explicitly (cost is 0)
         soilImpact: 0,          // Specific impact is zero; degradation/regen handled by empty plot logic
         fertilizerNeed: 0,      // Not applicable
         waterSensitivity: 0,    // Not applicable
-        heatSensitivity: 0     // Not applicable
+        heatSensitivity: 0,     // Not applicable
+        ky: 0,                  // FAO yield response factor: yield lost per unit of seasonal ET deficit
+        kyStages: [0, 0, 0, 0]  // Ky for each of GROWTH_STAGES (water stress hurts most at flowering)
     },
     { // Corn: Keep value high
-        id: 'corn', name: 'Corn', waterUse: 3.5, growthTime: 90, harvestValue: 160, color: '#ffd700',
-        soilImpact: -2, fertilizerNeed: 80, basePrice: 75, waterSensitivity: 1.1, heatSensitivity: 0.8
+        id: 'corn', name: 'Corn', waterUse: 3.5, kc: 1.15, growthTime: 90, gddBase: 50, gddToMaturity: 1700, harvestValue: 160, color: '#ffd700',
+        soilImpact: -2, fertilizerNeed: 80, basePrice: 75, waterSensitivity: 1.1, heatSensitivity: 0.8,
+        ky: 1.25, kyStages: [0.4, 1.5, 0.5, 0.2]
     },
     { // Lettuce: Still valuable, slightly less extreme
-        id: 'lettuce', name: 'Lettuce', waterUse: 1.5, growthTime: 40, harvestValue: 260, color: '#90ee90', // Was 280 (prev 300)
-        soilImpact: -1, fertilizerNeed: 60, basePrice: 120, waterSensitivity: 1.2, heatSensitivity: 1.3
+        id: 'lettuce', name: 'Lettuce', waterUse: 1.5, kc: 0.95, growthTime: 40, gddBase: 40, gddToMaturity: 800, harvestValue: 260, color: '#90ee90', // Was 280 (prev 300)
+        soilImpact: -1, fertilizerNeed: 60, basePrice: 120, waterSensitivity: 1.2, heatSensitivity: 1.3,
+        ky: 1.05, kyStages: [0.65, 1.25, 1.15, 0.65]
     },
-    { // Almonds: Keep moderate value
-        id: 'almonds', name: 'Almonds', waterUse: 4.5, growthTime: 240, harvestValue: 550, color: '#8b4513',
-        soilImpact: -1, fertilizerNeed: 100, basePrice: 450, waterSensitivity: 0.9, heatSensitivity: 0.7
+    { // Almonds: Perennial orchard - slow to establish, long-lived, high chill requirement
+        id: 'almonds', name: 'Almonds', waterUse: 4.5, kc: 1.05, growthTime: 150, gddBase: 50, gddToMaturity: 3000, harvestValue: 1000, color: '#8b4513',
+        soilImpact: -1, fertilizerNeed: 100, basePrice: 900, waterSensitivity: 0.9, heatSensitivity: 0.7,
+        ky: 1.1, kyStages: [0.7, 1.2, 1.35, 0.5],
+        perennial: true, establishmentYears: 3, matureAge: 6, declineAge: 22, declineRate: 0.04,
+        removalCost: 1200, chillHoursRequired: 700,
+        pollinatorDependence: 1.0 // Needs bees at bloom; pollinator habitat next door raises the set (see spatial.js)
     },
     { // Strawberries: Still valuable, slightly less extreme
-        id: 'strawberries', name: 'Strawberries', waterUse: 2.5, growthTime: 50, harvestValue: 420, color: '#ff6b6b', // Was 450 (prev 500)
-        soilImpact: -2, fertilizerNeed: 90, basePrice: 300, waterSensitivity: 1.0, heatSensitivity: 1.1
+        id: 'strawberries', name: 'Strawberries', waterUse: 2.5, kc: 0.85, growthTime: 50, gddBase: 40, gddToMaturity: 1200, harvestValue: 420, color: '#ff6b6b', // Was 450 (prev 500)
+        soilImpact: -2, fertilizerNeed: 90, basePrice: 300, waterSensitivity: 1.0, heatSensitivity: 1.1,
+        ky: 1.0, kyStages: [0.5, 1.2, 1.1, 0.6],
+        pollinatorDependence: 0.3 // Self-fertile, but bee visits give bigger, better-shaped berries
     },
-    { // Grapes: Keep higher value
-        id: 'grapes', name: 'Grapes', waterUse: 3.0, growthTime: 180, harvestValue: 500, color: '#9370db',
-        soilImpact: -1, fertilizerNeed: 75, basePrice: 350, waterSensitivity: 0.8, heatSensitivity: 0.9
+    { // Grapes: Perennial vineyard - bears sooner than almonds, needs little winter chill
+        id: 'grapes', name: 'Grapes', waterUse: 3.0, kc: 0.75, growthTime: 130, gddBase: 50, gddToMaturity: 2200, harvestValue: 800, color: '#9370db',
+        soilImpact: -1, fertilizerNeed: 75, basePrice: 700, waterSensitivity: 0.8, heatSensitivity: 0.9,
+        ky: 0.85, kyStages: [0.5, 1.0, 0.8, 0.3],
+        perennial: true, establishmentYears: 2, matureAge: 4, declineAge: 25, declineRate: 0.03,
+        removalCost: 800, chillHoursRequired: 150,
+        smokeTaintSensitivity: 1.0 // Wildfire smoke absorbed after veraison spoils the wine (see Cell.applySmokeExposure)
     }
 ];
 
-// Helper function to find crop by ID
+// Growth stages for the FAO-33 water-stress yield response (see Cell.getWaterYieldFactor),
+// by growth progress %. A crop's kyStages lists its Ky for each stage in this order.
+export const GROWTH_STAGES = [
+    { id: 'vegetative', name: 'Vegetative', endProgress: 40 },
+    { id: 'flowering', name: 'Flowering', endProgress: 60 },
+    { id: 'yieldFormation', name: 'Yield formation', endProgress: 90 },
+    { id: 'ripening', name: 'Ripening', endProgress: 100 }
+];
+
+// Index into GROWTH_STAGES for a growth progress (%)
+export function getGrowthStageIndex(growthProgress) {
+    const index = GROWTH_STAGES.findIndex(stage => growthProgress < stage.endProgress);
+    return index === -1 ? GROWTH_STAGES.length - 1 : index;
+}
+
+// Perennial fields (orchards/vineyards are planted once and harvested every year, so
+// harvestValue is a full year's crop):
+//   establishmentYears: years after planting with no crop
+//   matureAge: age (years) at which full yield is reached; yield ramps up linearly before it
+//   declineAge / declineRate: yield falls by declineRate per year past declineAge (floor 40%)
+//   removalCost: cost to pull out the trees/vines before replanting the plot
+//   chillHoursRequired: winter chill needed for a full bloom (warm winters cut the next crop)
+
+// Yield multiplier for a perennial of the given age (years since planting)
+export function getPerennialAgeFactor(crop, age) {
+    if (!crop.perennial) return 1;
+    if (age < crop.establishmentYears) return 0;
+    if (age < crop.matureAge) {
+        const rampYears = crop.matureAge - crop.establishmentYears + 1;
+        return (age - crop.establishmentYears + 1) / rampYears;
+    }
+    if (age > crop.declineAge) return Math.max(0.4, 1 - (age - crop.declineAge) * crop.declineRate);
+    return 1;
+}
+
+// Soil-building practices planted through plantCrop like a crop, but never harvested for revenue.
+// Planting a cash crop on one terminates it and works the residue into the soil.
+//   nFixation: lbs N/acre fixed over a full growth cycle (legumes)
+//   organicMatterInput: OM %/yr added while growing (vs. 0.04 for cash crop residue)
+//   erosionProtection: share of heavy-rain soil damage prevented
+//   leachingReduction: share of heavy-rain nitrate leaching prevented (roots scavenge N)
+//   pestSuppression: extra daily pest pressure decline
+//   dryingFactor: multiplier on soil water loss (mulch shades the surface)
+// Habitat plantings (category 'habitat') stay in the ground and work on their neighbors instead:
+// windbreak, pollinatorHabitat, beneficialInsects and sedimentTrapping (see spatial.js).
+export const coverCrops = [
+    {
+        id: 'clover', name: 'Clover (cover)', category: 'cover', isCoverCrop: true, color: '#2e8b57',
+        waterUse: 1.0, kc: 0.9, growthTime: 90, gddBase: 40, gddToMaturity: 1200, harvestValue: 0, basePrice: 60, soilImpact: 0, fertilizerNeed: 0,
+        waterSensitivity: 0.6, heatSensitivity: 0.8,
+        nFixation: 60, organicMatterInput: 0.10, erosionProtection: 0.6, leachingReduction: 0.3, pestSuppression: 0.1, dryingFactor: 1.0
+    },
+    {
+        id: 'vetch', name: 'Vetch (cover)', category: 'cover', isCoverCrop: true, color: '#556b2f',
+        waterUse: 1.2, kc: 0.95, growthTime: 100, gddBase: 40, gddToMaturity: 1300, harvestValue: 0, basePrice: 70, soilImpact: 0, fertilizerNeed: 0,
+        waterSensitivity: 0.6, heatSensitivity: 0.9,
+        nFixation: 90, organicMatterInput: 0.12, erosionProtection: 0.7, leachingReduction: 0.3, pestSuppression: 0.05, dryingFactor: 1.0
+    },
+    {
+        id: 'rye', name: 'Cereal Rye (cover)', category: 'cover', isCoverCrop: true, color: '#bdb76b',
+        waterUse: 1.1, kc: 0.9, growthTime: 80, gddBase: 32, gddToMaturity: 1500, harvestValue: 0, basePrice: 40, soilImpact: 0, fertilizerNeed: 0,
+        waterSensitivity: 0.5, heatSensitivity: 0.7,
+        nFixation: 0, organicMatterInput: 0.15, erosionProtection: 0.85, leachingReduction: 0.7, pestSuppression: 0.15, dryingFactor: 1.0
+    },
+    { // Managed fallow: weeds controlled, residue left as mulch - rests the plot instead of neglecting it
+        id: 'fallow', name: 'Managed Fallow', category: 'fallow', isCoverCrop: true, color: '#d2b48c',
+        waterUse: 0, kc: 0, growthTime: 0, harvestValue: 0, basePrice: 20, soilImpact: 0, fertilizerNeed: 0,
+        waterSensitivity: 0, heatSensitivity: 0,
+        nFixation: 0, organicMatterInput: 0.03, erosionProtection: 0.5, leachingReduction: 0, pestSuppression: 0.1, dryingFactor: 0.6
+    },
+    { // Hedgerow: native shrubs and trees along a field edge, about a year to establish
+        id: 'hedgerow', name: 'Hedgerow (windbreak)', category: 'habitat', isCoverCrop: true, color: '#1b5e20',
+        waterUse: 1.5, kc: 0.7, growthTime: 300, gddBase: 45, gddToMaturity: 4000, harvestValue: 0, basePrice: 350, soilImpact: 0, fertilizerNeed: 0,
+        waterSensitivity: 0.4, heatSensitivity: 0.3,
+        nFixation: 0, organicMatterInput: 0.10, erosionProtection: 0.9, leachingReduction: 0.5, pestSuppression: 0.1, dryingFactor: 0.8,
+        windbreak: 0.5, pollinatorHabitat: 0.05, beneficialInsects: 0.25, sedimentTrapping: 0.6
+    },
+    { // Pollinator strip: wildflowers that feed bees and beneficial insects
+        id: 'pollinator_strip', name: 'Pollinator Strip', category: 'habitat', isCoverCrop: true, color: '#da70d6',
+        waterUse: 1.0, kc: 0.6, growthTime: 90, gddBase: 40, gddToMaturity: 1200, harvestValue: 0, basePrice: 150, soilImpact: 0, fertilizerNeed: 0,
+        waterSensitivity: 0.5, heatSensitivity: 0.6,
+        nFixation: 0, organicMatterInput: 0.08, erosionProtection: 0.7, leachingReduction: 0.3, pestSuppression: 0.1, dryingFactor: 0.9,
+        windbreak: 0, pollinatorHabitat: 0.12, beneficialInsects: 0.35, sedimentTrapping: 0.4
+    }
+];
+
+// Helper function to find crop by ID (cash crops and cover crops)
 export function getCropById(id) {
-    return crops.find(crop => crop.id === id) || crops[0];
+    return crops.find(crop => crop.id === id) || coverCrops.find(crop => crop.id === id) || crops[0];
 }
@@ -0,0 +1,113 @@
+/**
+ * California Climate Farmer - Soil Erosion (USLE)
+ *
+ * Water erosion follows the Universal Soil Loss Equation from TDD.md, A = R * K * LS * C * P,
+ * in tons of soil per acre (US customary units):
+ *   R: rainfall erosivity. A storm's R is its rainfall energy times its peak 30-minute
+ *      intensity (EI30). climate.annualErosivity is a typical year's total, used for the erosion risk.
+ *   K: soil erodibility (cell.erodibility from the region's soil), lower in soil rich in organic matter
+ *   LS: slope steepness (cell.slope, %) and length. Length is the unbroken flow path down to the
+ *       plot (see getSlopeLengths in spatial.js), so long bare slopes erode fastest.
+ *   C: cover. 1 for bare tilled soil, lower under a crop canopy, an orchard floor or a cover crop.
+ *   P: support practice. Contour planting (cell.contour) across the slope slows the water.
+ * Soil lost to erosion comes off soilHealth (and organic matter, which lives in the topsoil).
+ */
+
+export const PLOT_LENGTH_FT = 200;        // Length of one plot down the slope
+const USLE_UNIT_LENGTH_FT = 72.6;         // Length of the standard USLE plot
+const SOIL_POINTS_PER_TON = 0.25;         // soilHealth lost per ton/acre of soil (5 t/ac/yr tolerance = 1.25 points)
+export const DEFAULT_ERODIBILITY = 0.3;   // K for a loam
+const K_OM_EFFECT = 0.1;                  // K falls 10% for each 1% of organic matter above 2%
+const MAX_STORM_ENERGY = 1074;            // Rain energy (ft-tonf/acre per inch) stops rising above 3 in/h
+const DAILY_I30_SHARE = 0.3;              // Peak 30-minute intensity (in/h) per inch of daily rain (~15% of it in the wettest half hour)
+
+// Cover (C) factors
+const BARE_COVER_FACTOR = 1.0;            // Tilled, bare plot
+const SEEDBED_COVER_FACTOR = 0.7;         // Row crop just planted
+const CANOPY_COVER_FACTOR = 0.2;          // Row crop at full canopy
+const CANOPY_PROGRESS = 60;               // Growth progress (%) at which a row crop covers the ground
+const ORCHARD_COVER_FACTOR = 0.15;        // Untilled orchard or vineyard floor
+const NO_TILL_COVER_FACTOR = 0.5;         // Residue left on the surface
+
+// Contour planting (P) factors by slope (%), from the USDA Agriculture Handbook 537 table
+const CONTOUR_FACTORS = [
+    { maxSlope: 2, factor: 0.6 },
+    { maxSlope: 8, factor: 0.5 },
+    { maxSlope: 12, factor: 0.6 },
+    { maxSlope: 16, factor: 0.7 },
+    { maxSlope: 20, factor: 0.8 },
+    { maxSlope: Infinity, factor: 0.9 }
+];
+
+// Erosivity (R) of one storm: rainfall energy (ft-tonf/acre) times peak 30-minute intensity (in/h), in hundreds
+export function getStormErosivity(inches, i30) {
+    if (inches <= 0 || i30 <= 0) return 0;
+    const energyPerInch = Math.max(0, Math.min(MAX_STORM_ENERGY, 916 + 331 * Math.log10(i30)));
+    return inches * energyPerInch * i30 / 100;
+}
+
+// Erosivity of a day of rain from the weather generator, which only knows the daily total
+export function getDailyErosivity(inches) {
+    return getStormErosivity(inches, DAILY_I30_SHARE * inches);
+}
+
+// K: the plot's soil erodibility, adjusted for its organic matter
+export function getErodibility(cell) {
+    const omFactor = Math.max(0.6, Math.min(1.2, 1 - K_OM_EFFECT * (cell.organicMatter - 2)));
+    return (cell.erodibility ?? DEFAULT_ERODIBILITY) * omFactor;
+}
+
+// LS: Wischmeier-Smith slope length and steepness factor for a slope (%) and flow length (ft)
+export function getSlopeFactor(slopePercent, lengthFt = PLOT_LENGTH_FT) {
+    const sin = Math.sin(Math.atan(slopePercent / 100));
+    const m = slopePercent < 1 ? 0.2 : slopePercent < 3.5 ? 0.3 : slopePercent < 5 ? 0.4 : 0.5;
+    return Math.pow(lengthFt / USLE_UNIT_LENGTH_FT, m) * (65.41 * sin * sin + 4.56 * sin + 0.065);
+}
+
+// C: how much of the rain's force the plot's cover lets through to the soil
+export function getCoverFactor(cell, techs = []) {
+    let factor;
+    if (cell.crop.isCoverCrop) factor = 1 - (cell.crop.erosionProtection || 0);
+    else if (cell.crop.perennial) factor = ORCHARD_COVER_FACTOR;
+    else if (cell.crop.id === 'empty') factor = BARE_COVER_FACTOR;
+    else {
+        const canopy = Math.min(1, cell.growthProgress / CANOPY_PROGRESS);
+        factor = SEEDBED_COVER_FACTOR - (SEEDBED_COVER_FACTOR - CANOPY_COVER_FACTOR) * canopy;
+    }
+    if (techs.includes('no_till_farming')) factor *= NO_TILL_COVER_FACTOR;
+    return factor;
+}
+
+// P: contour planting, most effective on moderate slopes
+export function getPracticeFactor(cell) {
+    if (!cell.contour) return 1;
+    return CONTOUR_FACTORS.find(entry => (cell.slope || 0) <= entry.maxSlope).factor;
+}
+
+// A = R * K * LS * C * P: soil loss (tons/acre) from rain of erosivity R
+export function calculateSoilLoss(cell, erosivity, techs = [], slopeLengthFt = PLOT_LENGTH_FT) {
+    if (erosivity <= 0) return 0;
+    return erosivity * getErodibility(cell) * getSlopeFactor(cell.slope || 0, slopeLengthFt) * getCoverFactor(cell, techs) * getPracticeFactor(cell);
+}
+
+// Take `tons` (per acre) of soil off the plot. Returns the soilHealth points lost.
+export function erodeCell(cell, tons) {
+    if (tons <= 0) return 0;
+    const points = tons * SOIL_POINTS_PER_TON;
+    cell.erosionThisYear += tons;
+    cell.applyEnvironmentalEffect('soil-damage', points, 0);
+    return points;
+}
+
+// Plot slopes (%) between the region's [min, max]: gentle swells down the rows and across the
+// columns, plus some plot-to-plot roughness
+export function generateSlopes(rows, cols, slopeRange = [0.5, 2], random = Math.random) {
+    const [min, max] = slopeRange;
+    const smooth = (values) => values.map((v, i) => (v + (values[i - 1] ?? v) + (values[i + 1] ?? v)) / 3);
+    const rowShape = smooth(Array.from({ length: rows }, () => random()));
+    const colShape = smooth(Array.from({ length: cols }, () => random()));
+    return rowShape.map(rowValue => colShape.map(colValue => {
+        const shape = 0.6 * rowValue + 0.25 * colValue + 0.15 * random();
+        return Math.round((min + (max - min) * shape) * 10) / 10;
+    }));
+}
@@ -12,13 +12,59 @@ import { formatCurrency } from './utils.js'; // Import for formatting messages
 const DROUGHT_COOLDOWN_DAYS = 90;
 const HEATWAVE_COOLDOWN_DAYS = 45;
 const FROST_COOLDOWN_DAYS = 15;
+const FLOOD_COOLDOWN_DAYS = 30;
+const SMOKE_COOLDOWN_DAYS = 20;
 // ------------------------------------
 
+
+// Floods by severity: share of plots under water, days of standing water, soil lost to erosion,
+// yield damage to surviving crops, water added to the reserve and equipment repair cost.
+// Annual crops younger than YOUNG_CROP_PROGRESS and establishing orchards drown; a megaflood
+// (ARkStorm-scale levee failure) also drowns established annuals.
+const FLOOD_SEVERITIES = {
+    minor: { floodedShare: 0.35, waterlogDays: 4, soilDamage: 2, yieldDamage: 10, waterIncrease: 15, repairCost: 1500, drownsEstablished: false },
+    major: { floodedShare: 0.7, waterlogDays: 8, soilDamage: 4, yieldDamage: 25, waterIncrease: 25, repairCost: 5000, drownsEstablished: false },
+    megaflood: { floodedShare: 1.0, waterlogDays: 20, soilDamage: 8, yieldDamage: 60, waterIncrease: 40, repairCost: 20000, drownsEstablished: true }
+};
+const YOUNG_CROP_PROGRESS = 30;
+const FLOOD_LEACH_FRACTION = 0.4;
+
+// A heat dome is a stalled high-pressure ridge: a longer, hotter heatwave that dries fuels and often
+// ends in wildfire smoke. Water loss and crop damage are per day, before heat protection.
+const HEAT_DOME_CHANCE = 0.25;          // Share of heatwaves that are heat domes
+const HEAT_DOME_SMOKE_CHANCE = 0.5;     // Chance a heat dome sets off a fire whose smoke reaches the farm
+const HEATWAVE_INTENSITY = {
+    heatwave: { dailyWaterLoss: 2, heatDamage: 2.0 },
+    heat_dome: { dailyWaterLoss: 3, heatDamage: 3.5 }
+};
+
+// Wildfire smoke by severity: share of sunlight blocked (growth lost) and days it hangs over the farm.
+// Heavy smoke (unhealthy AQI) also stops field work; see CaliforniaClimateFarmer.isLaborStopped.
+export const SMOKE_SEVERITIES = {
+    moderate: { shading: 0.3, minDays: 3, maxDays: 6, stopsLabor: false },
+    heavy: { shading: 0.5, minDays: 5, maxDays: 10, stopsLabor: true }
+};
+
+export const EVENT_CATEGORIES = ['weather', 'market', 'policy', 'technology'];
+// Effects Cell.applyEnvironmentalEffect understands
+export const CELL_EFFECTS = ['water-increase', 'water-decrease', 'soil-damage', 'soil-improve', 'yield-damage',
+    'growth-boost', 'pest-increase', 'pest-decrease', 'nutrient-leach', 'waterlog'];
+
+// Data-driven events loaded from content packs (see content-packs.js for the schema). Each one
+// competes with the built-in events of its category: weight 1 makes it as likely as all of them together.
+export const eventTemplates = [];
+
+// Resolve the game's seeded RNG from farmState, falling back to Math.random
+function getRandom(farmState) {
+    return (farmState && typeof farmState.random === 'function') ? farmState.random : Math.random;
+}
+
 // --- Event Generation ---
 
 export function generateRandomEvent(farmState) {
+    const random = getRandom(farmState);
     // Base chance slightly lower now that positive events exist
-    if (Math.random() < 0.48) return null; // 52% chance event occurs (was 55%)
+    if (random() < 0.48) return null; // 52% chance event occurs (was 55%)
 
     const eventTypes = [
         { type: 'weather', probability: 0.4 }, // Keep weather dominant
@@ -27,7 +73,7 @@ export function generateRandomEvent(farmState) {
         { type: 'technology', probability: 0.15 }
     ];
 
-    const roll = Math.random();
+    const roll = random();
     let cumulativeProbability = 0;
     let selectedType = eventTypes[0].type;
 
@@ -41,11 +87,14 @@ export function generateRandomEvent(farmState) {
 
     const isEarlyGame = farmState.year <= 2;
 
+    const template = pickEventTemplate(selectedType, farmState, random);
+    if (template) return createTemplateEvent(template, farmState.day, random);
+
     switch (selectedType) {
         case 'weather':
             return scheduleWeatherEvent(farmState.day, farmState.climate, farmState.season, farmState);
         case 'market':
-            return scheduleMarketEvent(farmState.day);
+            return scheduleMarketEvent(farmState.day, random);
         case 'policy':
              // Pass farmState for potential use in more complex policy events later
              return schedulePolicyEvent(farmState.day, farmState, null, isEarlyGame);
@@ -56,25 +105,54 @@ export function generateRandomEvent(farmState) {
     }
 }
 
+// Template of `category` to fire instead of a built-in event, or null. Draws no random numbers
+// when no template applies, so runs without content packs are unchanged.
+function pickEventTemplate(category, farmState, random) {
+    const eligible = eventTemplates.filter(t => t.category === category && t.weight > 0
+        && (!t.seasons || t.seasons.includes(farmState.season))
+        && farmState.year >= (t.minYear || 1));
+    if (eligible.length === 0) return null;
+    const totalWeight = eligible.reduce((sum, t) => sum + t.weight, 0);
+    let roll = random() * (1 + totalWeight);
+    for (const template of eligible) {
+        if (roll < template.weight) return template;
+        roll -= template.weight;
+    }
+    return null; // Built-in event
+}
+
+function createTemplateEvent(template, day, random = Math.random) {
+    return {
+        type: 'template', templateId: template.id, category: template.category,
+        day: day + Math.floor(random() * 15) + 5,
+        message: template.message, forecastMessage: template.forecastMessage, isAlert: !!template.isAlert,
+        balanceChange: template.balanceChange || 0,
+        modifier: template.modifier ? { ...template.modifier } : null,
+        cellEffect: template.cellEffect ? { ...template.cellEffect } : null
+    };
+}
+
 function scheduleWeatherEvent(day, climate, season, farmState) {
+    const random = getRandom(farmState);
     const eventTypes = [
         // Adjust probabilities to make space for favorable weather
-        { id: 'rain', probability: 0.35 }, // Reduced rain slightly
+        { id: 'none', probability: 0.35 }, // Rain comes from the daily weather (weather.js), not events
         { id: 'drought', probability: climate.droughtProbability * 0.9 }, // Keep slight reduction
         { id: 'heatwave', probability: climate.heatwaveProbability * 0.9 }, // Keep slight reduction
         { id: 'frost', probability: (season === 'Winter' ? 0.3 : 0.05) * 0.9 }, // Keep slight reduction
         // --- PHASE 2: Added Favorable Weather ---
-        { id: 'favorable', probability: 0.15 } // Add positive event chance
+        { id: 'favorable', probability: 0.15 }, // Add positive event chance
         // -----------------------------------------
+        // Storm-driven floods, only in the region's flood seasons (advanceSeason also rolls one per season)
+        { id: 'flood', probability: (climate.floodSeasons || []).includes(season) ? (climate.floodProbability || 0) * 0.5 : 0 }
     ];
 
     const totalProbability = eventTypes.reduce((sum, type) => sum + type.probability, 0);
-    const fallbackEventDay = day + Math.floor(Math.random() * 15) + 3;
-    if (totalProbability <= 0) return scheduleRain(fallbackEventDay); // Fallback still rain
+    if (totalProbability <= 0) return null;
 
     const normalizedTypes = eventTypes.map(type => ({ ...type, probability: type.probability / totalProbability }));
 
-    const roll = Math.random();
+    const roll = random();
     let cumulativeProbability = 0;
     let selectedType = normalizedTypes[0].id;
 
@@ -87,48 +165,44 @@ function scheduleWeatherEvent(day, climate, season, farmState) {
             break;
         }
     }
-     // Ensure selectedType is valid if all probabilities somehow became zero
-     if (!eventTypes.find(et => et.id === selectedType)) {
-         selectedType = 'rain'; // Default fallback
-     }
 
-
-    const eventDay = day + Math.floor(Math.random() * 15) + 3;
+    const eventDay = day + Math.floor(random() * 15) + 3;
 
     switch (selectedType) {
-        case 'rain': return scheduleRain(eventDay);
         case 'drought': return scheduleDrought(eventDay, climate.droughtProbability, farmState);
         case 'heatwave': return scheduleHeatwave(eventDay, farmState);
         case 'frost': return scheduleFrost(eventDay, farmState);
         // --- PHASE 2: Case for Favorable Weather ---
         case 'favorable': return createFavorableWeatherEvent(eventDay);
         // -------------------------------------------
-        default: return scheduleRain(eventDay);
+        case 'flood': return scheduleFlood(eventDay, farmState);
+        default: return null;
     }
 }
 
-function scheduleMarketEvent(day) {
+function scheduleMarketEvent(day, random = Math.random) {
     // Keep market event types as is for now
     const eventTypes = [ { id: 'price_increase', probability: 0.4 }, { id: 'price_decrease', probability: 0.4 }, { id: 'market_opportunity', probability: 0.2 }];
-    const roll = Math.random();
+    const roll = random();
     let cumulativeProbability = 0;
     let selectedType = eventTypes[0].id;
     for (const type of eventTypes) {
         cumulativeProbability += type.probability;
         if (roll < cumulativeProbability) { selectedType = type.id; break; }
     }
-    const eventDay = day + Math.floor(Math.random() * 10) + 3;
+    const eventDay = day + Math.floor(random() * 10) + 3;
 
     switch (selectedType) {
-        case 'price_increase': return createMarketEvent(eventDay, 'increase');
-        case 'price_decrease': return createMarketEvent(eventDay, 'decrease');
-        case 'market_opportunity': return createMarketOpportunityEvent(eventDay);
-        default: return createMarketEvent(eventDay, 'increase');
+        case 'price_increase': return createMarketEvent(eventDay, 'increase', random);
+        case 'price_decrease': return createMarketEvent(eventDay, 'decrease', random);
+        case 'market_opportunity': return createMarketOpportunityEvent(eventDay, random);
+        default: return createMarketEvent(eventDay, 'increase', random);
     }
 }
 
 // --- PHASE 2: Pass full farmState ---
 export function schedulePolicyEvent(day, farmState, policyType = null, isEarlyGame = false) {
+    const random = getRandom(farmState);
     // Adjust probabilities for rebate
     const eventTypes = [
         { id: 'water_restriction', probability: 0.35 }, // Slightly reduced
@@ -139,7 +213,7 @@ export function schedulePolicyEvent(day, farmState, policyType = null, isEarlyGa
         // ------------------------------------
     ];
     if (!policyType) {
-        const roll = Math.random();
+        const roll = random();
         let cumulativeProbability = 0;
         policyType = eventTypes[0].id;
         for (const type of eventTypes) { cumulativeProbability += type.probability; if (roll < cumulativeProbability) { policyType = type.id; break; } }
@@ -147,44 +221,46 @@ export function schedulePolicyEvent(day, farmState, policyType = null, isEarlyGa
 
     // Keep early game suppression for costly regulations
     if (isEarlyGame && policyType === 'new_regulations') {
-         if (Math.random() < 0.4) {
+         if (random() < 0.4) {
              console.log("[Event Balancing] Switching early costly policy event to subsidy.");
              policyType = 'environmental_subsidy';
          }
     }
-    const eventDay = day + Math.floor(Math.random() * 15) + 5;
+    const eventDay = day + Math.floor(random() * 15) + 5;
     // Pass farmState to generatePolicyEvent
     return generatePolicyEvent(eventDay, farmState, policyType);
 }
 
 export function generateTechnologyEvent(day, farmState, isEarlyGame = false) {
+    const random = getRandom(farmState);
     // Keep tech event probabilities for now
     const eventTypes = [ { id: 'innovation_grant', probability: 0.5 }, { id: 'research_breakthrough', probability: 0.3 }, { id: 'technology_setback', probability: 0.2 } ];
-    const roll = Math.random();
+    const roll = random();
     let cumulativeProbability = 0;
     let selectedType = eventTypes[0].id;
     for (const type of eventTypes) { cumulativeProbability += type.probability; if (roll < cumulativeProbability) { selectedType = type.id; break; } }
 
     if (isEarlyGame) {
-         if (selectedType === 'technology_setback' && Math.random() < 0.6) {
+         if (selectedType === 'technology_setback' && random() < 0.6) {
              console.log("[Event Balancing] Switching early tech setback to grant.");
              selectedType = 'innovation_grant';
-         } else if (selectedType !== 'innovation_grant' && Math.random() < 0.1) {
+         } else if (selectedType !== 'innovation_grant' && random() < 0.1) {
              selectedType = 'innovation_grant';
          }
     }
-    const eventDay = day + Math.floor(Math.random() * 20) + 5;
+    const eventDay = day + Math.floor(random() * 20) + 5;
 
     switch (selectedType) {
         case 'innovation_grant': return createInnovationGrantEvent(eventDay, farmState, isEarlyGame);
-        case 'research_breakthrough': return createResearchBreakthroughEvent(eventDay);
-        case 'technology_setback': return createTechnologySetbackEvent(eventDay); // Pass farmState for potential future scaling
+        case 'research_breakthrough': return createResearchBreakthroughEvent(eventDay, random);
+        case 'technology_setback': return createTechnologySetbackEvent(eventDay, farmState); // Pass farmState for potential future scaling
         default: return createInnovationGrantEvent(eventDay, farmState, isEarlyGame);
     }
 }
 
 // --- Event Creation Helpers ---
 function createInnovationGrantEvent(day, farmState, isEarlyGame) {
+    const random = getRandom(farmState);
     const techCount = farmState?.researchedTechs?.length || 0;
     let grantAmount = 0;
     let message = '';
@@ -192,22 +268,22 @@ function createInnovationGrantEvent(day, farmState, isEarlyGame) {
     const earlyGrantAmount = 3000;
 
     if (techCount === 0) {
-        if (Math.random() < earlyGrantChance) {
+        if (random() < earlyGrantChance) {
             grantAmount = earlyGrantAmount;
             message = `You received a small ${formatCurrency(grantAmount)} starter grant for farm innovation. Consider investing in research.`;
         } else {
             message = 'Your farm was not selected for an innovation grant this time.';
         }
-    } else if (techCount <= 1 && Math.random() < 0.4) {
+    } else if (techCount <= 1 && random() < 0.4) {
          grantAmount = 5000;
          message = `You received a ${formatCurrency(grantAmount)} innovation grant for your initial research efforts.`;
-    } else if (techCount <= 3 && Math.random() < 0.3) {
+    } else if (techCount <= 3 && random() < 0.3) {
          grantAmount = 8000;
          message = `You received a ${formatCurrency(grantAmount)} innovation grant for farm research!`;
-    } else if (techCount <= 5 && Math.random() < 0.2) {
+    } else if (techCount <= 5 && random() < 0.2) {
          grantAmount = 12000;
          message = `You received a ${formatCurrency(grantAmount)} substantial innovation grant for your technological leadership!`;
-    } else if (techCount > 5 && Math.random() < 0.15) {
+    } else if (techCount > 5 && random() < 0.15) {
          grantAmount = 15000 + (techCount - 6) * 1000;
          grantAmount = Math.min(grantAmount, 25000);
          message = `You received a major ${formatCurrency(grantAmount)} innovation grant for being at the cutting edge!`;
@@ -222,39 +298,30 @@ function createInnovationGrantEvent(day, farmState, isEarlyGame) {
     return { type: 'technology', subType: 'innovation_grant', day, amount: grantAmount, message, isAlert: grantAmount > 5000 };
  }
 
-function createResearchBreakthroughEvent(day) {
-    const duration = Math.floor(Math.random() * 16) + 15;
+function createResearchBreakthroughEvent(day, random = Math.random) {
+    const duration = Math.floor(random() * 16) + 15;
     return { type: 'technology', subType: 'research_breakthrough', day, duration, discount: 0.3, message: `Research breakthrough! Technology costs reduced by 30% for the next ${duration} days.`, isAlert: true };
 }
 
 // Pass farmState for potential future scaling
 function createTechnologySetbackEvent(day, farmState) {
-    const setbackAmountBase = Math.floor(Math.random() * 3000) + 2000;
+    const setbackAmountBase = Math.floor(getRandom(farmState)() * 3000) + 2000;
     // Scaling could be added here later based on farmState.year or farmState.balance
     return { type: 'technology', subType: 'technology_setback', day, amount: setbackAmountBase, message: `Technology setback! Equipment malfunction reported.`, isAlert: true };
 }
 
-export function scheduleRain(day) {
-    const intensity = Math.random();
-    let severity, message, waterIncrease;
-    if (intensity < 0.3) { severity = 'light'; message = 'Light rainfall increased water levels slightly.'; waterIncrease = 5 + Math.floor(Math.random() * 5); }
-    else if (intensity < 0.7) { severity = 'moderate'; message = 'Moderate rainfall increased water levels.'; waterIncrease = 10 + Math.floor(Math.random() * 10); }
-    else { severity = 'heavy'; message = 'Heavy rainfall significantly increased water levels but may cause erosion.'; waterIncrease = 15 + Math.floor(Math.random() * 15); }
-    const forecastMessage = 'Weather forecast: ' + severity + ' rain expected soon.';
-    return { type: 'rain', day, severity, waterIncrease, message, forecastMessage, isAlert: severity === 'heavy' };
-}
-
 export function scheduleDrought(day, baseProbability, farmState) {
     if (farmState && day < farmState.lastDroughtEndDay + DROUGHT_COOLDOWN_DAYS) {
         farmState.logger?.log(`Skipping drought schedule due to cooldown. Current: ${day}, Last End: ${farmState.lastDroughtEndDay}, Cooldown: ${DROUGHT_COOLDOWN_DAYS}`, 3);
         return null;
     }
 
-    const severityRoll = Math.random();
+    const random = getRandom(farmState);
+    const severityRoll = random();
     let severity, duration, baseMessage;
-    if (severityRoll < 0.6) { severity = 'mild'; duration = Math.floor(Math.random() * 3) + 3; baseMessage = 'Drought conditions affecting your farm.'; }
-    else if (severityRoll < 0.9) { severity = 'moderate'; duration = Math.floor(Math.random() * 4) + 5; baseMessage = 'Moderate drought conditions! Water levels dropping, crops stressed.'; }
-    else { severity = 'severe'; duration = Math.floor(Math.random() * 5) + 7; baseMessage = 'Severe drought conditions! Water critically low, crops at high risk.'; }
+    if (severityRoll < 0.6) { severity = 'mild'; duration = Math.floor(random() * 3) + 3; baseMessage = 'Drought conditions affecting your farm.'; }
+    else if (severityRoll < 0.9) { severity = 'moderate'; duration = Math.floor(random() * 4) + 5; baseMessage = 'Moderate drought conditions! Water levels dropping, crops stressed.'; }
+    else { severity = 'severe'; duration = Math.floor(random() * 5) + 7; baseMessage = 'Severe drought conditions! Water critically low, crops at high risk.'; }
     const climateModifier = Math.max(1.0, baseProbability / 0.05);
     duration = Math.max(1, Math.floor(duration * climateModifier));
     const forecastMessage = 'Weather forecast: Dry conditions expected. Potential drought warning.';
@@ -267,11 +334,40 @@ export function scheduleHeatwave(day, farmState) {
          return null;
     }
 
-    const duration = Math.floor(Math.random() * 4) + 2;
+    const random = getRandom(farmState);
+    if (random() < HEAT_DOME_CHANCE) {
+        const duration = Math.floor(random() * 4) + 7;
+        const forecastMessage = 'Weather forecast: A heat dome is building. Record heat expected for a week or more.';
+        return { type: 'heatwave', day: day, severity: 'heat_dome', duration, message: 'Heat dome! Record temperatures are scorching crops.', forecastMessage, isAlert: true };
+    }
+    const duration = Math.floor(random() * 4) + 2;
     const forecastMessage = 'Weather forecast: Extreme heat expected in the coming days.';
     return { type: 'heatwave', day: day, duration, message: 'Heatwave conditions! Crops experiencing heat stress.', forecastMessage, isAlert: true };
 }
 
+// Smoke from a wildfire upwind. Severity is rolled unless given.
+export function scheduleWildfireSmoke(day, farmState, severity = null) {
+    if (farmState && day < farmState.lastSmokeDay + SMOKE_COOLDOWN_DAYS) {
+        farmState.logger?.log(`Skipping wildfire smoke schedule due to cooldown. Current: ${day}, Last: ${farmState.lastSmokeDay}, Cooldown: ${SMOKE_COOLDOWN_DAYS}`, 3);
+        return null;
+    }
+
+    const random = getRandom(farmState);
+    const smokeSeverity = severity || (random() < 0.6 ? 'moderate' : 'heavy');
+    const { minDays, maxDays } = SMOKE_SEVERITIES[smokeSeverity];
+    const duration = minDays + Math.floor(random() * (maxDays - minDays + 1));
+    const message = smokeSeverity === 'heavy'
+        ? `Heavy wildfire smoke! Air quality is hazardous: field work is stopped and crops are starved of sunlight for ${duration} days.`
+        : `Wildfire smoke has settled over the farm, dimming the sun for ${duration} days.`;
+    const forecastMessage = 'Fire weather: A wildfire is burning upwind. Smoke may reach the farm.';
+    return { type: 'smoke', day, severity: smokeSeverity, duration, message, forecastMessage, isAlert: smokeSeverity === 'heavy' };
+}
+
+// Whether a heat dome starting today ignites a fire whose smoke reaches the farm
+export function rollHeatDomeSmoke(event, random = Math.random) {
+    return event.severity === 'heat_dome' && random() < HEAT_DOME_SMOKE_CHANCE;
+}
+
 export function scheduleFrost(day, farmState) {
     if (farmState && day < farmState.lastFrostDay + FROST_COOLDOWN_DAYS) {
         farmState.logger?.log(`Skipping frost schedule due to cooldown. Current: ${day}, Last: ${farmState.lastFrostDay}, Cooldown: ${FROST_COOLDOWN_DAYS}`, 3);
@@ -282,6 +378,28 @@ export function scheduleFrost(day, farmState) {
     return { type: 'frost', day: day, message: 'Frost warning! Young plants are vulnerable.', forecastMessage, isAlert: true };
 }
 
+// Flood or levee failure. Severity is rolled unless `megaflood` is set (the yearly megaflood roll).
+export function scheduleFlood(day, farmState, megaflood = false) {
+    if (farmState && day < farmState.lastFloodDay + FLOOD_COOLDOWN_DAYS) {
+        farmState.logger?.log(`Skipping flood schedule due to cooldown. Current: ${day}, Last: ${farmState.lastFloodDay}, Cooldown: ${FLOOD_COOLDOWN_DAYS}`, 3);
+        return null;
+    }
+
+    const severity = megaflood ? 'megaflood' : (getRandom(farmState)() < 0.7 ? 'minor' : 'major');
+    let message, forecastMessage;
+    if (severity === 'megaflood') {
+        message = 'MEGAFLOOD! Weeks of atmospheric river storms have broken the levees. The whole farm is under water.';
+        forecastMessage = 'Weather alert: A chain of atmospheric rivers is forecast. Levee failure is possible.';
+    } else if (severity === 'major') {
+        message = 'Major flooding! The river topped its banks. Fields are under water and equipment is damaged.';
+        forecastMessage = 'Weather forecast: A strong atmospheric river brings a flood watch.';
+    } else {
+        message = 'Localized flooding after heavy storms. Low-lying plots are waterlogged.';
+        forecastMessage = 'Weather forecast: Heavy storms may cause localized flooding.';
+    }
+    return { type: 'flood', day, severity, message, forecastMessage, isAlert: true };
+}
+
 // --- PHASE 2: Added Favorable Weather Event ---
 function createFavorableWeatherEvent(day) {
     const baseMessage = 'Favorable weather conditions boosting growth and reducing water needs.';
@@ -300,27 +418,27 @@ function createFavorableWeatherEvent(day) {
 }
 // ---------------------------------------------
 
-function createMarketEvent(day, direction) {
+function createMarketEvent(day, direction, random = Math.random) {
     const validCrops = crops.filter(c => c.id !== 'empty');
     if (validCrops.length === 0) return null;
-    const cropIndex = Math.floor(Math.random() * validCrops.length);
+    const cropIndex = Math.floor(random() * validCrops.length);
     const targetCrop = validCrops[cropIndex];
     let changePercent, message, forecast, isAlert;
-    if (direction === 'increase') { changePercent = 10 + Math.floor(Math.random() * 30); message = `Market update: ${targetCrop.name} prices have risen by ${changePercent}%.`; forecast = `Market news: Increased demand expected for ${targetCrop.name}.`; isAlert = false; }
-    else { changePercent = 10 + Math.floor(Math.random() * 30); message = `Market update: ${targetCrop.name} prices have fallen by ${changePercent}%.`; forecast = `Market news: Market surplus expected for ${targetCrop.name}.`; isAlert = true; }
+    if (direction === 'increase') { changePercent = 10 + Math.floor(random() * 30); message = `Market update: ${targetCrop.name} prices have risen by ${changePercent}%.`; forecast = `Market news: Increased demand expected for ${targetCrop.name}.`; isAlert = false; }
+    else { changePercent = 10 + Math.floor(random() * 30); message = `Market update: ${targetCrop.name} prices have fallen by ${changePercent}%.`; forecast = `Market news: Market surplus expected for ${targetCrop.name}.`; isAlert = true; }
     return { type: 'market', day, direction, cropId: targetCrop.id, changePercent, message, forecastMessage: forecast, isAlert };
 }
 
-function createMarketOpportunityEvent(day) {
+function createMarketOpportunityEvent(day, random = Math.random) {
     const validCrops = crops.filter(c => c.id !== 'empty');
     if (validCrops.length === 0) return null;
-    const cropIndex = Math.floor(Math.random() * validCrops.length);
+    const cropIndex = Math.floor(random() * validCrops.length);
     const targetCrop = validCrops[cropIndex];
-    const bonusPercent = 30 + Math.floor(Math.random() * 30);
-    const duration = Math.floor(Math.random() * 10) + 5;
+    const bonusPercent = 30 + Math.floor(random() * 30);
+    const duration = Math.floor(random() * 10) + 5;
     const message = `Market opportunity! ${targetCrop.name} prices temporarily increased by ${bonusPercent}% for ${duration} days!`;
     const forecast = `Market news: Special demand expected for ${targetCrop.name}.`;
-    return { type: 'market', day, direction: 'opportunity', cropId: targetCrop.id, changePercent: bonusPercent, duration, message, forecastMessage: forecast, isAlert: true };
+    return { type: 'market', day, direction: 'opportunity', cropId: targetCrop.id, changePercent: bonusPercent, duration, message, forecastMessage: forecast, isAlert: false };
 }
 
 // --- PHASE 2: Pass full farmState ---
@@ -329,10 +447,11 @@ export function generatePolicyEvent(day, farmState, policyType) {
     const subsidyAmount = farmHealth > 60 ? 5000 : (farmHealth > 40 ? 3000 : 0);
     const complianceCostBase = 3000;
     // --- PHASE 2: Added Policy Rebate Event ---
-    const rebateAmount = 1500 + Math.floor(Math.random() * 2000);
+    const rebateAmount = 1500 + Math.floor(getRandom(farmState)() * 2000);
     // ------------------------------------------
+    const restrictionDays = 60 + Math.floor(getRandom(farmState)() * 61); // Water restrictions last 60-120 days
     switch (policyType) {
-        case 'water_restriction': return { type: 'policy', policyType, day, message: 'Water restriction policy enacted. Irrigation costs increased by 50%.', forecastMessage: 'Policy update: Water restrictions being considered.', isAlert: true, irrigationCostIncrease: 0.5, balanceChange: 0 };
+        case 'water_restriction': return { type: 'policy', policyType, day, message: `Water restriction policy enacted. Irrigation costs increased by 50% for ${restrictionDays} days.`, forecastMessage: 'Policy update: Water restrictions being considered.', isAlert: true, irrigationCostIncrease: 0.5, duration: restrictionDays, balanceChange: 0 };
         case 'environmental_subsidy': return subsidyAmount > 0 ? { type: 'policy', policyType, day, message: `You received a ${formatCurrency(subsidyAmount)} environmental subsidy!`, forecastMessage: 'Policy update: Environmental subsidies being discussed.', isAlert: false, balanceChange: subsidyAmount } : null;
         case 'new_regulations': return { type: 'policy', policyType, day, message: `New regulations require compliance upgrades.`, baseCost: complianceCostBase, forecastMessage: 'Policy update: New farming regulations proposed.', isAlert: true, balanceChange: -complianceCostBase };
         // --- PHASE 2: Added Policy Rebate Case ---
@@ -345,24 +464,6 @@ export function generatePolicyEvent(day, farmState, policyType) {
 
 // --- Event Application Functions ---
 
-export function applyRainEvent(event, grid, waterReserve, techs = []) {
-    let newWaterReserve = Math.min(100, waterReserve + event.waterIncrease);
-    let soilDamage = 0;
-    if (event.severity === 'heavy') soilDamage = 1 + Math.random() * 2;
-    for (let row = 0; row < grid.length; row++) {
-        for (let col = 0; col < grid[row].length; col++) {
-            const cell = grid[row][col];
-            cell.applyEnvironmentalEffect('water-increase', event.waterIncrease * 0.8);
-            if (soilDamage > 0) {
-                let protection = 1.0;
-                if (techs.includes('no_till_farming')) protection *= 0.5;
-                cell.applyEnvironmentalEffect('soil-damage', soilDamage, protection);
-            }
-        }
-    }
-    return { waterReserve: newWaterReserve, message: event.message };
-}
-
 export function applyDroughtEvent(event, grid, waterReserve, techs = []) {
     if (event.duration <= 0) return { skipped: true };
     let newWaterReserve = waterReserve;
@@ -377,6 +478,7 @@ export function applyDroughtEvent(event, grid, waterReserve, techs = []) {
     for (let row = 0; row < grid.length; row++) {
         for (let col = 0; col < grid[row].length; col++) {
             const cell = grid[row][col];
+            if (!cell.isFarmable()) continue;
             if (cell.crop.id !== 'empty') {
                 cell.applyEnvironmentalEffect('water-decrease', dailyCellWaterLoss, droughtProtection);
                 if (severityFactor > 1) {
@@ -402,7 +504,7 @@ export function applyDroughtEvent(event, grid, waterReserve, techs = []) {
 export function applyHeatwaveEvent(event, grid, waterReserve, techs = []) {
     if (event.duration <= 0) return { skipped: true };
     let newWaterReserve = waterReserve;
-    const dailyWaterLoss = 2;
+    const { dailyWaterLoss, heatDamage } = HEATWAVE_INTENSITY[event.severity] || HEATWAVE_INTENSITY.heatwave;
     let heatProtection = 1.0;
     if (techs.includes('greenhouse')) heatProtection = 0.6;
     if (techs.includes('silvopasture')) heatProtection *= 0.85;
@@ -414,8 +516,7 @@ export function applyHeatwaveEvent(event, grid, waterReserve, techs = []) {
                 cell.applyEnvironmentalEffect('water-decrease', dailyWaterLoss * 1.5, heatProtection);
                 const crop = cell.crop;
                 const heatSensitivityFactor = crop.heatSensitivity || 1.0;
-                const heatDamageMagnitude = 2.0;
-                cell.applyEnvironmentalEffect('yield-damage', heatDamageMagnitude * heatSensitivityFactor, heatProtection);
+                cell.applyEnvironmentalEffect('yield-damage', heatDamage * heatSensitivityFactor, heatProtection);
             }
         }
     }
@@ -423,7 +524,9 @@ export function applyHeatwaveEvent(event, grid, waterReserve, techs = []) {
     const nextDuration = event.duration - 1;
     let message = event.message;
      if (!message || event.duration === nextDuration + 1) {
-        message = "Heatwave conditions! Crops experiencing heat stress, water use increased, potential yield loss.";
+        message = event.severity === 'heat_dome'
+            ? "Heat dome! Record heat is scorching crops, water use soaring, heavy yield loss likely."
+            : "Heatwave conditions! Crops experiencing heat stress, water use increased, potential yield loss.";
      }
     return { waterReserve: newWaterReserve, message, skipped: false, continueEvent, nextDuration };
 }
@@ -446,6 +549,48 @@ export function applyFrostEvent(event, grid, techs = []) {
     return { message };
 }
 
+// floodExposure is the share of flood impact that gets through (1.0 with no drainage or levee tech)
+export function applyFloodEvent(event, grid, techs = [], floodExposure = 1.0, random = Math.random) {
+    const severity = FLOOD_SEVERITIES[event.severity] || FLOOD_SEVERITIES.minor;
+    let floodedCells = 0;
+    let cropsLost = 0;
+    for (let row = 0; row < grid.length; row++) {
+        for (let col = 0; col < grid[row].length; col++) {
+            const cell = grid[row][col];
+            if (!cell.isFarmable()) continue;
+            if (random() >= severity.floodedShare * floodExposure) continue; // Levees keep water off most plots
+            floodedCells++;
+            // Drains shorten the time plots stand under water
+            cell.applyEnvironmentalEffect('waterlog', severity.waterlogDays, 1 - floodExposure);
+
+            let erosionExposure = 1.0;
+            if (techs.includes('no_till_farming')) erosionExposure *= 0.5;
+            if (cell.crop.erosionProtection) erosionExposure *= (1 - cell.crop.erosionProtection);
+            cell.applyEnvironmentalEffect('soil-damage', severity.soilDamage, 1 - erosionExposure);
+            cell.applyEnvironmentalEffect('nutrient-leach', FLOOD_LEACH_FRACTION, cell.crop.leachingReduction || 0);
+
+            const crop = cell.crop;
+            if (crop.id === 'empty' || crop.isCoverCrop) continue;
+            const drowns = crop.perennial
+                ? (event.severity !== 'minor' && cell.getAgeFactor() === 0) // Establishing trees and vines
+                : (severity.drownsEstablished || cell.growthProgress < YOUNG_CROP_PROGRESS);
+            if (drowns) {
+                cell.clear();
+                cropsLost++;
+            } else {
+                cell.applyEnvironmentalEffect('yield-damage', severity.yieldDamage);
+            }
+        }
+    }
+
+    const repairCost = Math.round(severity.repairCost * floodExposure);
+    let message = event.message;
+    if (floodedCells > 0) message += ` ${floodedCells} plots flooded${cropsLost > 0 ? `, ${cropsLost} crops lost` : ''}.`;
+    else message += ' Your drainage kept the water off the fields.';
+    if (repairCost > 0) message += ` Equipment repairs: ${formatCurrency(repairCost)}.`;
+    return { message, floodedCells, cropsLost, balanceChange: -repairCost, waterIncrease: severity.waterIncrease };
+}
+
 // --- PHASE 2: Added Favorable Weather Application ---
 export function applyFavorableWeatherEvent(event, grid, techs = []) {
     const waterEffect = -2; // Give back a small amount of water need
@@ -457,7 +602,7 @@ export function applyFavorableWeatherEvent(event, grid, techs = []) {
             const cell = grid[row][col];
             if (cell.crop.id !== 'empty') {
                 cell.applyEnvironmentalEffect('water-decrease', waterEffect); // Negative decrease = increase
-                cell.growthProgress = Math.min(100, cell.growthProgress * growthBoost);
+                cell.addGrowth(cell.growthProgress * (growthBoost - 1));
                 cellsAffected++;
             }
         }
@@ -466,6 +611,23 @@ export function applyFavorableWeatherEvent(event, grid, techs = []) {
 }
 // ----------------------------------------------------
 
+// Plot effects of a content pack event; balance and modifiers are applied by game.js
+export function applyTemplateEvent(event, grid) {
+    let cellsAffected = 0;
+    const effect = event.cellEffect;
+    if (effect) {
+        for (let row = 0; row < grid.length; row++) {
+            for (let col = 0; col < grid[row].length; col++) {
+                const cell = grid[row][col];
+                if (!cell.isFarmable() || (effect.cropIds && !effect.cropIds.includes(cell.crop.id))) continue;
+                cell.applyEnvironmentalEffect(effect.effect, effect.magnitude);
+                cellsAffected++;
+            }
+        }
+    }
+    return { message: event.message, cellsAffected };
+}
+
 export function applyMarketEvent(event, marketPrices, allCropsData) {
     const newMarketPrices = { ...marketPrices };
     const cropId = event.cropId;
@@ -486,8 +648,12 @@ export function applyMarketEvent(event, marketPrices, allCropsData) {
     } else if (event.direction === 'decrease') {
         newMarketPrices[cropId] = Math.max(0.4, currentPriceFactor * (1 - (event.changePercent / 100)));
     } else if (event.direction === 'opportunity') {
-        newMarketPrices[cropId] = Math.min(3.0, currentPriceFactor * (1 + (event.changePercent / 100)));
-        // TODO: Handle temporary boost reset mechanism if needed.
+        // Temporary: the base price is left alone and the caller applies the boost as a timed overlay
+        return {
+            marketPrices,
+            message,
+            boost: { cropId, multiplier: 1 + (event.changePercent / 100), duration: event.duration }
+        };
     }
      if (!message.includes('%') && event.changePercent) { // Add check for event.changePercent
          const newPricePercent = Math.round(newMarketPrices[cropId] * 100);
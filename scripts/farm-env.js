@@ -0,0 +1,333 @@
+/**
+ * California Climate Farmer - Reinforcement Learning Environment
+ *
+ * Gym-style wrapper around a headless CaliforniaClimateFarmer for training and
+ * evaluating ML advisors (TDD.md section 9). Runs in Node with no UI.
+ *
+ * Usage:
+ *   const env = new FarmEnvironment({ stepDays: 5 });
+ *   let observation = env.reset(1234);
+ *   const { observation, reward, done, info } = env.step([{ type: 'plant', row: 0, col: 0, cropId: 'lettuce' }]);
+ *
+ * Action space (step() takes an array of these; an empty array is a no-op):
+ *   { type: 'plant', row, col, cropId }         Plant a crop (or cover crop / fallow) on an empty or cover-cropped plot
+ *   { type: 'irrigate', row, col }              Irrigate one plot
+ *   { type: 'fertilize', row, col, fertilizerId? }  Fertilize one plot (default: balanced NPK)
+ *   { type: 'harvest', row, col }               Harvest a ready plot
+ *   { type: 'remove', row, col }                Pull out an orchard/vineyard (perennial) for a removal cost
+ *   { type: 'scout', row, col }                 Scout a plot for pests and disease (reveals hidden outbreaks)
+ *   { type: 'treat', row, col }                 Spray a plot against pests and disease
+ *   { type: 'contour', row, col }               Lay out a plot on the contour (cuts water erosion)
+ *   Bulk variants of the eight cell actions: replace row/col with
+ *     target: 'row', index  |  target: 'col', index  |  target: 'all'
+ *   { type: 'research', techId }                Research a technology
+ *   { type: 'sellWater', units }                Sell unused current-year surface water allocation (net of the delivery fee)
+ *   { type: 'buyParcel', side, mortgage? }      Buy the parcel on offer along the 'south' or 'east' edge
+ *                                               (mortgage: true pays a down payment and borrows the rest)
+ *   { type: 'leaseParcel', side }               Lease it instead (rent paid every year)
+ *   { type: 'sellParcel', side }                Sell the farm's last row ('south') or column ('east'); leases on it end
+ *   { type: 'sellFarm' }                        Sell the whole farm and retire (ends the episode)
+ *   { type: 'noop' }                            Do nothing
+ * Invalid or unaffordable actions are skipped and reported in info.actionResults.
+ * The grid is gridRows x gridCols and grows or shrinks as land is bought, leased or sold, so the
+ * observation (and its vector) changes size with it. Neighbors only offer parcels in some years
+ * (parcelOffers is null for a side with nothing on the market). Roads, buildings and creeks (landUse) can't be farmed.
+ */
+
+import { CaliforniaClimateFarmer } from './game.js';
+import { crops, coverCrops } from './crops.js';
+import { fertilizers } from './fertilizers.js';
+import { calculateFarmValue } from './utils.js';
+import { PARCEL_SIDES } from './land.js';
+
+export const CELL_ACTION_TYPES = ['plant', 'irrigate', 'fertilize', 'harvest', 'remove', 'scout', 'treat', 'contour'];
+export const ACTION_TYPES = [...CELL_ACTION_TYPES, 'research', 'sellWater', 'buyParcel', 'leaseParcel', 'sellParcel', 'sellFarm', 'noop'];
+
+// Reward = balance * (balance delta / balanceScale) + sustainability * (score / 100) + health * (farm health / 100)
+// with bankruptcyPenalty subtracted on the step the farm goes bankrupt. Selling the farm pays its
+// proceeds into the balance, so they count as that step's balance delta.
+export const DEFAULT_REWARD_CONFIG = {
+    balance: 1.0,
+    balanceScale: 10000,
+    sustainability: 0.1,
+    health: 0.1,
+    bankruptcyPenalty: 10
+};
+
+export class FarmEnvironment {
+    constructor(options = {}) {
+        this.stepDays = Math.max(1, options.stepDays || 1); // Simulated days per step()
+        this.maxYears = options.maxYears || 50;
+        this.rewardConfig = { ...DEFAULT_REWARD_CONFIG, ...(options.reward || {}) };
+        this.gameOptions = options.gameOptions || {}; // Extra CaliforniaClimateFarmer options, e.g. { region: 'central_coast' }
+        this.game = null;
+        this.stepCount = 0;
+    }
+
+    // Start a new episode. Returns the initial observation.
+    reset(seed) {
+        this.game = new CaliforniaClimateFarmer({
+            consoleLogLevel: 0,
+            ...this.gameOptions,
+            headless: true,
+            testMode: true,
+            testEndYear: this.maxYears,
+            seed: seed
+        });
+        this.stepCount = 0;
+        return this.getObservation();
+    }
+
+    // Apply actions, advance the simulation stepDays days, and score the result.
+    step(actions = []) {
+        if (!this.game) throw new Error('FarmEnvironment.step() called before reset().');
+        if (this.isDone()) throw new Error('Episode is done; call reset() to start a new one.');
+
+        const game = this.game;
+        const balanceBefore = game.balance;
+        const actionResults = (Array.isArray(actions) ? actions : [actions]).map(action => ({
+            action,
+            ...this.applyAction(action)
+        }));
+
+        for (let i = 0; i < this.stepDays && !this.isDone(); i++) {
+            game.runTick();
+        }
+        this.stepCount++;
+
+        const sustainability = game.calculateSustainabilityScore();
+        const bankrupt = !game.retired && game.balance <= 0;
+        const done = this.isDone();
+        const reward = this.calculateReward(game.balance - balanceBefore, sustainability.total, game.farmHealth, bankrupt);
+
+        return {
+            observation: this.getObservation(),
+            reward,
+            done,
+            info: {
+                step: this.stepCount,
+                seed: game.seed,
+                balanceDelta: game.balance - balanceBefore,
+                sustainability,
+                farmHealth: game.farmHealth,
+                bankrupt,
+                retired: game.retired,
+                timeLimitReached: done && !bankrupt && !game.retired,
+                actionResults
+            }
+        };
+    }
+
+    isDone() {
+        return !this.game || this.game.isGameOver() || this.game.year >= this.maxYears;
+    }
+
+    calculateReward(balanceDelta, sustainabilityScore, farmHealth, bankrupt) {
+        const config = this.rewardConfig;
+        let reward = config.balance * (balanceDelta / config.balanceScale)
+            + config.sustainability * (sustainabilityScore / 100)
+            + config.health * (farmHealth / 100);
+        if (bankrupt) reward -= config.bankruptcyPenalty;
+        return reward;
+    }
+
+    // Returns { success, reason? } for a single action
+    applyAction(action) {
+        const game = this.game;
+        if (!action || !ACTION_TYPES.includes(action.type)) {
+            return { success: false, reason: `Unknown action type: ${action?.type}` };
+        }
+        if (action.type === 'noop') return { success: true };
+        if (action.type === 'research') {
+            return game.researchTechnology(action.techId) ? { success: true } : { success: false, reason: 'Research failed' };
+        }
+        if (action.type === 'sellWater') {
+            return game.sellWater(action.units) ? { success: true } : { success: false, reason: 'No sellable surface water, or the price is below the delivery fee' };
+        }
+        if (action.type === 'buyParcel') {
+            return game.buyParcel(action.side, { mortgage: !!action.mortgage }) ? { success: true } : { success: false, reason: 'Land purchase failed' };
+        }
+        if (action.type === 'leaseParcel') {
+            return game.leaseParcel(action.side) ? { success: true } : { success: false, reason: 'Land lease failed' };
+        }
+        if (action.type === 'sellParcel') {
+            return game.sellParcel(action.side) ? { success: true } : { success: false, reason: 'Land sale failed' };
+        }
+        if (action.type === 'sellFarm') {
+            return game.sellFarm() ? { success: true } : { success: false, reason: 'The farm has already been sold' };
+        }
+
+        const targets = this.resolveTargets(action);
+        if (targets.length === 0) return { success: false, reason: 'No valid target cells' };
+
+        let applied = 0;
+        targets.forEach(({ row, col }) => {
+            let ok = false;
+            switch (action.type) {
+                case 'plant': ok = game.plantCrop(row, col, action.cropId); break;
+                case 'irrigate': ok = game.irrigateCell(row, col); break;
+                case 'fertilize': ok = game.fertilizeCell(row, col, action.fertilizerId); break;
+                case 'harvest': ok = game.harvestCell(row, col).success; break;
+                case 'remove': ok = game.removeCrop(row, col); break;
+                case 'scout': ok = game.scoutCell(row, col); break;
+                case 'treat': ok = game.treatCell(row, col); break;
+                case 'contour': ok = game.contourCell(row, col); break;
+            }
+            if (ok) applied++;
+        });
+        return applied > 0
+            ? { success: true, cellsAffected: applied }
+            : { success: false, reason: 'Action not applicable to any target cell', cellsAffected: 0 };
+    }
+
+    // Expand single-cell and bulk (row/col/all) targets into coordinates
+    resolveTargets(action) {
+        const { gridRows: rows, gridCols: cols } = this.game;
+        const inRange = (n, size) => Number.isInteger(n) && n >= 0 && n < size;
+        const targets = [];
+        switch (action.target) {
+            case 'row':
+                if (inRange(action.index, rows)) for (let col = 0; col < cols; col++) targets.push({ row: action.index, col });
+                break;
+            case 'col':
+                if (inRange(action.index, cols)) for (let row = 0; row < rows; row++) targets.push({ row, col: action.index });
+                break;
+            case 'all':
+                for (let row = 0; row < rows; row++) for (let col = 0; col < cols; col++) targets.push({ row, col });
+                break;
+            default:
+                if (inRange(action.row, rows) && inRange(action.col, cols)) targets.push({ row: action.row, col: action.col });
+        }
+        return targets;
+    }
+
+    // Structured snapshot of everything an agent can see
+    getObservation() {
+        const game = this.game;
+        return {
+            region: game.region.id,
+            day: game.day,
+            year: game.year,
+            season: game.season,
+            balance: game.balance,
+            waterReserve: game.waterReserve,
+            surfaceWaterAllocation: game.waterRights.allocation,
+            surfaceWaterAvailable: game.waterRights.available(),
+            surfaceWaterSellable: game.waterRights.sellable(),
+            waterMarketPrice: game.waterRights.getMarketPrice(),
+            waterSalePrice: game.getWaterSalePrice(),
+            waterTableDepth: game.aquifer.depth,
+            pumpingRemaining: game.aquifer.annualCap - game.aquifer.pumpedThisYear,
+            irrigationCost: game.getIrrigationCost(),
+            weather: game.weather.today ? { ...game.weather.today } : null,
+            forecast: game.weather.getForecast().map(day => ({ ...day })),
+            lastWinterChillHours: game.lastWinterChillHours,
+            smoke: game.smoke ? { ...game.smoke } : null,
+            laborStopped: game.isLaborStopped(),
+            activeModifiers: game.activeModifiers.map(m => ({
+                target: m.target, multiplier: m.multiplier, daysRemaining: game.getModifierDaysRemaining(m)
+            })),
+            farmHealth: game.farmHealth,
+            farmValue: calculateFarmValue(game.grid, game.technologies, game.landMarket),
+            marketPrices: Object.fromEntries(Object.keys(game.marketPrices).map(id => [id, game.getMarketPrice(id)])),
+            researchedTechs: [...game.researchedTechs],
+            gridRows: game.gridRows,
+            gridCols: game.gridCols,
+            landPriceIndex: game.landMarket.priceIndex,
+            parcelOffers: Object.fromEntries(PARCEL_SIDES.map(side => {
+                const offer = game.getParcelOffer(side);
+                return [side, offer ? {
+                    ...offer, plots: game.getParcelSize(side), price: game.getParcelPrice(side),
+                    rent: game.getParcelRent(side), downPayment: game.getParcelDownPayment(side)
+                } : null];
+            })),
+            parcelSaleValues: Object.fromEntries(PARCEL_SIDES.map(side => [side, game.getParcelSaleValue(side)])),
+            farmSaleValue: game.getFarmSaleValue(),
+            mortgageDebt: game.landMarket.getMortgageDebt(),
+            mortgagePayments: game.landMarket.getMortgagePayments(),
+            cells: game.grid.map(row => row.map(cell => ({
+                landUse: cell.landUse,
+                farmable: cell.isFarmable(),
+                tenure: cell.tenure,
+                waterAccess: cell.waterAccess,
+                cropId: cell.crop.id,
+                waterLevel: cell.waterLevel,
+                soilHealth: cell.soilHealth,
+                organicMatter: cell.organicMatter,
+                slope: cell.slope,
+                contour: cell.contour,
+                erosionThisYear: cell.erosionThisYear,
+                growthProgress: cell.growthProgress,
+                gddAccumulated: cell.gddAccumulated,
+                expectedYield: cell.expectedYield,
+                waterYieldFactor: cell.waterYieldFactor,
+                waterloggedDays: cell.waterloggedDays,
+                smokeTaint: cell.smokeTaint,
+                pestPressure: cell.pestPressure,
+                // Only outbreaks the farmer knows about (scouted or obvious)
+                outbreak: cell.infestation?.detected ? { pestId: cell.infestation.pestId, severity: cell.infestation.severity } : null,
+                pestProtectionDays: cell.pestProtectionDays,
+                nutrients: { ...cell.nutrients },
+                nutrientFactor: cell.getNutrientFactor(),
+                harvestReady: cell.harvestReady,
+                plantAge: cell.plantAge,
+                dormant: cell.dormant
+            })))
+        };
+    }
+
+    // Describes the discrete choices available for building an agent's action encoding
+    getActionSpace() {
+        return {
+            actionTypes: [...ACTION_TYPES],
+            gridRows: this.game ? this.game.gridRows : null,
+            gridCols: this.game ? this.game.gridCols : null,
+            bulkTargets: ['row', 'col', 'all'],
+            parcelSides: [...PARCEL_SIDES],
+            cropIds: this.game ? this.game.getAvailableCrops().map(c => c.id) : crops.filter(c => c.id !== 'empty').map(c => c.id),
+            coverCropIds: coverCrops.map(c => c.id),
+            fertilizerIds: fertilizers.map(f => f.id),
+            techIds: this.game ? this.game.technologies.map(t => t.id) : []
+        };
+    }
+}
+
+// Flatten an observation into a numeric feature vector (values roughly normalized to 0-1).
+// Layout: [year, dayOfYear, season one-hot(4), balance, water, surface water, water table, health,
+//          today's Tmax, Tmin, precip, ET0, humidity, smoke shading, labor stopped, market prices...,
+//          tech flags..., land price index, mortgage debt, then per cell: farmable, leased, wells only, crop one-hot, water, soil, OM, slope, contour, erosion this year, growth, yield,
+//          water yield factor, waterlogged days, smoke taint, pests,
+//          known outbreak severity, spray protection days, N, P, K,
+//          nutrient factor, ready, perennial age, dormant]
+export function observationToVector(observation, techIds) {
+    const cropIds = crops.map(c => c.id);
+    const cellCropIds = [...cropIds, ...coverCrops.map(c => c.id)];
+    const seasons = ['Spring', 'Summer', 'Fall', 'Winter'];
+    const vector = [
+        observation.year / 50,
+        observation.day / 360,
+        ...seasons.map(s => (s === observation.season ? 1 : 0)),
+        observation.balance / 1000000,
+        observation.waterReserve / 100,
+        observation.surfaceWaterAvailable / 2500,
+        observation.waterTableDepth / 450,
+        observation.farmHealth / 100,
+        (observation.weather?.tmax ?? 75) / 120, (observation.weather?.tmin ?? 50) / 120,
+        observation.weather?.precip ?? 0, (observation.weather?.et0 ?? 0) / 0.4, (observation.weather?.humidity ?? 50) / 100,
+        observation.weather?.smokeShading ?? 0, observation.laborStopped ? 1 : 0,
+        ...cropIds.filter(id => id !== 'empty').map(id => observation.marketPrices[id] || 1.0),
+        ...(techIds || []).map(id => (observation.researchedTechs.includes(id) ? 1 : 0)),
+        observation.landPriceIndex / 3, observation.mortgageDebt / 1000000
+    ];
+    observation.cells.forEach(row => row.forEach(cell => {
+        vector.push(cell.farmable ? 1 : 0, cell.tenure === 'leased' ? 1 : 0, cell.waterAccess === 'groundwater' ? 1 : 0);
+        cellCropIds.forEach(id => vector.push(cell.cropId === id ? 1 : 0));
+        vector.push(cell.waterLevel / 100, cell.soilHealth / 100, cell.organicMatter / 8,
+            cell.slope / 20, cell.contour ? 1 : 0, cell.erosionThisYear / 20, cell.growthProgress / 100,
+            cell.expectedYield / 150, cell.waterYieldFactor, cell.waterloggedDays / 20, cell.smokeTaint, cell.pestPressure / 100,
+            (cell.outbreak?.severity ?? 0) / 100, cell.pestProtectionDays / 14,
+            cell.nutrients.N / 250, cell.nutrients.P / 120, cell.nutrients.K / 300, cell.nutrientFactor,
+            cell.harvestReady ? 1 : 0, cell.plantAge / 30, cell.dormant ? 1 : 0);
+    }));
+    return vector;
+}
@@ -0,0 +1,42 @@
+/**
+ * California Climate Farmer - Fertilizer Definitions
+ *
+ * Fertilizer products the player can apply to a plot. Each adds nutrients
+ * (lbs/acre of N, P and K) to the cell's soil pools; organic products also add
+ * soil organic matter (% points). Cost is a factor of the game's base fertilizer cost.
+ */
+
+export const fertilizers = [
+    {
+        id: 'balanced', name: 'Balanced NPK', costFactor: 1.0,
+        nutrients: { N: 60, P: 20, K: 30 }, soilHealthBoost: 0,
+        description: 'General-purpose blend covering all three nutrients'
+    },
+    {
+        id: 'nitrogen', name: 'Urea (N)', costFactor: 0.9,
+        nutrients: { N: 100, P: 0, K: 0 }, soilHealthBoost: 0,
+        description: 'Cheap, concentrated nitrogen - prone to leaching in heavy rain'
+    },
+    {
+        id: 'phosphate', name: 'Superphosphate (P)', costFactor: 0.8,
+        nutrients: { N: 0, P: 40, K: 0 }, soilHealthBoost: 0,
+        description: 'Phosphorus for root and fruit development'
+    },
+    {
+        id: 'potash', name: 'Potash (K)', costFactor: 0.7,
+        nutrients: { N: 0, P: 0, K: 60 }, soilHealthBoost: 0,
+        description: 'Potassium for water regulation and fruit quality'
+    },
+    {
+        id: 'compost', name: 'Compost', costFactor: 1.2,
+        nutrients: { N: 25, P: 10, K: 20 }, soilHealthBoost: 5, organicMatter: 0.05,
+        description: 'Low-analysis organic input that also builds soil health and organic matter'
+    }
+];
+
+export const DEFAULT_FERTILIZER_ID = 'balanced';
+
+// Helper function to find fertilizer by ID (unknown IDs fall back to the default)
+export function getFertilizerById(id) {
+    return fertilizers.find(f => f.id === id) || fertilizers.find(f => f.id === DEFAULT_FERTILIZER_ID);
+}
@@ -7,10 +7,22 @@
 
 import { Cell } from './cell.js';
 import { crops, getCropById } from './crops.js';
+import { getFertilizerById, DEFAULT_FERTILIZER_ID } from './fertilizers.js';
 import { createTechnologyTree, checkTechPrerequisites, getTechEffectValue } from './technology.js';
 import { UIManager } from './ui.js'; // Still import, but instantiation is conditional
-import { Logger, calculateFarmHealth, calculateFarmValue, formatCurrency } from './utils.js'; // ADDED formatCurrency here
+import { Logger, SeededRandom, generateSeed, calculateFarmHealth, calculateFarmValue, formatCurrency } from './utils.js'; // ADDED formatCurrency here
 import * as Events from './events.js';
+import { SAVE_SCHEMA_VERSION, migrateSnapshot } from './save.js';
+import { MetricsRecorder } from './metrics.js';
+import { Aquifer } from './aquifer.js';
+import { WaterRights } from './water-rights.js';
+import { Weather, getChillHours, WATER_POINTS_PER_INCH } from './weather.js';
+import { getRegionById, getTrajectoryValue, START_CALENDAR_YEAR } from './regions.js';
+import { getPestById, updatePests } from './pests.js';
+import { getNeighborEffects, routeRunoff } from './spatial.js';
+import { generateSlopes, getDailyErosivity } from './erosion.js';
+import { MAX_GRID_SIZE, PARCEL_SIDES, getLandUseById, getFarmLayoutById, parseLayout, clampGridSize } from './land.js';
+import { LandMarket, MORTGAGE_DOWN_PAYMENT } from './land-market.js';
 
 // --- Constants ---
 const ANNUAL_INTEREST_RATE = 0.01;
@@ -27,6 +39,21 @@ const DAILY_OVERHEAD_COST = 3;
 
 const IRRIGATION_COST = 35;
 const FERTILIZE_COST = 50;
+const SCOUT_COST = 15;                  // Walking a plot to look for pests and disease
+const TREATMENT_COST = 120;             // One insecticide or fungicide spray
+const TREATMENT_EFFICACY = 0.75;        // Share of an outbreak a spray kills
+const TREATMENT_PROTECTION_DAYS = 14;   // Days a spray keeps new outbreaks off the plot
+const CONTOUR_COST = 150;               // Laying out a plot's rows on the contour
+const EROSION_TOLERANCE = 5;            // Soil loss (tons/acre/yr) the soil can rebuild (NRCS T value)
+const MAX_MARKET_PRICE_FACTOR = 3.0; // Cap on base price x temporary boosts
+
+// Weather
+const HEATWAVE_EXTRA_F = 12;            // Heatwave days run this much hotter than the generated weather
+const HEAT_DOME_EXTRA_F = 18;           // ...and heat dome days hotter still
+const RESERVE_POINTS_PER_INCH = 3;      // Farm water reserve gained per inch of rain
+const HEAVY_RAIN_INCHES = 1.5;          // Days with this much rain leach nitrate and report their soil loss
+const HEAVY_RAIN_LEACH_FRACTION = 0.25; // Share of soil nitrate washed below the root zone by heavy rain
+const REPORTED_SOIL_LOSS = 0.5;         // Heavy rain messages mention soil loss above this average (tons/acre)
 // --- End Constants ---
 
 const DAYS_IN_YEAR = 360; // Define for clarity if using seasons of 90 days
@@ -46,18 +73,38 @@ export class CaliforniaClimateFarmer {
         this.nextTestCallback = options.nextTestCallback || null;
         this.strategyTick = null; // Hook for test strategies
 
+        // --- Random Number Generation ---
+        // All simulation randomness flows through this.random() so a seed reproduces a run exactly.
+        this.seed = (options.seed !== undefined && options.seed !== null) ? (options.seed >>> 0) : generateSeed();
+        this.rng = new SeededRandom(this.seed);
+        this.random = () => this.rng.next();
+
+        // --- Region ---
+        // Sets the starting climate and its trajectory, plantable crops, water sources and starting soil (regions.js)
+        this.region = getRegionById(options.region);
+
+        // --- Farm Layout ---
+        // gridRows x gridCols plots (gridSize sets both). A layout (row strings or a preset ID, see land.js)
+        // also places roads, buildings and creeks, and sets the size itself.
+        this.gridRows = clampGridSize(options.gridRows ?? options.gridSize);
+        this.gridCols = clampGridSize(options.gridCols ?? options.gridSize);
+        this.layout = options.layout || null;
+
         // --- Core Game State ---
-        this.gridSize = 10;
         this.cellSize = 40; // UI concerns, but needed for some calcs potentially
         this.day = 1;
         this.year = 1;
         this.season = 'Spring';
+        this.seasonDay = 1; // Day within the current 90-day season
         this.dayOfYear = 1; // Track day within the year for simpler event scheduling/checks
         this.balance = INITIAL_BALANCE;
         // farmValue and farmHealth are calculated, initialize reasonably
         this.farmValue = 50000;
         this.farmHealth = 80;
         this.waterReserve = 75;
+        this.aquifer = new Aquifer(this.region.water); // Groundwater: water table depth, pumping costs and SGMA caps
+        this.waterRights = new WaterRights(this.region.water); // Surface water: annual district allocation, banking and water market
+        this.retired = false; // The farm has been sold (sellFarm), ending the game
         this.paused = false;
         this.speed = 5; // Initial speed multiplier
         this.currentOverlay = 'crop'; // Default UI overlay
@@ -74,6 +121,7 @@ export class CaliforniaClimateFarmer {
         const defaultVerbosity = this.headless ? 1 : 2;
         const loggerVerbosity = this.debugMode ? 3 : defaultVerbosity; // Debug mode enables level 3
         this.logger = new Logger(200, loggerVerbosity, this.headless);
+        if (options.consoleLogLevel !== undefined) this.logger.consoleLogLevel = options.consoleLogLevel; // e.g. 0 for quiet batch runs
 
         // --- Data Structures ---
         this.grid = [];
@@ -82,27 +130,37 @@ export class CaliforniaClimateFarmer {
         this.events = []; // Log for UI display
         this.pendingEvents = []; // Events scheduled to occur
         this.marketPrices = {}; // Stores current price multipliers { cropId: factor }
+        this.activeEvents = []; // Labels of events applied on the current day (e.g. 'drought:severe')
+        this.activeModifiers = []; // Time-limited multipliers on game parameters: { id, source, target, multiplier, expiresDay, label }
+
+        // --- Metrics ---
+        // recordMetrics: true or { interval: days } enables per-tick time-series sampling
+        this.metrics = null;
+        if (options.recordMetrics) {
+            this.metrics = new MetricsRecorder(typeof options.recordMetrics === 'object' ? options.recordMetrics : {});
+        }
 
         // --- Climate ---
-        this.climate = {
-            baseTemp: 70, // Base temperature for calculations if needed
-            rainfallChance: 0.15, // Base daily chance
-            droughtProbability: 0.05, // Base seasonal chance
-            floodProbability: 0.03, // Base seasonal chance
-            heatwaveProbability: 0.08, // Base seasonal chance
-            frostChanceWinter: 0.20, // Base daily chance in Winter
-            frostChanceSpringFall: 0.05 // Base daily chance in Spring/Fall
-        };
+        this.climate = this.createClimate(this.region);
+        this.applyClimateTrajectory();
+
+        this.weather = new Weather(); // Today's weather and the 7-day forecast
+        this.winterChillHours = 0; // Chill accumulated so far this winter (from daily temperatures)
+        this.lastWinterChillHours = null; // Chill from the most recent completed winter
+        this.smoke = null; // Wildfire smoke over the farm: { severity, shading, daysRemaining }
 
         // --- Event Cooldown Tracking ---
         this.lastDroughtEndDay = -Infinity;
         this.lastHeatwaveEndDay = -Infinity;
         this.lastFrostDay = -Infinity;
+        this.lastFloodDay = -Infinity; // Absolute day (see toDayOfThisYear)
+        this.lastSmokeDay = -Infinity; // Absolute day (see toDayOfThisYear)
 
         // --- INITIALIZE CORE COMPONENTS ---
         this.initializeGrid();          // Create the grid array and Cell objects
+        this.landMarket = this.createLandMarket(); // Land prices, neighbors' parcels on offer and mortgages
         this.updateMarketPrices(true); // Initialize market prices (true indicates initial setup)
-        this.farmValue = calculateFarmValue(this.grid, this.technologies); // Initial value calculation
+        this.farmValue = calculateFarmValue(this.grid, this.technologies, this.landMarket); // Initial value calculation
         this.farmHealth = calculateFarmHealth(this.grid, this.waterReserve); // Initial health calculation
 
 
@@ -141,17 +199,55 @@ export class CaliforniaClimateFarmer {
         this.updateInterval = 1000 / this.speed;
         this.animationFrameId = null;
 
-        this.logger.log(`Game initialized. Headless: ${this.headless}, TestMode: ${this.testMode}`, 1);
+        this.logger.log(`Game initialized. Region: ${this.region.name}, Headless: ${this.headless}, TestMode: ${this.testMode}, Seed: ${this.seed}`, 1);
     } // End constructor
     
     initializeGrid() {
-        for (let row = 0; row < this.gridSize; row++) {
+        const landUse = this.applyLayout(this.layout);
+        const slopes = generateSlopes(this.gridRows, this.gridCols, this.region.terrain?.slope, this.random);
+        for (let row = 0; row < this.gridRows; row++) {
             this.grid[row] = [];
-            for (let col = 0; col < this.gridSize; col++) {
-                this.grid[row][col] = new Cell();
+            for (let col = 0; col < this.gridCols; col++) {
+                this.grid[row][col] = this.createCell(slopes[row][col]);
+                if (landUse) this.grid[row][col].landUse = landUse[row][col];
             }
         }
-         this.logger.log(`Initialized ${this.gridSize}x${this.gridSize} grid.`, 2);
+         this.logger.log(`Initialized ${this.gridRows}x${this.gridCols} grid.`, 2);
+    }
+
+    // Set the farm's size from a layout (row strings or a preset ID, see land.js).
+    // Returns the land use of every plot, or null for all farmland (including a layout that fails to parse).
+    applyLayout(layout) {
+        if (!layout) return null;
+        const preset = typeof layout === 'string' ? getFarmLayoutById(layout) : null;
+        if (typeof layout === 'string' && !preset) {
+            this.logger.log(`ERROR: Unknown farm layout "${layout}". Using open farmland.`, 0);
+            return null;
+        }
+        if (preset && !preset.layout) return null;
+        const parsed = parseLayout(preset ? preset.layout : layout);
+        if (parsed.errors.length > 0) {
+            parsed.errors.forEach(error => this.logger.log(`ERROR: Farm layout: ${error}`, 0));
+            this.logger.log('Farm layout rejected. Using open farmland.', 0);
+            return null;
+        }
+        this.gridRows = parsed.rows;
+        this.gridCols = parsed.cols;
+        return parsed.landUse;
+    }
+
+    // A new plot of the region's soil
+    // `soil` overrides the region's starting soil (e.g. a neighbor's parcel); waterAccess: 'district' or 'groundwater'
+    createCell(slope, tenure = 'owned', soil = null, waterAccess = 'district') {
+        const cell = new Cell({ ...this.region.soil, ...soil });
+        cell.slope = slope;
+        cell.tenure = tenure;
+        cell.waterAccess = waterAccess;
+        return cell;
+    }
+
+    isInGrid(row, col) {
+        return row >= 0 && row < this.gridRows && col >= 0 && col < this.gridCols;
     }
 
     start() {
@@ -203,14 +299,23 @@ export class CaliforniaClimateFarmer {
     }
 
     runTick() {
-        this.balance -= this.dailyOverheadCost;
+        if (this.retired) return;
+        this.balance -= Math.round(this.dailyOverheadCost * this.getModifierMultiplier('dailyOverheadCost'));
         if (this.balance < -5000 && !this.testMode) {
              this.addEvent("Warning: Farm operating at a significant loss!", true);
         }
 
         this.day++;
         this.seasonDay++;
-        this.updateFarmCells();
+        const weather = this.weather.advanceTo(this.getAbsoluteDay(), this.climate, this.random);
+        if (this.smoke) this.weather.applySmoke(this.smoke.shading);
+        if (weather.precip > 0) this.applyPrecipitation(weather.precip);
+        const neighborEffects = getNeighborEffects(this.grid);
+        this.updateFarmCells(neighborEffects);
+        this.updateSmoke();
+        this.updatePestOutbreaks(neighborEffects);
+        this.aquifer.update();
+        if (this.season === 'Winter') this.winterChillHours += getChillHours(weather);
 
         if (this.seasonDay > 90) {
             this.seasonDay = 1;
@@ -221,11 +326,12 @@ export class CaliforniaClimateFarmer {
             this.advanceYear();
         }
 
+        this.expireModifiers();
         this.processPendingEvents();
         this.farmHealth = calculateFarmHealth(this.grid, this.waterReserve);
 
         // Reduced base event chance slightly
-        if (this.day % 4 === 0 && Math.random() < 0.20) {
+        if (this.day % 4 === 0 && this.random() < 0.20) {
              this.scheduleRandomEvent();
         }
 
@@ -237,6 +343,8 @@ export class CaliforniaClimateFarmer {
                  console.error("Error during strategy execution:", error);
             }
         }
+
+        if (this.metrics) this.metrics.record(this);
     }
 
     scheduleRandomEvent() {
@@ -249,18 +357,21 @@ export class CaliforniaClimateFarmer {
             lastDroughtEndDay: this.lastDroughtEndDay,
             lastHeatwaveEndDay: this.lastHeatwaveEndDay,
             lastFrostDay: this.lastFrostDay,
-            logger: this.logger // Pass logger for potential debug messages in events.js
+            lastFloodDay: this.toDayOfThisYear(this.lastFloodDay),
+            lastSmokeDay: this.toDayOfThisYear(this.lastSmokeDay),
+            logger: this.logger, // Pass logger for potential debug messages in events.js
+            random: this.random // Seeded RNG so event rolls are reproducible
         };
         const newEvent = Events.generateRandomEvent(farmState);
         if (newEvent) {
             const isDuplicate = this.pendingEvents.some(event =>
                 event.type === newEvent.type && Math.abs(event.day - newEvent.day) < 5);
             if (!isDuplicate) {
-                if(newEvent.day <= this.day) newEvent.day = this.day + Math.floor(Math.random() * 5) + 1;
+                if(newEvent.day <= this.day) newEvent.day = this.day + Math.floor(this.random() * 5) + 1;
 
                 const maxEventDay = (this.year * DAYS_IN_YEAR) + DAYS_IN_YEAR;
                 const currentAbsoluteDay = (this.year - 1) * DAYS_IN_YEAR + this.day;
-                if (newEvent.day > maxEventDay) newEvent.day = currentAbsoluteDay + Math.floor(Math.random() * 30) + 10;
+                if (newEvent.day > maxEventDay) newEvent.day = currentAbsoluteDay + Math.floor(this.random() * 30) + 10;
 
 
                 this.pendingEvents.push(newEvent);
@@ -272,12 +383,13 @@ export class CaliforniaClimateFarmer {
         }
     }
 
-    updateFarmCells() {
+    // `neighborEffects` (getNeighborEffects in spatial.js) carries windbreak shelter and pollination from adjacent plots
+    updateFarmCells(neighborEffects = getNeighborEffects(this.grid)) {
         let harvestReadyCells = [];
-        for (let row = 0; row < this.gridSize; row++) {
-            for (let col = 0; col < this.gridSize; col++) {
+        for (let row = 0; row < this.gridRows; row++) {
+            for (let col = 0; col < this.gridCols; col++) {
                 const cell = this.grid[row][col];
-                const result = cell.update(this.waterReserve, this.researchedTechs);
+                const result = cell.update(this.waterReserve, this.researchedTechs, this.random, this.weather.today, neighborEffects[row][col]);
                 if (result === 'harvest-ready') harvestReadyCells.push({ row, col });
             }
         }
@@ -300,42 +412,57 @@ export class CaliforniaClimateFarmer {
         const farmState = {
             climate: this.climate, day: this.day, season: this.season, year: this.year,
             lastDroughtEndDay: this.lastDroughtEndDay, lastHeatwaveEndDay: this.lastHeatwaveEndDay,
-            lastFrostDay: this.lastFrostDay, logger: this.logger
+            lastFrostDay: this.lastFrostDay, lastFloodDay: this.toDayOfThisYear(this.lastFloodDay), lastSmokeDay: this.toDayOfThisYear(this.lastSmokeDay),
+            logger: this.logger, random: this.random
         };
 
         switch (this.season) {
             case 'Summer':
-                if (Math.random() < this.climate.droughtProbability) {
+                if (this.random() < this.climate.droughtProbability) {
                     const droughtEvent = Events.scheduleDrought(this.day, this.climate.droughtProbability, farmState);
                     if (droughtEvent) this.pendingEvents.push(droughtEvent);
                 }
-                if (Math.random() < this.climate.heatwaveProbability) {
+                if (this.random() < this.climate.heatwaveProbability) {
                      const heatwaveEvent = Events.scheduleHeatwave(this.day, farmState);
                      if (heatwaveEvent) this.pendingEvents.push(heatwaveEvent);
                 }
                 break;
             case 'Winter':
-                 if (Math.random() < 0.3) {
+                 if (this.random() < 0.3) {
                       const frostEvent = Events.scheduleFrost(this.day, farmState);
                       if (frostEvent) this.pendingEvents.push(frostEvent);
                  }
-                 recovery = Math.floor(4 + Math.random() * 5);
+                 recovery = Math.floor(4 + this.random() * 5);
                  break;
             case 'Spring':
-                 if (Math.random() < 0.4) this.pendingEvents.push(Events.scheduleRain(this.day));
-                 recovery = Math.floor(8 + Math.random() * 11);
+                 recovery = Math.floor(8 + this.random() * 11);
                  break;
             case 'Fall':
-                 if (Math.random() < 0.3) this.pendingEvents.push(Events.scheduleRain(this.day));
-                 if (Math.random() < (this.climate.heatwaveProbability * 0.5)) {
+                 if (this.random() < (this.climate.heatwaveProbability * 0.5)) {
                      const heatwaveEvent = Events.scheduleHeatwave(this.day, farmState);
                      if (heatwaveEvent) this.pendingEvents.push(heatwaveEvent);
                  }
-                 recovery = Math.floor(4 + Math.random() * 5);
+                 recovery = Math.floor(4 + this.random() * 5);
                  break;
         }
+        // Floods strike in the region's flood seasons; the megaflood (levee failure) roll is once a year, in Winter
+        if (this.climate.floodSeasons.includes(this.season)) {
+            const megaflood = this.season === 'Winter' && this.random() < this.climate.megafloodProbability;
+            if (megaflood || this.random() < this.climate.floodProbability) {
+                const floodDay = (this.day + Math.floor(this.random() * 60)) % DAYS_IN_YEAR + 1; // Spring starts on day 361, before the year rolls over
+                const floodEvent = Events.scheduleFlood(floodDay, farmState, megaflood);
+                if (floodEvent) this.pendingEvents.push(floodEvent);
+            }
+        }
+        // Fire season: smoke from wildfires upwind can settle over the farm in Summer and Fall
+        if ((this.season === 'Summer' || this.season === 'Fall') && this.random() < this.climate.wildfireSmokeProbability) {
+            const smokeDay = this.day + 1 + Math.floor(this.random() * 80);
+            const smokeEvent = Events.scheduleWildfireSmoke(smokeDay, farmState);
+            if (smokeEvent) this.pendingEvents.push(smokeEvent);
+        }
         if (recovery > 0) {
              this.waterReserve = Math.min(100, this.waterReserve + recovery);
+             this.aquifer.rechargeFromSeason(recovery);
              const msg = `${this.season} precipitation replenished ${recovery}% water reserves.`;
              this.addEvent(msg); this.logger.log(msg, 1);
         }
@@ -361,15 +488,31 @@ export class CaliforniaClimateFarmer {
              this.logger.log(msg, 1);
         }
 
-        this.farmValue = calculateFarmValue(this.grid, this.technologies);
+        this.payLandRent();
+        this.payMortgages();
+        this.farmValue = calculateFarmValue(this.grid, this.technologies, this.landMarket);
         const sustainabilityScore = this.calculateSustainabilityScore();
 
         this.logger.log(`Year ${this.year} Summary: Balance: ${formatCurrency(this.balance)}, Value: ${formatCurrency(this.farmValue)}, Health: ${this.farmHealth}%, Water: ${this.waterReserve.toFixed(1)}%, SustainScore: ${sustainabilityScore.total}%`, 1);
         this.logger.log(` -- Sustain Breakdown: Soil ${sustainabilityScore.soilScore}%, Diversity ${sustainabilityScore.diversityScore}%, Tech ${sustainabilityScore.techScore}%`, 2);
 
-        this.climate.droughtProbability = Math.min(0.5, this.climate.droughtProbability + 0.005);
-        this.climate.heatwaveProbability = Math.min(0.6, this.climate.heatwaveProbability + 0.005);
-        this.logger.log(`Climate Change Update: Drought Prob ${this.climate.droughtProbability.toFixed(3)}, Heatwave Prob ${this.climate.heatwaveProbability.toFixed(3)}`, 2);
+        this.startPerennialYear();
+        this.startErosionYear();
+
+        const aquiferMsg = this.aquifer.startNewYear();
+        if (aquiferMsg) { this.addEvent(aquiferMsg, this.aquifer.overdrafted); this.logger.log(aquiferMsg, 1); }
+        this.logger.log(`Groundwater: Water table ${this.aquifer.depth.toFixed(1)} ft, pumping cap ${this.aquifer.annualCap}`, 2);
+
+        // Allocation reflects the drought risk going into the new year (before this year's climate update)
+        const allocationMsg = this.waterRights.startNewYear(this.climate.droughtProbability, this.climate.surfaceSupplyLoss);
+        this.addEvent(allocationMsg, this.waterRights.allocationPercent < 0.5); this.logger.log(allocationMsg, 1);
+
+        // Land prices follow the new year's water outlook
+        const landMsg = this.landMarket.startNewYear(this.climate.droughtProbability, this.getWaterOutlook());
+        this.addEvent(landMsg); this.logger.log(landMsg, 2);
+
+        this.applyClimateTrajectory();
+        this.logger.log(`Climate Change Update: Drought Prob ${this.climate.droughtProbability.toFixed(3)}, Heatwave Prob ${this.climate.heatwaveProbability.toFixed(3)}, Flood Prob ${this.climate.floodProbability.toFixed(3)} (megaflood ${this.climate.megafloodProbability.toFixed(3)}), Smoke Prob ${this.climate.wildfireSmokeProbability.toFixed(3)}, Warming +${this.climate.warmingF.toFixed(1)}F`, 2);
 
         this.addEvent(`Happy New Year! Completed Year ${this.year - 1}.`);
 
@@ -393,11 +536,121 @@ export class CaliforniaClimateFarmer {
         this.logger.log(subsidyMsg, 1);
 
         // Check for test termination condition AFTER year processing
-        if (this.testMode && this.autoTerminate && (this.year >= this.testEndYear || this.balance <= 0)) {
+        if (this.testMode && this.autoTerminate && (this.year >= this.testEndYear || this.isGameOver())) {
              this.logger.log(`Test termination condition met after year processing. Year: ${this.year}, Balance: ${formatCurrency(this.balance)}`, 1);
         }
     }
 
+    // Starting climate: defaults overlaid with the region's climate (weather normals, rain and frost chances)
+    createClimate(region) {
+        return {
+            baseTemp: 70, // Base temperature for calculations if needed
+            warmingF: 0, // Degrees F added to the weather generator's historic normals
+            rainfallChance: 0.15, // Base daily chance
+            droughtProbability: 0.05, // Base seasonal chance
+            floodProbability: 0.03, // Base chance per flood season
+            megafloodProbability: 0.01, // Base yearly chance, rolled in Winter
+            floodSeasons: ['Winter', 'Spring'],
+            heatwaveProbability: 0.08, // Base seasonal chance
+            wildfireSmokeProbability: 0.1, // Base chance in Summer and in Fall
+            annualErosivity: 20, // USLE R factor of a typical year's rain
+            frostChanceWinter: 0.20, // Base daily chance in Winter
+            frostChanceSpringFall: 0.05, // Base daily chance in Spring/Fall
+            surfaceSupplyLoss: 0, // Share of the surface water entitlement lost for good
+            ...region.climate
+        };
+    }
+
+    // Game year 1 is START_CALENDAR_YEAR; the region's climate trajectories are keyed by calendar year
+    getCalendarYear() {
+        return START_CALENDAR_YEAR + this.year - 1;
+    }
+
+    // Set each climate field with a regional trajectory to its value for the current year
+    applyClimateTrajectory() {
+        const calendarYear = this.getCalendarYear();
+        Object.entries(this.region.trajectories).forEach(([field, table]) => {
+            this.climate[field] = getTrajectoryValue(table, calendarYear);
+        });
+    }
+
+    // Cash crops the farm's region can grow (cover crops can be planted anywhere)
+    getAvailableCrops() {
+        return crops.filter(crop => this.region.crops.includes(crop.id));
+    }
+
+    isCropAvailable(cropId) {
+        const crop = getCropById(cropId);
+        return !!crop && (crop.isCoverCrop || this.region.crops.includes(crop.id));
+    }
+
+    // Daily rainfall from the weather generator soaks into every plot and tops up reserves.
+    // The rain erodes soil (USLE, see erosion.js), and what doesn't soak in runs off downslope
+    // with the soil it carries (see routeRunoff in spatial.js). Heavy rain also leaches nitrate.
+    applyPrecipitation(inches) {
+        const waterPoints = inches * WATER_POINTS_PER_INCH;
+        const result = routeRunoff(this.grid, waterPoints, this.researchedTechs, getDailyErosivity(inches));
+        if (result.sediment > 0) this.logger.log(`Runoff: ${result.runoff.toFixed(0)} water units and ${result.sediment.toFixed(1)} soil points washed off the farm`, 3);
+        this.waterReserve = Math.min(100, this.waterReserve + inches * RESERVE_POINTS_PER_INCH);
+        this.aquifer.rechargeFromRain(inches * RESERVE_POINTS_PER_INCH);
+        if (inches < HEAVY_RAIN_INCHES) return;
+
+        let plots = 0;
+        this.grid.forEach(row => row.forEach(cell => {
+            if (!cell.isFarmable()) return;
+            plots++;
+            // Cover crop roots scavenge nitrate before it leaches
+            cell.applyEnvironmentalEffect('nutrient-leach', HEAVY_RAIN_LEACH_FRACTION, cell.crop.leachingReduction || 0);
+        }));
+        const averageLoss = result.erosion / Math.max(1, plots);
+        let msg = `Heavy rain: ${inches.toFixed(1)} inches fell.`;
+        if (averageLoss >= REPORTED_SOIL_LOSS) msg += ` Soil loss averaged ${averageLoss.toFixed(1)} t/acre (worst plot ${result.worstErosion.toFixed(1)}).`;
+        this.addEvent(msg); this.logger.log(msg, 2);
+    }
+
+    // Roll each plot's erosion tally over to last year and warn about plots losing soil faster than it forms
+    startErosionYear() {
+        let total = 0, plots = 0, overTolerance = 0;
+        this.grid.forEach(row => row.forEach(cell => {
+            if (!cell.isFarmable()) return;
+            total += cell.erosionThisYear; plots++;
+            if (cell.erosionThisYear > EROSION_TOLERANCE) overTolerance++;
+            cell.erosionLastYear = cell.erosionThisYear;
+            cell.erosionThisYear = 0;
+        }));
+        this.logger.log(`Soil erosion last year: ${(total / Math.max(1, plots)).toFixed(2)} t/acre average`, 2);
+        if (overTolerance > 0) {
+            const msg = `Erosion beat the ${EROSION_TOLERANCE} t/acre the soil can rebuild on ${overTolerance} plot${overTolerance === 1 ? '' : 's'} last year. Cover, contour or break up long slopes.`;
+            this.addEvent(msg, true); this.logger.log(msg, 1);
+        }
+    }
+
+    // New year = spring bloom: age orchards and set their crop from the winter's chill
+    startPerennialYear() {
+        const chillHours = Math.round(this.winterChillHours);
+        this.lastWinterChillHours = chillHours;
+        this.winterChillHours = 0;
+
+        const shortCrops = new Set();
+        let lostCrops = 0;
+        this.grid.forEach(row => row.forEach(cell => {
+            const result = cell.startNewYear(chillHours);
+            if (!result) return;
+            if (result.lostCrop) lostCrops++;
+            if (result.bearing && cell.chillFactor < 1) shortCrops.add(cell.crop.name);
+        }));
+
+        this.logger.log(`Winter chill: ${chillHours} hours`, 2);
+        if (shortCrops.size > 0) {
+            const msg = `Warm winter: only ${chillHours} chill hours. Poor bloom expected for ${[...shortCrops].join(', ')}.`;
+            this.addEvent(msg, true); this.logger.log(msg, 1);
+        }
+        if (lostCrops > 0) {
+            const msg = `${lostCrops} orchard plot(s) were never harvested last season - that crop is lost.`;
+            this.addEvent(msg, true); this.logger.log(msg, 1);
+        }
+    }
+
     calculateSustainabilityScore() { // No changes here from previous version
         let soilScore = 0;
         let cropDiversityScore = 0;
@@ -407,12 +660,13 @@ export class CaliforniaClimateFarmer {
         let cropCounts = {};
         let totalCrops = 0;
         let monocropPenalty = 0;
-        for (let row = 0; row < this.gridSize; row++) {
-            for (let col = 0; col < this.gridSize; col++) {
+        for (let row = 0; row < this.gridRows; row++) {
+            for (let col = 0; col < this.gridCols; col++) {
                 const cell = this.grid[row][col];
+                if (!cell.isFarmable()) continue;
                 totalSoilHealth += cell.soilHealth;
                 cellCount++;
-                if (cell.crop.id !== 'empty') {
+                if (cell.crop.id !== 'empty' && !cell.crop.isCoverCrop) { // Diversity is measured across cash crops
                     cropCounts[cell.crop.id] = (cropCounts[cell.crop.id] || 0) + 1;
                     totalCrops++;
                     if (cell.consecutivePlantings > 0) monocropPenalty += cell.consecutivePlantings * 2;
@@ -455,6 +709,10 @@ processPendingEvents() {
         const activeEventsToday = this.pendingEvents.filter(event => event.day === this.day);
         const remainingEvents = this.pendingEvents.filter(event => event.day !== this.day);
         this.pendingEvents = remainingEvents;
+        this.activeEvents = activeEventsToday.filter(event => event && event.type).map(event => {
+            const detail = event.subType || event.severity || event.policyType || event.direction;
+            return detail ? `${event.type}:${detail}` : event.type;
+        });
 
         activeEventsToday.forEach(event => {
              if (!event || !event.type) {
@@ -463,7 +721,7 @@ processPendingEvents() {
                  return;
              }
 
-             this.logger.log(`-- Applying event: ${event.type} (${event.subType || event.severity || event.policyType || ''})`, 2);
+             this.logger.log(`-- Applying event: ${event.type} (${event.subType || event.severity || event.policyType || event.templateId || ''})`, 2);
             let result = {};
             let continueEvent = null;
             let logMsg = event.message;
@@ -484,16 +742,11 @@ processPendingEvents() {
 
             try {
                  switch (event.type) {
-                    case 'rain':
-                        result = Events.applyRainEvent(event, this.grid, this.waterReserve, this.researchedTechs);
-                        this.waterReserve = result.waterReserve;
-                        logMsg = result.message;
-                        if (event.severity === 'heavy') logLvl = 2; else logLvl = 3;
-                        break;
                     case 'drought':
                          result = Events.applyDroughtEvent(event, this.grid, this.waterReserve, this.researchedTechs);
                          if (!result.skipped) {
                              this.waterReserve = result.waterReserve;
+                             this.waterRights.recordDroughtDay();
                              logMsg = result.message;
                              if (result.continueEvent) {
                                  continueEvent = { ...event, day: this.day + 1, duration: result.nextDuration, message: result.message };
@@ -510,11 +763,23 @@ processPendingEvents() {
                     case 'heatwave':
                         result = Events.applyHeatwaveEvent(event, this.grid, this.waterReserve, this.researchedTechs);
                          if (!result.skipped) {
+                            this.weather.applyHeatwave(event.severity === 'heat_dome' ? HEAT_DOME_EXTRA_F : HEATWAVE_EXTRA_F);
                             this.waterReserve = result.waterReserve;
                             logMsg = result.message;
                              if (result.continueEvent) {
                                 continueEvent = { ...event, day: this.day + 1, duration: result.nextDuration, message: result.message };
-                                if (event.duration === result.nextDuration + 1) { this.logger.log(`Event Started: ${logMsg}`, 1); }
+                                if (event.duration === result.nextDuration + 1) {
+                                    this.logger.log(`Event Started: ${logMsg}`, 1);
+                                    // Fuels dried out by a heat dome often burn; the smoke arrives a few days in
+                                    if (Events.rollHeatDomeSmoke(event, this.random)) {
+                                        const smokeEvent = Events.scheduleWildfireSmoke(this.day + 2 + Math.floor(this.random() * 4),
+                                            { lastSmokeDay: this.toDayOfThisYear(this.lastSmokeDay), logger: this.logger, random: this.random });
+                                        if (smokeEvent) {
+                                            this.pendingEvents.push(smokeEvent);
+                                            this.addEvent(smokeEvent.forecastMessage);
+                                        }
+                                    }
+                                }
                                 else { this.logger.log(`Event Continues: ${logMsg}`, 3); }
                                 logMsg = null;
                              } else {
@@ -529,6 +794,20 @@ processPendingEvents() {
                          logMsg = result.message;
                          this.lastFrostDay = this.day;
                         break;
+                    case 'flood':
+                         result = Events.applyFloodEvent(event, this.grid, this.researchedTechs, this.getTechEffectValue('floodProtection', 1.0), this.random);
+                         this.balance += result.balanceChange;
+                         this.waterReserve = Math.min(100, this.waterReserve + result.waterIncrease);
+                         this.aquifer.rechargeFromRain(result.waterIncrease);
+                         logMsg = result.message;
+                         logLvl = 1;
+                         this.lastFloodDay = this.getAbsoluteDay();
+                        break;
+                    case 'smoke':
+                         this.smoke = { severity: event.severity, shading: Events.SMOKE_SEVERITIES[event.severity].shading, daysRemaining: event.duration };
+                         this.lastSmokeDay = this.getAbsoluteDay();
+                         logLvl = event.severity === 'heavy' ? 1 : 2;
+                        break;
                      // --- PHASE 2: Handle Favorable Weather ---
                      case 'weather': // Catch-all for weather sub-types if needed
                          if (event.subType === 'favorable') {
@@ -545,16 +824,25 @@ processPendingEvents() {
                          result = Events.applyMarketEvent(event, this.marketPrices, crops);
                         this.marketPrices = result.marketPrices;
                         logMsg = result.message;
-                        // TODO: Implement temporary boost reset mechanism if needed.
+                        if (result.boost) {
+                            const cropName = getCropById(result.boost.cropId)?.name || result.boost.cropId;
+                            this.addModifier({
+                                source: 'market_opportunity', target: `marketPrice:${result.boost.cropId}`,
+                                multiplier: result.boost.multiplier, durationDays: result.boost.duration,
+                                label: `${cropName} demand`
+                            });
+                        }
                         break;
                     case 'policy':
                          result = Events.applyPolicyEvent(event, this.balance);
                          let finalCostPolicy = 0;
                          // Handle different policy types
                          if (event.policyType === 'water_restriction' && event.irrigationCostIncrease) {
-                              // Apply irrigation cost modifier - HOW? Need a game state flag or modifier
-                              // For now, we log it, but effect isn't applied yet. Needs mechanism.
-                              this.logger.log(`Water restriction active: Irrigation costs increased by ${event.irrigationCostIncrease * 100}%`, 1);
+                              this.addModifier({
+                                  source: event.policyType, target: 'irrigationCost',
+                                  multiplier: 1 + event.irrigationCostIncrease, durationDays: event.duration || 90,
+                                  label: 'Water restriction'
+                              });
                               logMsg = result.message; // Use message from event
                          } else if (result.balanceChange < 0 && event.baseCost) { // Handle 'new_regulations' cost scaling
                              const baseCostPolicy = Math.abs(event.baseCost);
@@ -609,6 +897,18 @@ processPendingEvents() {
                              }
                          }
                         break;
+                    case 'template': // Content pack event (events.js eventTemplates)
+                         result = Events.applyTemplateEvent(event, this.grid);
+                         logMsg = result.message;
+                         if (event.balanceChange) {
+                             this.balance += event.balanceChange;
+                             logMsg += ` (${event.balanceChange > 0 ? '+' : '-'}${formatCurrency(Math.abs(event.balanceChange))})`;
+                         }
+                         if (event.modifier) {
+                             this.addModifier({ source: event.templateId, ...event.modifier, label: event.modifier.label || event.templateId });
+                         }
+                         if (!event.isAlert) logLvl = 2;
+                        break;
 
                     default:
                          this.logger.log(`Unknown event type processed: ${event.type}`, 0);
@@ -642,13 +942,60 @@ processPendingEvents() {
         }
     }
 
+    // Count down the smoke episode set off by a 'smoke' event
+    updateSmoke() {
+        if (!this.smoke) return;
+        this.smoke.daysRemaining--;
+        if (this.smoke.daysRemaining <= 0) {
+            this.smoke = null;
+            this.addEvent('The wildfire smoke has cleared.'); this.logger.log('Wildfire smoke event ended.', 2);
+        }
+    }
+
+    // Daily pest and disease outbreaks and spread (pests.js); reports outbreaks that have become obvious
+    updatePestOutbreaks(neighborEffects = null) {
+        const result = updatePests(this.grid, this.weather.today, this.random, {
+            techs: this.researchedTechs, outbreakFactor: this.getTechEffectValue('pestResistance', 1.0), neighborEffects
+        });
+        const found = {};
+        result.newlyVisible.forEach(({ pestId }) => { found[pestId] = (found[pestId] || 0) + 1; });
+        Object.entries(found).forEach(([pestId, count]) => {
+            const msg = `${getPestById(pestId).name} spotted in ${count} plot${count === 1 ? '' : 's'}. Treat before it spreads.`;
+            this.addEvent(msg, true); this.logger.log(msg, 2);
+        });
+    }
+
+    // Heavy smoke makes outdoor work unsafe: no planting, fertilizing, scouting, spraying, harvesting, contouring or orchard removal.
+    // Irrigation runs on timers and keeps going.
+    isLaborStopped() {
+        return !!this.smoke && Events.SMOKE_SEVERITIES[this.smoke.severity]?.stopsLabor === true;
+    }
+
+    // Logs and reports any player action once the farm has been sold (sellFarm)
+    checkRetired(action) {
+        if (!this.retired) return false;
+        this.logger.log(`Cannot ${action}: the farm has been sold.`, 2);
+        return true;
+    }
+
+    // Logs and reports a field-work refusal during a labor stoppage
+    checkLaborStopped(action, row, col) {
+        if (!this.isLaborStopped()) return false;
+        this.logger.log(`Cannot ${action} at (${row}, ${col}): field crews are stood down in heavy wildfire smoke.`, 2);
+        return true;
+    }
+
     plantCrop(row, col, cropId) {
-        if (row < 0 || row >= this.gridSize || col < 0 || col >= this.gridSize) { this.logger.log(`Invalid coordinates for planting: (${row}, ${col})`, 0); return false; }
+        if (!this.isInGrid(row, col)) { this.logger.log(`Invalid coordinates for planting: (${row}, ${col})`, 0); return false; }
+        if (this.checkRetired('plant')) return false;
+        if (this.checkLaborStopped('plant', row, col)) return false;
         if (!this.grid[row] || !this.grid[row][col]) { this.logger.log(`ERROR: Cell object missing at (${row}, ${col})`, 0); return false; }
         const cell = this.grid[row][col];
+        if (!cell.isFarmable()) { this.logger.log(`Cannot plant at (${row}, ${col}): the plot is ${getLandUseById(cell.landUse).name.toLowerCase()}, not farmland.`, 2); return false; }
         const newCrop = getCropById(cropId);
         if (!newCrop || newCrop.id === 'empty') { this.logger.log(`Invalid crop ID for planting: ${cropId}`, 0); return false; }
-        const plantingCost = Math.round(newCrop.basePrice * this.plantingCostFactor);
+        if (!this.isCropAvailable(newCrop.id)) { this.logger.log(`${newCrop.name} is not grown in the ${this.region.name} region.`, 2); return false; }
+        const plantingCost = this.getPlantingCost(newCrop);
         if (this.balance < plantingCost) {
             const msg = `Cannot afford to plant ${newCrop.name}. Cost: ${formatCurrency(plantingCost)}, Balance: ${formatCurrency(this.balance)}`;
             if (!this.testMode) this.addEvent(msg, true);
@@ -656,7 +1003,8 @@ processPendingEvents() {
             return false;
         }
         const currentCropId = cell.crop ? cell.crop.id : 'error_cell.crop_null';
-        if (currentCropId !== 'empty') {
+        // Cover crops and managed fallow are terminated by planting over them
+        if (currentCropId !== 'empty' && !cell.crop.isCoverCrop) {
             const msg = `Cannot plant ${newCrop.name}, plot (${row}, ${col}) is already occupied by ${cell.crop.name}. Current ID: '${currentCropId}'`;
              if (!this.testMode) this.addEvent(msg, true);
             this.logger.log(msg, this.testMode ? 3 : 1);
@@ -664,8 +1012,9 @@ processPendingEvents() {
         }
 
         this.balance -= plantingCost;
+        const terminatedCover = cell.crop.isCoverCrop ? ` (terminated ${cell.crop.name})` : '';
         if (cell.plant(newCrop)) {
-             const msg = `Planted ${newCrop.name} at (${row}, ${col}). Cost: ${formatCurrency(plantingCost)}`;
+             const msg = `Planted ${newCrop.name} at (${row}, ${col})${terminatedCover}. Cost: ${formatCurrency(plantingCost)}`;
              this.logger.log(msg, 2);
              if (this.ui) { this.ui.updateHUD(); this.ui.showCellInfo(row, col); }
              return true;
@@ -676,32 +1025,75 @@ processPendingEvents() {
         }
     }
 
+    // Pull out an orchard or vineyard so the plot can be replanted
+    removeCrop(row, col) {
+        if (!this.isInGrid(row, col)) return false;
+        if (this.checkRetired('remove a crop')) return false;
+        if (this.checkLaborStopped('remove a crop', row, col)) return false;
+        const cell = this.grid[row][col];
+        if (!cell.crop.perennial) {
+            this.logger.log(`Nothing to remove at (${row}, ${col}): ${cell.crop.name} is not a perennial.`, 3);
+            return false;
+        }
+        const cost = this.getRemovalCost(cell.crop);
+        if (this.balance < cost) {
+            const msg = `Cannot afford to remove ${cell.crop.name}. Cost: ${formatCurrency(cost)}`;
+            if (!this.testMode) this.addEvent(msg, true);
+            this.logger.log(msg, 2);
+            return false;
+        }
+        const cropName = cell.crop.name;
+        const age = cell.plantAge;
+        this.balance -= cost;
+        cell.clear();
+        const msg = `Removed ${age}-year-old ${cropName} at (${row}, ${col}). Cost: ${formatCurrency(cost)}`;
+        this.addEvent(msg); this.logger.log(msg, 2);
+        if (this.ui) { this.ui.updateHUD(); this.ui.showCellInfo(row, col); this.ui.render(); }
+        return true;
+    }
+
     irrigateCell(row, col) {
-         if (row < 0 || row >= this.gridSize || col < 0 || col >= this.gridSize) return false;
+         if (!this.isInGrid(row, col)) return false;
+        if (this.checkRetired('irrigate')) return false;
         const cell = this.grid[row][col];
-        const cost = this.irrigationCost;
+        const cost = this.getIrrigationCost(cell);
         if (cell.crop.id === 'empty') { this.addEvent('Cannot irrigate empty plot.', true); this.logger.log(`Attempted to irrigate empty plot (${row}, ${col})`, 2); return false; }
         if (cell.irrigated) { this.logger.log(`Plot (${row}, ${col}) already irrigated today.`, 3); return false; }
+        // Surface water allocation is used first; groundwater only once it runs out (or on wells-only land)
+        const useSurfaceWater = this.canUseSurfaceWater(cell);
+        if (!useSurfaceWater) {
+             const pumpCheck = this.aquifer.canPump(1);
+             if (!pumpCheck.allowed) {
+                  this.addEvent(`Cannot irrigate: ${pumpCheck.reason}.`, true);
+                  this.logger.log(`Cannot irrigate (${row}, ${col}): ${pumpCheck.reason}`, 2);
+                  return false;
+             }
+        }
         if (this.balance < cost) {
              this.addEvent(`Cannot afford irrigation (${formatCurrency(cost)}).`, true);
              this.logger.log(`Cannot afford irrigation (${formatCurrency(cost)}). Balance: ${formatCurrency(this.balance)}`, 2);
              return false;
         }
         this.balance -= cost;
+        if (useSurfaceWater) this.waterRights.draw(1);
+        else this.aquifer.pump(1);
         const waterEfficiency = this.getTechEffectValue('waterEfficiency', 1.0);
         cell.irrigate(waterEfficiency);
-        const msg = `Irrigated plot at (${row}, ${col}). Cost: ${formatCurrency(cost)}`;
+        const msg = `Irrigated plot at (${row}, ${col}) with ${useSurfaceWater ? 'surface water' : 'groundwater'}. Cost: ${formatCurrency(cost)}`;
         this.addEvent(msg); this.logger.log(msg, 2);
         if (this.ui) { this.ui.updateHUD(); this.ui.showCellInfo(row, col); }
         return true;
     }
 
-    fertilizeCell(row, col) {
-         if (row < 0 || row >= this.gridSize || col < 0 || col >= this.gridSize) return false;
+    fertilizeCell(row, col, fertilizerId = DEFAULT_FERTILIZER_ID) {
+         if (!this.isInGrid(row, col)) return false;
+        if (this.checkRetired('fertilize')) return false;
         const cell = this.grid[row][col];
-        const cost = this.fertilizeCost;
+        const fertilizer = getFertilizerById(fertilizerId);
+        const cost = this.getFertilizeCost(fertilizer.id);
+        if (this.checkLaborStopped('fertilize', row, col)) return false;
         if (cell.crop.id === 'empty') { this.addEvent('Cannot fertilize empty plot.', true); this.logger.log(`Attempted to fertilize empty plot (${row}, ${col})`, 2); return false; }
-        if (cell.fertilized) { this.logger.log(`Plot (${row}, ${col}) already fertilized for this cycle.`, 3); return false; }
+        if (cell.hasFertilizer(fertilizer.id)) { this.logger.log(`${fertilizer.name} already applied to plot (${row}, ${col}) this season.`, 3); return false; }
         if (this.balance < cost) {
             this.addEvent(`Cannot afford fertilizer (${formatCurrency(cost)}).`, true);
             this.logger.log(`Cannot afford fertilizer (${formatCurrency(cost)}). Balance: ${formatCurrency(this.balance)}`, 2);
@@ -709,19 +1101,86 @@ processPendingEvents() {
         }
         this.balance -= cost;
         const fertilizerEfficiency = this.getTechEffectValue('fertilizerEfficiency', 1.0);
-        cell.fertilize(fertilizerEfficiency);
-        const msg = `Fertilized plot at (${row}, ${col}). Cost: ${formatCurrency(cost)}`;
+        cell.fertilize(fertilizer, fertilizerEfficiency);
+        const msg = `Applied ${fertilizer.name} to plot at (${row}, ${col}). Cost: ${formatCurrency(cost)}`;
         this.addEvent(msg); this.logger.log(msg, 2);
         if (this.ui) { this.ui.updateHUD(); this.ui.showCellInfo(row, col); }
         return true;
     }
 
+    // Walk a plot looking for pests and disease, finding outbreaks before the damage shows
+    scoutCell(row, col) {
+        if (!this.isInGrid(row, col)) return false;
+        if (this.checkRetired('scout')) return false;
+        if (this.checkLaborStopped('scout', row, col)) return false;
+        const cell = this.grid[row][col];
+        if (cell.crop.id === 'empty') { this.logger.log(`Nothing to scout on empty plot (${row}, ${col})`, 3); return false; }
+        if (this.balance < SCOUT_COST) {
+            this.logger.log(`Cannot afford scouting (${formatCurrency(SCOUT_COST)}). Balance: ${formatCurrency(this.balance)}`, 2);
+            return false;
+        }
+        this.balance -= SCOUT_COST;
+        const infestation = cell.scout();
+        const msg = infestation
+            ? `Scouting found ${getPestById(infestation.pestId).name} at (${row}, ${col}), severity ${Math.round(infestation.severity)}%.`
+            : `Scouted plot (${row}, ${col}): no pests or disease found.`;
+        this.addEvent(msg, !!infestation); this.logger.log(msg, 2);
+        if (this.ui) { this.ui.updateHUD(); this.ui.showCellInfo(row, col); this.ui.render(); }
+        return true;
+    }
+
+    // Spray an insecticide or fungicide: knocks back an outbreak and protects the plot for a couple of weeks
+    treatCell(row, col) {
+        if (!this.isInGrid(row, col)) return false;
+        if (this.checkRetired('spray')) return false;
+        if (this.checkLaborStopped('spray', row, col)) return false;
+        const cell = this.grid[row][col];
+        const cost = this.getTreatmentCost();
+        if (cell.crop.id === 'empty') { this.logger.log(`Attempted to treat empty plot (${row}, ${col})`, 3); return false; }
+        if (this.balance < cost) {
+            this.addEvent(`Cannot afford a pest treatment (${formatCurrency(cost)}).`, true);
+            this.logger.log(`Cannot afford a pest treatment (${formatCurrency(cost)}). Balance: ${formatCurrency(this.balance)}`, 2);
+            return false;
+        }
+        this.balance -= cost;
+        const efficacy = Math.min(0.95, TREATMENT_EFFICACY * this.getTechEffectValue('pestControlEfficiency', 1.0));
+        const pestName = cell.infestation ? getPestById(cell.infestation.pestId).name : null;
+        cell.treatPests(efficacy, TREATMENT_PROTECTION_DAYS);
+        const msg = `Sprayed plot (${row}, ${col})${pestName ? ` for ${pestName}` : ' preventively'}. Cost: ${formatCurrency(cost)}`;
+        this.addEvent(msg); this.logger.log(msg, 2);
+        if (this.ui) { this.ui.updateHUD(); this.ui.showCellInfo(row, col); this.ui.render(); }
+        return true;
+    }
+
+    // Lay out a plot's rows across the slope (USLE support practice; see erosion.js)
+    contourCell(row, col) {
+        if (!this.isInGrid(row, col)) return false;
+        if (this.checkRetired('lay out contour rows')) return false;
+        if (this.checkLaborStopped('lay out contour rows', row, col)) return false;
+        const cell = this.grid[row][col];
+        if (!cell.isFarmable()) { this.logger.log(`Cannot lay out contour rows at (${row}, ${col}): not farmland`, 3); return false; }
+        if (cell.contour) { this.logger.log(`Plot (${row}, ${col}) is already on the contour`, 3); return false; }
+        const cost = this.getContourCost();
+        if (this.balance < cost) {
+            this.addEvent(`Cannot afford contour planting (${formatCurrency(cost)}).`, true);
+            this.logger.log(`Cannot afford contour planting (${formatCurrency(cost)}). Balance: ${formatCurrency(this.balance)}`, 2);
+            return false;
+        }
+        this.balance -= cost;
+        cell.contour = true;
+        const msg = `Laid out plot (${row}, ${col}) on the contour (${cell.slope}% slope). Cost: ${formatCurrency(cost)}`;
+        this.addEvent(msg); this.logger.log(msg, 2);
+        if (this.ui) { this.ui.updateHUD(); this.ui.showCellInfo(row, col); this.ui.render(); }
+        return true;
+    }
+
     harvestCell(row, col) {
          // Validate coordinates
-         if (row < 0 || row >= this.gridSize || col < 0 || col >= this.gridSize) {
+         if (!this.isInGrid(row, col)) {
              this.logger.log(`[GAME] harvestCell: Invalid coordinates (${row}, ${col})`, 0);
              return { success: false, reason: 'Invalid coordinates' };
          }
+         if (this.checkRetired('harvest')) return { success: false, reason: 'Farm sold' };
          // Ensure cell exists
          if (!this.grid[row] || !this.grid[row][col]) {
              this.logger.log(`[GAME] harvestCell: ERROR - Cell object missing at (${row}, ${col})`, 0);
@@ -745,9 +1204,10 @@ processPendingEvents() {
             }
              return { success: false, reason: 'Not ready' };
         }
+        if (this.checkLaborStopped('harvest', row, col)) return { success: false, reason: 'Labor stopped by wildfire smoke' };
 
         // Calculate Harvest
-        const marketPriceFactor = this.marketPrices[cell.crop.id] || 1.0;
+        const marketPriceFactor = this.getMarketPrice(cell.crop.id);
         // Assuming cell.harvest calculates and returns { value: number, cropName: string, yieldPercentage: number }
         // It should also internally call cell.reset()
         const harvestData = cell.harvest(this.waterReserve, marketPriceFactor);
@@ -767,6 +1227,9 @@ processPendingEvents() {
             this.logger.log(`[GAME] harvestCell(${row},${col}): Balance BEFORE harvest: ${formatCurrency(this.balance)}, Adding income: ${formatCurrency(incomeValue)}`, 3); // Detail log
             this.balance += incomeValue;
             this.logger.log(`[GAME] harvestCell(${row},${col}): Balance AFTER harvest: ${formatCurrency(this.balance)}`, 3); // Detail log
+            if (harvestData.smokeTaint > 0) {
+                this.logger.log(`Smoke-tainted ${harvestData.cropName} at (${row}, ${col}) sold at a ${Math.round(harvestData.smokeTaint * 100)}% discount.`, 2);
+            }
         } else if (isNaN(incomeValue)) {
             this.logger.log(`[GAME] harvestCell: ERROR - Harvest returned non-numeric income: ${harvestData.value} from cell (${row}, ${col})`, 0);
         } else {
@@ -793,6 +1256,7 @@ processPendingEvents() {
     } // End harvestCell
     
     researchTechnology(techId) {
+        if (this.checkRetired('research')) return false;
         const tech = this.technologies.find(t => t.id === techId);
         if (!tech) { this.logger.log(`Technology ID not found: ${techId}`, 0); return false; }
         if (tech.researched) { this.logger.log(`${tech.name} already researched.`, 1); return false; }
@@ -819,7 +1283,7 @@ processPendingEvents() {
         this.addEvent(msg); this.logger.log(msg, 1);
         if (this.ui) { this.ui.updateHUD(); if (this.ui.isResearchModalOpen) this.ui.showResearchModal(); }
 
-        this.farmValue = calculateFarmValue(this.grid, this.technologies);
+        this.farmValue = calculateFarmValue(this.grid, this.technologies, this.landMarket);
 
         return true;
     }
@@ -827,7 +1291,7 @@ processPendingEvents() {
     updateMarketPrices() {
         crops.forEach(crop => {
              if (crop.id !== 'empty') {
-                 this.marketPrices[crop.id] = 0.9 + Math.random() * 0.2;
+                 this.marketPrices[crop.id] = 0.9 + this.random() * 0.2;
              }
         });
          this.logger.log("Initial market prices set.", 2);
@@ -837,7 +1301,7 @@ processPendingEvents() {
          let changes = [];
         crops.forEach(crop => {
             if (crop.id !== 'empty') {
-                const change = 0.95 + Math.random() * 0.1;
+                const change = 0.95 + this.random() * 0.1;
                 const oldPrice = this.marketPrices[crop.id];
                 this.marketPrices[crop.id] = Math.max(0.5, Math.min(2.0, oldPrice * change));
                  if (Math.abs(this.marketPrices[crop.id] - oldPrice) > 0.01) {
@@ -850,7 +1314,7 @@ processPendingEvents() {
     }
 
     togglePause() {
-        if (this.headless) return;
+        if (this.headless || this.checkRetired('resume')) return;
         this.paused = !this.paused;
         this.logger.log(`Game ${this.paused ? 'Paused' : 'Resumed'}`, 1);
         if (this.ui) document.getElementById('pause-btn').textContent = this.paused ? 'Resume' : 'Pause';
@@ -868,16 +1332,530 @@ processPendingEvents() {
         return getTechEffectValue(effectName, this.researchedTechs, this.technologies, defaultValue);
     }
 
+    // Surface water reaches the plot: allocation remains and the plot has district water (any plot if none given)
+    canUseSurfaceWater(cell = null) {
+        return cell?.waterAccess !== 'groundwater' && this.waterRights.available() >= 1;
+    }
+
+    // Current cost of one irrigation (of `cell`, if given): surface water delivery while allocation remains,
+    // otherwise groundwater with the base cost scaled by pumping lift (water table depth) and energy tech.
+    // Energy tech only discounts pumping: district water arrives by gravity canal, and its delivery charge
+    // is a water fee rather than the farm's power bill. Active modifiers (e.g. water restrictions) apply to both.
+    getIrrigationCost(cell = null) {
+        const modifier = this.getModifierMultiplier('irrigationCost');
+        if (this.canUseSurfaceWater(cell)) {
+            return this.getWaterDeliveryCost();
+        }
+        const energyFactor = this.getTechEffectValue('energyCostFactor', 1.0);
+        return Math.round(this.irrigationCost * this.aquifer.getPumpCostMultiplier() * energyFactor * modifier);
+    }
+
+    getPlantingCost(crop) {
+        return Math.round(crop.basePrice * this.plantingCostFactor * this.getModifierMultiplier('plantingCostFactor'));
+    }
+
+    // Clearing trees/vines is priced like planting (same labor and equipment rates)
+    getRemovalCost(crop) {
+        return Math.round((crop.removalCost || 0) * this.plantingCostFactor * this.getModifierMultiplier('plantingCostFactor'));
+    }
+
+    // Effective price factor for a crop: base market price with any temporary boosts on top
+    getMarketPrice(cropId) {
+        const base = this.marketPrices[cropId] || 1.0;
+        return Math.min(MAX_MARKET_PRICE_FACTOR, base * this.getModifierMultiplier(`marketPrice:${cropId}`));
+    }
+
+    getFertilizeCost(fertilizerId = DEFAULT_FERTILIZER_ID) {
+        const fertilizer = getFertilizerById(fertilizerId);
+        return Math.round(this.fertilizeCost * fertilizer.costFactor * this.getModifierMultiplier('fertilizeCost'));
+    }
+
+    getTreatmentCost() {
+        return Math.round(TREATMENT_COST * this.getModifierMultiplier('treatmentCost'));
+    }
+
+    getContourCost() {
+        return Math.round(CONTOUR_COST * this.getModifierMultiplier('contourCost'));
+    }
+
+    // --- Active Modifiers ---
+
+    // Days elapsed since the start of the game (day 1 of year 1 = 1)
+    getAbsoluteDay() {
+        return (this.year - 1) * DAYS_IN_YEAR + this.day;
+    }
+
+    // An absolute day on this year's day-of-year scale (negative in earlier years), so the flood and
+    // smoke cooldowns in events.js, which compare days of the year, don't carry over to the same
+    // days of the next year
+    toDayOfThisYear(absoluteDay) {
+        return absoluteDay - (this.getAbsoluteDay() - this.day);
+    }
+
+    // Apply a time-limited multiplier to a game parameter (irrigationCost, plantingCostFactor,
+    // fertilizeCost, treatmentCost, contourCost, dailyOverheadCost, or marketPrice:<cropId>).
+    // Modifiers from the same source and target replace each other.
+    addModifier({ source, target, multiplier, durationDays, label }) {
+        const expiresDay = this.getAbsoluteDay() + durationDays;
+        const modifier = { id: `${source}:${target}`, source, target, multiplier, expiresDay, label: label || source };
+        this.activeModifiers = this.activeModifiers.filter(m => m.id !== modifier.id);
+        this.activeModifiers.push(modifier);
+        this.logger.log(`Modifier added: ${modifier.label} (${target} x${multiplier}) for ${durationDays} days`, 1);
+        if (this.ui) this.ui.updateHUD();
+        if (this.ui && this.ui.isMarketModalOpen) this.ui.showMarketModal();
+        return modifier;
+    }
+
+    // Combined multiplier of all active modifiers on `target` (1.0 when none)
+    getModifierMultiplier(target) {
+        return this.activeModifiers.reduce((product, m) => (m.target === target ? product * m.multiplier : product), 1.0);
+    }
+
+    getModifierDaysRemaining(modifier) {
+        return Math.max(0, modifier.expiresDay - this.getAbsoluteDay());
+    }
+
+    expireModifiers() {
+        const today = this.getAbsoluteDay();
+        const expired = this.activeModifiers.filter(m => m.expiresDay <= today);
+        if (expired.length === 0) return;
+        this.activeModifiers = this.activeModifiers.filter(m => m.expiresDay > today);
+        expired.forEach(m => {
+            const msg = `${m.label} has ended.`;
+            this.addEvent(msg); this.logger.log(`${msg} (${m.target} modifier expired)`, 1);
+        });
+        if (this.ui && this.ui.isMarketModalOpen) this.ui.showMarketModal();
+    }
+
+    // The district's delivery fee per irrigation of surface water, charged on sales as well as on irrigation
+    getWaterDeliveryCost() {
+        return Math.round(this.irrigationCost * this.waterRights.getDeliveryCostMultiplier() * this.getModifierMultiplier('irrigationCost'));
+    }
+
+    // What an irrigation of surface water sells for after the delivery fee
+    getWaterSalePrice() {
+        return this.waterRights.getMarketPrice() - this.getWaterDeliveryCost();
+    }
+
+    // Sell unused current-year surface water allocation on the water market. Returns true if any was sold.
+    sellWater(units) {
+        if (this.checkRetired('sell water')) return false;
+        if (this.waterRights.sellable() === 0) {
+            this.addEvent('No surface water available to sell.', true);
+            this.logger.log(`Water sale of ${units} irrigations failed: none available.`, 2);
+            return false;
+        }
+        if (this.getWaterSalePrice() <= 0) {
+            this.addEvent('The water market price does not cover the district delivery fee.', true);
+            this.logger.log(`Water sale of ${units} irrigations refused: market price ${formatCurrency(this.waterRights.getMarketPrice())} <= delivery ${formatCurrency(this.getWaterDeliveryCost())}.`, 2);
+            return false;
+        }
+        const { units: sold, revenue } = this.waterRights.sell(units, this.getWaterDeliveryCost());
+        if (sold === 0) {
+            this.logger.log(`Water sale of ${units} irrigations failed: nothing sold.`, 2);
+            return false;
+        }
+        this.balance += revenue;
+        const msg = `Sold ${sold} irrigations of surface water for ${formatCurrency(revenue)}.`;
+        this.addEvent(msg); this.logger.log(msg, 1);
+        if (this.ui) this.ui.updateHUD();
+        return true;
+    }
+
+    // --- Land ---
+
+    // Plots that can be farmed, owned or leased (roads, buildings and creeks don't count)
+    getFarmablePlotCount() {
+        return this.grid.reduce((sum, row) => sum + row.filter(cell => cell.isFarmable()).length, 0);
+    }
+
+    // The land market, seeded from the game so its offers replay with the run. The farm's own
+    // district entitlement sets how much surface water each plot of district land carries.
+    createLandMarket() {
+        const market = new LandMarket({
+            seed: this.seed,
+            soil: this.region.soil,
+            entitlementPerPlot: this.waterRights.fullEntitlement / Math.max(1, this.getFarmablePlotCount())
+        });
+        const water = this.getWaterOutlook();
+        market.updateWaterAccess(water.allocationPercent, water.pumpCostMultiplier, water.overdrafted);
+        market.generateOffers();
+        return market;
+    }
+
+    // What the land market prices water access on
+    getWaterOutlook() {
+        return {
+            allocationPercent: this.waterRights.allocationPercent,
+            pumpCostMultiplier: this.aquifer.getPumpCostMultiplier(),
+            overdrafted: this.aquifer.overdrafted
+        };
+    }
+
+    // Plots in the parcel along a side of the farm: a new row to the south, a new column to the east
+    getParcelSize(side) {
+        return side === 'south' ? this.gridCols : this.gridRows;
+    }
+
+    // The parcel a neighbor has on the market along `side` this year: { soilHealth, organicMatter, waterAccess }, or null
+    getParcelOffer(side) {
+        return this.landMarket.getOffer(side);
+    }
+
+    // Asking price of the parcel along `side` (null if none is offered)
+    getParcelPrice(side) {
+        const offer = this.getParcelOffer(side);
+        return offer ? this.getParcelSize(side) * this.landMarket.getPlotValue(offer) : null;
+    }
+
+    // First year's rent on the parcel along `side` (null if none is offered)
+    getParcelRent(side) {
+        const offer = this.getParcelOffer(side);
+        return offer ? this.getParcelSize(side) * this.landMarket.getPlotRent(offer) : null;
+    }
+
+    // Cash needed to buy the parcel along `side` with a mortgage
+    getParcelDownPayment(side) {
+        const price = this.getParcelPrice(side);
+        return price === null ? null : Math.round(price * MORTGAGE_DOWN_PAYMENT);
+    }
+
+    // Logs why a parcel can't be added on `side`
+    canAddParcel(side) {
+        if (!PARCEL_SIDES.includes(side)) { this.logger.log(`Invalid parcel side: ${side}`, 0); return false; }
+        if (this.checkRetired('add land')) return false;
+        const length = side === 'south' ? this.gridRows : this.gridCols;
+        if (length >= MAX_GRID_SIZE) {
+            this.logger.log(`Cannot add land to the ${side}: the farm is already ${MAX_GRID_SIZE} plots across.`, 2);
+            return false;
+        }
+        if (!this.getParcelOffer(side)) {
+            this.logger.log(`Cannot add land to the ${side}: no neighbor is offering it this year.`, 2);
+            return false;
+        }
+        return true;
+    }
+
+    // Buy the parcel along one side of the farm, with cash or (options.mortgage) a down payment and a
+    // mortgage for the rest. Returns true on success.
+    buyParcel(side, options = {}) {
+        if (!this.canAddParcel(side)) return false;
+        const price = this.getParcelPrice(side);
+        const cost = options.mortgage ? this.getParcelDownPayment(side) : price;
+        const what = options.mortgage ? `the down payment on the ${side} parcel` : `the ${side} parcel`;
+        if (this.balance < cost) {
+            this.addEvent(`Cannot afford ${what} (${formatCurrency(cost)}).`, true);
+            this.logger.log(`Cannot afford ${what} (${formatCurrency(cost)}). Balance: ${formatCurrency(this.balance)}`, 2);
+            return false;
+        }
+        this.balance -= cost;
+        let financing = '';
+        if (options.mortgage) {
+            const mortgage = this.landMarket.addMortgage(price - cost);
+            financing = ` (${formatCurrency(cost)} down, then ${formatCurrency(mortgage.payment)} a year for ${mortgage.yearsLeft} years)`;
+        }
+        const plots = this.addParcel(side, 'owned');
+        const msg = `Bought ${plots} plots of farmland to the ${side} for ${formatCurrency(price)}${financing}.`;
+        this.addEvent(msg); this.logger.log(msg, 1);
+        return true;
+    }
+
+    // Lease the parcel along one side of the farm. The first year's rent is paid up front. Returns true on success.
+    leaseParcel(side) {
+        if (!this.canAddParcel(side)) return false;
+        const rent = this.getParcelRent(side);
+        if (this.balance < rent) {
+            this.addEvent(`Cannot afford the rent on the ${side} parcel (${formatCurrency(rent)}/yr).`, true);
+            this.logger.log(`Cannot afford the rent on the ${side} parcel (${formatCurrency(rent)}/yr). Balance: ${formatCurrency(this.balance)}`, 2);
+            return false;
+        }
+        this.balance -= rent;
+        const plots = this.addParcel(side, 'leased');
+        const msg = `Leased ${plots} plots of farmland to the ${side} for ${formatCurrency(rent)} a year.`;
+        this.addEvent(msg); this.logger.log(msg, 1);
+        return true;
+    }
+
+    // Grow the grid by the strip of farmland on offer along `side`. Returns the number of plots added.
+    addParcel(side, tenure) {
+        const offer = this.landMarket.takeOffer(side);
+        const soil = { soilHealth: offer.soilHealth, organicMatter: offer.organicMatter };
+        const slopeRange = this.region.terrain?.slope;
+        let plots;
+        if (side === 'south') {
+            const slopes = generateSlopes(1, this.gridCols, slopeRange, this.random)[0];
+            this.grid.push(slopes.map(slope => this.createCell(slope, tenure, soil, offer.waterAccess)));
+            this.gridRows++;
+            plots = this.gridCols;
+        } else {
+            const slopes = generateSlopes(this.gridRows, 1, slopeRange, this.random);
+            this.grid.forEach((row, r) => row.push(this.createCell(slopes[r][0], tenure, soil, offer.waterAccess)));
+            this.gridCols++;
+            plots = this.gridRows;
+        }
+        // District water rights come with the land (leased land's water comes with the lease)
+        if (offer.waterAccess === 'district') this.waterRights.addEntitlement(Math.round(plots * this.landMarket.entitlementPerPlot));
+        this.onFarmResized();
+        return plots;
+    }
+
+    // The plots along the south edge (the last row) or the east edge (the last column)
+    getEdgeCells(side) {
+        return side === 'south' ? [...this.grid[this.gridRows - 1]] : this.grid.map(row => row[this.gridCols - 1]);
+    }
+
+    // What selling the owned farmland among `cells` would bring in, after closing costs
+    getLandSaleValue(cells) {
+        const value = cells.reduce((sum, cell) => sum + (cell.isFarmable() && cell.tenure !== 'leased' ? this.landMarket.getPlotValue(cell) : 0), 0);
+        return this.landMarket.getSaleProceeds(value);
+    }
+
+    getParcelSaleValue(side) {
+        return PARCEL_SIDES.includes(side) ? this.getLandSaleValue(this.getEdgeCells(side)) : 0;
+    }
+
+    // Selling everything (see sellFarm)
+    getFarmSaleValue() {
+        return this.getLandSaleValue(this.grid.flat());
+    }
+
+    // Logs why the strip along `side` can't be sold
+    canSellParcel(side) {
+        if (!PARCEL_SIDES.includes(side)) { this.logger.log(`Invalid parcel side: ${side}`, 0); return false; }
+        if (this.checkRetired('sell land')) return false;
+        const length = side === 'south' ? this.gridRows : this.gridCols;
+        const edge = new Set(this.getEdgeCells(side));
+        if (length <= 1 || !this.grid.some(row => row.some(cell => !edge.has(cell) && cell.isFarmable()))) {
+            this.logger.log(`Cannot sell the ${side} edge: no farmland would be left (sell the whole farm instead).`, 2);
+            return false;
+        }
+        return true;
+    }
+
+    // Sell the strip along `side` (the last row or column), shrinking the farm. Leased plots in it go back to
+    // their owners, and the proceeds pay down any mortgages first. Crops on the strip go with the land.
+    // Returns true on success.
+    sellParcel(side) {
+        if (!this.canSellParcel(side)) return false;
+        const cells = this.getEdgeCells(side);
+        const proceeds = this.getLandSaleValue(cells);
+        const leased = cells.filter(cell => cell.tenure === 'leased').length;
+        this.releaseWaterRights(cells);
+        if (side === 'south') {
+            this.grid.pop();
+            this.gridRows--;
+        } else {
+            this.grid.forEach(row => row.pop());
+            this.gridCols--;
+        }
+        const repaid = this.landMarket.repay(proceeds);
+        this.balance += proceeds - repaid;
+        this.onFarmResized();
+
+        const parts = [];
+        if (cells.length > leased) parts.push(`Sold ${cells.length - leased} plots to the ${side} for ${formatCurrency(proceeds)}${repaid > 0 ? ` (${formatCurrency(repaid)} went to the mortgage)` : ''}`);
+        if (leased > 0) parts.push(`${parts.length ? 'ended' : 'Ended'} the lease on ${leased} plots`);
+        const msg = `${parts.join(' and ')}.`;
+        this.addEvent(msg); this.logger.log(msg, 1);
+        return true;
+    }
+
+    // Sell all the farm's land and retire: the way out of the game other than bankruptcy. Leases end, the
+    // mortgages are paid off, and the balance left is the farmer's final net worth. Returns true on success.
+    sellFarm() {
+        if (this.checkRetired('sell the farm')) return false;
+        const proceeds = this.getFarmSaleValue();
+        const debt = this.landMarket.getMortgageDebt();
+        this.landMarket.repay(debt);
+        this.balance += proceeds - debt;
+        this.retired = true;
+        this.paused = true;
+        const debtMsg = debt > 0 ? `, paid off ${formatCurrency(debt)} in mortgages` : '';
+        const msg = `Sold the farm for ${formatCurrency(proceeds)}${debtMsg} and retired in Year ${this.year} with ${formatCurrency(this.balance)}.`;
+        this.addEvent(msg); this.logger.log(msg, 1);
+        if (this.ui) this.ui.updateHUD();
+        return true;
+    }
+
+    // The game ends when the farm goes bankrupt or is sold
+    isGameOver() {
+        return this.retired || this.balance <= 0;
+    }
+
+    // District water rights on plots leaving the farm go with them
+    releaseWaterRights(cells) {
+        const districtPlots = cells.filter(cell => cell.isFarmable() && cell.waterAccess === 'district').length;
+        if (districtPlots > 0) this.waterRights.addEntitlement(-Math.round(districtPlots * this.landMarket.entitlementPerPlot));
+    }
+
+    // Refresh what depends on the farm's size after land is added or sold
+    onFarmResized() {
+        this.farmValue = calculateFarmValue(this.grid, this.technologies, this.landMarket);
+        this.farmHealth = calculateFarmHealth(this.grid, this.waterReserve);
+        if (this.ui) { this.ui.onGridResized(); this.ui.updateHUD(); }
+    }
+
+    // Yearly cash rent on leased plots, at this year's land prices (leases renew every year)
+    payLandRent() {
+        let leased = 0, rent = 0;
+        this.grid.forEach(row => row.forEach(cell => {
+            if (cell.tenure !== 'leased') return;
+            leased++;
+            rent += this.landMarket.getPlotRent(cell);
+        }));
+        if (leased === 0) return;
+        this.balance -= rent;
+        const msg = `Paid ${formatCurrency(rent)} rent on ${leased} leased plots.`;
+        this.addEvent(msg); this.logger.log(msg, 1);
+    }
+
+    // Yearly mortgage payments
+    payMortgages() {
+        if (this.landMarket.mortgages.length === 0) return;
+        const { paid, paidOff } = this.landMarket.collectPayments();
+        this.balance -= paid;
+        const paidOffMsg = paidOff > 0 ? ` ${paidOff} mortgage${paidOff > 1 ? 's' : ''} paid off!` : '';
+        const msg = `Paid ${formatCurrency(paid)} on farm mortgages.${paidOffMsg}`;
+        this.addEvent(msg); this.logger.log(msg, 1);
+    }
+
     getTechnologyCost(techId) {
         const tech = this.technologies.find(t => t.id === techId);
         return tech ? tech.cost : Infinity;
     }
 
+    // --- Save / Load ---
+
+    // Schema-versioned, JSON-safe snapshot of all simulation state (UI and strategy hooks excluded)
+    serialize() {
+        // JSON cannot hold -Infinity, so unset cooldown trackers are stored as null
+        const finiteOrNull = (value) => Number.isFinite(value) ? value : null;
+        return {
+            schemaVersion: SAVE_SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            state: {
+                regionId: this.region.id,
+                gridRows: this.gridRows,
+                gridCols: this.gridCols,
+                day: this.day,
+                year: this.year,
+                season: this.season,
+                seasonDay: this.seasonDay,
+                dayOfYear: this.dayOfYear,
+                balance: this.balance,
+                farmValue: this.farmValue,
+                farmHealth: this.farmHealth,
+                waterReserve: this.waterReserve,
+                aquifer: this.aquifer.serialize(),
+                waterRights: this.waterRights.serialize(),
+                landMarket: this.landMarket.serialize(),
+                retired: this.retired,
+                interestRate: this.interestRate,
+                plantingCostFactor: this.plantingCostFactor,
+                irrigationCost: this.irrigationCost,
+                fertilizeCost: this.fertilizeCost,
+                dailyOverheadCost: this.dailyOverheadCost,
+                grid: this.grid.map(row => row.map(cell => cell.serialize())),
+                researchedTechs: [...this.researchedTechs],
+                events: this.events.map(event => ({ ...event })),
+                pendingEvents: JSON.parse(JSON.stringify(this.pendingEvents)),
+                marketPrices: { ...this.marketPrices },
+                activeModifiers: this.activeModifiers.map(m => ({ ...m })),
+                climate: { ...this.climate },
+                weather: this.weather.serialize(),
+                winterChillHours: this.winterChillHours,
+                lastWinterChillHours: this.lastWinterChillHours,
+                lastDroughtEndDay: finiteOrNull(this.lastDroughtEndDay),
+                lastHeatwaveEndDay: finiteOrNull(this.lastHeatwaveEndDay),
+                lastFrostDay: finiteOrNull(this.lastFrostDay),
+                lastFloodDay: finiteOrNull(this.lastFloodDay),
+                lastSmokeDay: finiteOrNull(this.lastSmokeDay),
+                smoke: this.smoke ? { ...this.smoke } : null,
+                rng: { seed: this.seed, state: this.rng.state }
+            }
+        };
+    }
+
+    // Restore state from a serialize() snapshot, migrating older schema versions. Returns true on success.
+    deserialize(snapshot) {
+        let state;
+        try {
+            state = migrateSnapshot(snapshot).state;
+        } catch (error) {
+            this.logger.log(`ERROR loading save: ${error.message}`, 0);
+            return false;
+        }
+        const fromNullable = (value) => (value === null || value === undefined) ? -Infinity : value;
+
+        this.region = getRegionById(state.regionId);
+        this.grid = state.grid.map(row => row.map(cellData => Cell.deserialize(cellData)));
+        // The grid itself has the true dimensions
+        this.gridRows = this.grid.length;
+        this.gridCols = this.grid[0]?.length || 0;
+        this.day = state.day;
+        this.year = state.year;
+        this.season = state.season;
+        this.seasonDay = state.seasonDay;
+        this.dayOfYear = state.dayOfYear;
+        this.balance = state.balance;
+        this.waterReserve = state.waterReserve;
+        this.aquifer = Aquifer.deserialize(state.aquifer);
+        this.waterRights = WaterRights.deserialize(state.waterRights);
+        this.interestRate = state.interestRate;
+        this.plantingCostFactor = state.plantingCostFactor;
+        this.irrigationCost = state.irrigationCost;
+        this.fertilizeCost = state.fertilizeCost;
+        this.dailyOverheadCost = state.dailyOverheadCost;
+
+        this.technologies = createTechnologyTree();
+        this.researchedTechs = [...state.researchedTechs];
+        this.technologies.forEach(tech => { tech.researched = this.researchedTechs.includes(tech.id); });
+
+        this.events = (state.events || []).map(event => ({ ...event }));
+        this.pendingEvents = JSON.parse(JSON.stringify(state.pendingEvents || []));
+        this.marketPrices = { ...state.marketPrices };
+        this.activeModifiers = (state.activeModifiers || []).map(m => ({ ...m }));
+        this.climate = { ...this.createClimate(this.region), ...state.climate };
+        this.weather = Weather.deserialize(state.weather);
+        this.winterChillHours = state.winterChillHours || 0;
+        this.lastWinterChillHours = state.lastWinterChillHours ?? null;
+        this.lastDroughtEndDay = fromNullable(state.lastDroughtEndDay);
+        this.lastHeatwaveEndDay = fromNullable(state.lastHeatwaveEndDay);
+        this.lastFrostDay = fromNullable(state.lastFrostDay);
+        this.lastFloodDay = fromNullable(state.lastFloodDay);
+        this.lastSmokeDay = fromNullable(state.lastSmokeDay);
+        this.smoke = state.smoke ? { ...state.smoke } : null;
+
+        // Resume the RNG stream exactly where the save left off
+        this.seed = state.rng.seed;
+        this.rng = new SeededRandom(this.seed);
+        this.rng.state = state.rng.state;
+
+        // Saves from before the land market start a fresh one
+        this.landMarket = state.landMarket ? LandMarket.deserialize(state.landMarket) : this.createLandMarket();
+        this.retired = !!state.retired;
+
+        this.farmValue = calculateFarmValue(this.grid, this.technologies, this.landMarket);
+        this.farmHealth = calculateFarmHealth(this.grid, this.waterReserve);
+
+        this.logger.log(`Loaded save: Year ${this.year}, ${this.season}, Balance ${formatCurrency(this.balance)}`, 1);
+        if (this.ui) {
+            this.ui.selectedCell = null;
+            this.ui.onGridResized();
+            this.ui.updateHUD();
+            this.ui.updateTechList();
+            this.ui.updateEventsList();
+            this.ui.render();
+        }
+        return true;
+    }
+
     terminateTest() {
         this.logger.log(`==== TEST ${this.testStrategyId} FINAL RESULT ====`, 1);
         this.logger.log(`Ending Year: ${this.year}, Day: ${this.day}`, 1);
         this.logger.log(`Final Balance: ${formatCurrency(this.balance)}`, 1);
         this.logger.log(`Final Farm Value: ${formatCurrency(this.farmValue)}`, 1);
+        if (this.retired) this.logger.log(`Sold the farm and retired in Year ${this.year}`, 1);
         this.logger.log(`Final Farm Health: ${this.farmHealth}%`, 1);
         this.logger.log(`Final Water Reserve: ${this.waterReserve.toFixed(2)}%`, 1);
         const finalSustainability = this.calculateSustainabilityScore();
@@ -0,0 +1,222 @@
+/**
+ * California Climate Farmer - Land Market
+ *
+ * Puts a price on the farm's land and on the neighbors' land next to it. A plot of farmland is
+ * worth a base value plus its soil health (the scale calculateFarmValue has always used), times
+ * a factor for its water access and the market's price index:
+ *   district: the plot carries its share of the farm's surface-water entitlement (water-rights.js),
+ *             and is worth less when the district cuts allocations.
+ *   groundwater: irrigated from wells only. Sells at a discount that deepens as the water table
+ *             drops (pumping lift) and while the basin is overdrafted (aquifer.js).
+ * The price index moves every year: farmland appreciates slowly, less so as drought risk climbs.
+ *
+ * Each year a neighbor may offer the parcel along the south or east edge of the farm (see
+ * land.js), with its own soil and water access. Parcels can be bought with cash or a mortgage
+ * (a down payment, then fixed yearly payments) or leased a year at a time at a rent tied to the
+ * land's value. The farm's own edge strips can be sold, and selling the whole farm retires the
+ * farmer on what's left after the mortgages are paid off.
+ *
+ * The market draws from its own random stream, seeded from the game's, so offers don't shift the
+ * weather and events of a seeded run.
+ */
+
+import { SeededRandom, generateSeed } from './utils.js';
+import { PARCEL_SIDES } from './land.js';
+
+// Plot values (calculateFarmValue uses the same scale when no market is given)
+export const BASE_LAND_VALUE_PER_PLOT = 500;
+export const SOIL_VALUE_PER_POINT = 25;
+const MIN_VALUED_SOIL_HEALTH = 10;       // Even worn-out ground is worth something
+
+// Water access
+export const WATER_ACCESS = {
+    district: { name: 'District water', description: 'Surface water from the irrigation district, plus wells' },
+    groundwater: { name: 'Wells only', description: 'No district water; every irrigation is pumped' }
+};
+const ALLOCATION_CUT_DISCOUNT = 0.4;     // District land value lost at a 0% allocation
+const GROUNDWATER_FACTOR = 0.8;          // Wells-only land at the reference pumping depth
+const PUMP_LIFT_DISCOUNT = 0.15;         // ...less this per 1x of extra pumping cost
+const OVERDRAFT_DISCOUNT = 0.15;         // ...and this while SGMA restrictions are in force
+const MIN_GROUNDWATER_FACTOR = 0.3;
+
+// Price index
+const APPRECIATION = 0.02;               // Yearly trend in farmland prices
+const PRICE_VOLATILITY = 0.05;           // Largest random swing in a year
+const DROUGHT_PRICE_DRAG = 0.3;          // Yearly change lost per point of drought probability
+const MIN_PRICE_INDEX = 0.5;
+const MAX_PRICE_INDEX = 3;
+
+// Offers from the neighbors
+const OFFER_CHANCE = 0.6;                // Yearly chance the parcel along each side is on the market
+const DISTRICT_OFFER_CHANCE = 0.5;       // Share of offered parcels with district water
+const OFFER_SOIL_SPREAD = 20;            // Offered soil health varies this much either side of the region's
+const MIN_OFFER_SOIL_HEALTH = 30;
+
+export const LEASE_RENT_SHARE = 0.06;    // Yearly cash rent as a share of the land's value
+export const SALE_COST_SHARE = 0.06;     // Broker and closing costs when selling land
+
+// Farm mortgages
+export const MORTGAGE_DOWN_PAYMENT = 0.2; // Share of the price paid up front
+export const MORTGAGE_RATE = 0.065;
+export const MORTGAGE_TERM_YEARS = 20;
+
+const MARKET_SEED_SALT = 0x4c414e44;     // Keeps the market's stream apart from the game's
+
+export class LandMarket {
+    // options: seed (the game's), soil (the region's starting soil), entitlementPerPlot (district water per plot)
+    constructor(options = {}) {
+        this.rng = new SeededRandom(((options.seed ?? generateSeed()) ^ MARKET_SEED_SALT) >>> 0);
+        this.baseSoilHealth = options.soil?.soilHealth ?? 85;
+        this.baseOrganicMatter = options.soil?.organicMatter ?? 2.0;
+        this.entitlementPerPlot = options.entitlementPerPlot ?? 0;
+        this.priceIndex = 1;
+        this.lastPriceChange = 0;
+        this.districtFactor = 1;
+        this.groundwaterFactor = GROUNDWATER_FACTOR;
+        this.offers = {}; // Parcel on the market along each side: { soilHealth, organicMatter, waterAccess }
+        this.mortgages = []; // { id, principal, balance, payment, yearsLeft }
+        this.nextMortgageId = 1;
+    }
+
+    random() {
+        return this.rng.next();
+    }
+
+    // Re-price water access from this year's district allocation and the water table
+    updateWaterAccess(allocationPercent, pumpCostMultiplier, overdrafted) {
+        this.districtFactor = 1 - ALLOCATION_CUT_DISCOUNT * (1 - allocationPercent);
+        const lift = GROUNDWATER_FACTOR - PUMP_LIFT_DISCOUNT * Math.max(0, pumpCostMultiplier - 1) - (overdrafted ? OVERDRAFT_DISCOUNT : 0);
+        this.groundwaterFactor = Math.max(MIN_GROUNDWATER_FACTOR, lift);
+    }
+
+    getWaterFactor(waterAccess) {
+        return waterAccess === 'groundwater' ? this.groundwaterFactor : this.districtFactor;
+    }
+
+    // Market value of a plot of farmland (a cell, or an offer's { soilHealth, waterAccess })
+    getPlotValue(plot) {
+        const soilValue = BASE_LAND_VALUE_PER_PLOT + SOIL_VALUE_PER_POINT * Math.max(MIN_VALUED_SOIL_HEALTH, plot.soilHealth);
+        return Math.round(soilValue * this.getWaterFactor(plot.waterAccess) * this.priceIndex);
+    }
+
+    // Yearly cash rent on a plot
+    getPlotRent(plot) {
+        return Math.round(this.getPlotValue(plot) * LEASE_RENT_SHARE);
+    }
+
+    // What the seller keeps from a sale at `value`
+    getSaleProceeds(value) {
+        return Math.round(value * (1 - SALE_COST_SHARE));
+    }
+
+    // Put (or don't put) each side's parcel on the market
+    generateOffers() {
+        this.offers = {};
+        PARCEL_SIDES.forEach(side => {
+            if (this.random() >= OFFER_CHANCE) return;
+            const soilHealth = Math.round(Math.max(MIN_OFFER_SOIL_HEALTH, Math.min(100,
+                this.baseSoilHealth + (this.random() * 2 - 1) * OFFER_SOIL_SPREAD)));
+            this.offers[side] = {
+                soilHealth,
+                organicMatter: Math.round(this.baseOrganicMatter * soilHealth / this.baseSoilHealth * 10) / 10,
+                waterAccess: this.random() < DISTRICT_OFFER_CHANCE ? 'district' : 'groundwater'
+            };
+        });
+    }
+
+    getOffer(side) {
+        return this.offers[side] || null;
+    }
+
+    // Take the parcel along `side` off the market (it's been bought or leased). Returns the offer.
+    takeOffer(side) {
+        const offer = this.getOffer(side);
+        delete this.offers[side];
+        return offer;
+    }
+
+    // Move prices, re-price water access and post this year's offers. Returns a message for the event log.
+    // `water`: { allocationPercent, pumpCostMultiplier, overdrafted }
+    startNewYear(droughtProbability, water) {
+        const change = APPRECIATION + (this.random() * 2 - 1) * PRICE_VOLATILITY - droughtProbability * DROUGHT_PRICE_DRAG;
+        this.priceIndex = Math.max(MIN_PRICE_INDEX, Math.min(MAX_PRICE_INDEX, this.priceIndex * (1 + change)));
+        this.lastPriceChange = change;
+        this.updateWaterAccess(water.allocationPercent, water.pumpCostMultiplier, water.overdrafted);
+        this.generateOffers();
+
+        const sides = Object.keys(this.offers);
+        const offerMsg = sides.length > 0 ? `Neighbors are offering land to the ${sides.join(' and ')}.` : 'No neighboring land is on the market this year.';
+        return `Farmland prices ${change >= 0 ? 'rose' : 'fell'} ${Math.abs(change * 100).toFixed(1)}%. ${offerMsg}`;
+    }
+
+    // --- Mortgages ---
+
+    // Borrow `amount` against land, repaid in equal yearly payments over the term. Returns the mortgage.
+    addMortgage(amount) {
+        const r = MORTGAGE_RATE;
+        const payment = Math.round(amount * r / (1 - Math.pow(1 + r, -MORTGAGE_TERM_YEARS)));
+        const mortgage = { id: this.nextMortgageId++, principal: amount, balance: amount, payment, yearsLeft: MORTGAGE_TERM_YEARS };
+        this.mortgages.push(mortgage);
+        return mortgage;
+    }
+
+    getMortgageDebt() {
+        return this.mortgages.reduce((sum, m) => sum + m.balance, 0);
+    }
+
+    getMortgagePayments() {
+        return this.mortgages.reduce((sum, m) => sum + m.payment, 0);
+    }
+
+    // Charge a year's interest and take each mortgage's payment. Returns { paid, paidOff } (paidOff: count finished).
+    collectPayments() {
+        let paid = 0;
+        const before = this.mortgages.length;
+        this.mortgages.forEach(m => {
+            const owed = m.balance * (1 + MORTGAGE_RATE);
+            const payment = m.yearsLeft <= 1 ? owed : Math.min(m.payment, owed);
+            m.balance = Math.round(owed - payment);
+            m.yearsLeft--;
+            paid += Math.round(payment);
+        });
+        this.mortgages = this.mortgages.filter(m => m.balance > 0 && m.yearsLeft > 0);
+        return { paid, paidOff: before - this.mortgages.length };
+    }
+
+    // Pay down mortgages (oldest first) with up to `amount`. Returns the amount used.
+    repay(amount) {
+        let used = 0;
+        this.mortgages.forEach(m => {
+            const payment = Math.min(m.balance, amount - used);
+            m.balance -= payment;
+            used += payment;
+        });
+        this.mortgages = this.mortgages.filter(m => m.balance > 0);
+        return used;
+    }
+
+    serialize() {
+        return {
+            rng: { seed: this.rng.seed, state: this.rng.state },
+            baseSoilHealth: this.baseSoilHealth, baseOrganicMatter: this.baseOrganicMatter, entitlementPerPlot: this.entitlementPerPlot,
+            priceIndex: this.priceIndex, lastPriceChange: this.lastPriceChange, districtFactor: this.districtFactor, groundwaterFactor: this.groundwaterFactor,
+            offers: JSON.parse(JSON.stringify(this.offers)),
+            mortgages: this.mortgages.map(m => ({ ...m })),
+            nextMortgageId: this.nextMortgageId
+        };
+    }
+
+    static deserialize(data = {}) {
+        const market = new LandMarket();
+        ['baseSoilHealth', 'baseOrganicMatter', 'entitlementPerPlot', 'priceIndex', 'lastPriceChange', 'districtFactor', 'groundwaterFactor', 'nextMortgageId'].forEach(key => {
+            if (data[key] !== undefined) market[key] = data[key];
+        });
+        if (data.rng) {
+            market.rng = new SeededRandom(data.rng.seed);
+            market.rng.state = data.rng.state;
+        }
+        if (data.offers) market.offers = JSON.parse(JSON.stringify(data.offers));
+        if (Array.isArray(data.mortgages)) market.mortgages = data.mortgages.map(m => ({ ...m }));
+        return market;
+    }
+}
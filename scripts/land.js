@@ -0,0 +1,122 @@
+/**
+ * California Climate Farmer - Farm Layout and Land
+ *
+ * The farm is a grid of plots, gridRows x gridCols (10 x 10 by default), with row 1 at the top
+ * of the slope (see spatial.js). Not every plot has to be farmland: a layout marks plots as farm
+ * roads, buildings or a creek. Those are never planted and are left out of crop growth, pests,
+ * events, farm health, sustainability and farm value.
+ *
+ * A layout is one string per row of the farm, one character per plot:
+ *   '.' farmland   '=' farm road   '#' buildings   '~' creek
+ * Pass it (or the ID of a preset in farmLayouts) as the game's `layout` option.
+ *
+ * The farm can grow mid-game by buying or leasing a parcel: a strip of new farmland along the
+ * south edge (a new last row, at the bottom of the slope) or the east edge (a new last column),
+ * and shrink by selling its last row or column. Leased plots (cell.tenure 'leased') are farmed
+ * like owned ones but pay rent every year and add nothing to the farm's land value. Prices,
+ * the parcels on offer and mortgages are in land-market.js.
+ */
+
+export const DEFAULT_GRID_SIZE = 10;
+export const MAX_GRID_SIZE = 20;           // Most plots along either side of the farm
+export const PARCEL_SIDES = ['south', 'east'];
+
+export const landUses = [
+    {
+        id: 'farmland', symbol: '.', name: 'Farmland', farmable: true,
+        description: 'Plantable ground'
+    },
+    {
+        id: 'road', symbol: '=', name: 'Farm Road', farmable: false, color: '#a9a9a9',
+        description: 'Packed dirt road; rain runs straight off it onto the plot below'
+    },
+    {
+        id: 'building', symbol: '#', name: 'Farm Buildings', farmable: false, color: '#8d6e63',
+        description: 'House, barns and equipment yard; roofs shed rain onto the plot below'
+    },
+    {
+        id: 'creek', symbol: '~', name: 'Creek', farmable: false, color: '#5dade2', drainsRunoff: true,
+        description: 'Carries runoff and the soil in it off the farm'
+    }
+];
+
+// Starting farms for the splash screen (layout rows as above; no layout means all farmland
+// at the game's gridRows x gridCols, DEFAULT_GRID_SIZE square unless given)
+export const farmLayouts = [
+    {
+        id: 'open', name: 'Open Field (10 x 10)',
+        description: 'One square block of farmland.'
+    },
+    {
+        id: 'homestead', name: 'Homestead (10 x 12)',
+        description: 'A wider farm with the farmyard and its roads in the top corner.',
+        layout: [
+            '##=.........',
+            '##=.........',
+            '===.........',
+            '............',
+            '............',
+            '............',
+            '............',
+            '............',
+            '............',
+            '............'
+        ]
+    },
+    {
+        id: 'creekside', name: 'Creekside (12 x 10)',
+        description: 'A long farm split by a creek that carries off the runoff from the fields above it.',
+        layout: [
+            '..........',
+            '..........',
+            '..........',
+            '..........',
+            '..........',
+            '..........',
+            '~~~.......',
+            '..~~~.....',
+            '....~~~~~~',
+            '..........',
+            '..........',
+            '..........'
+        ]
+    }
+];
+
+// Helper function to find a land use by ID
+export function getLandUseById(id) {
+    return landUses.find(use => use.id === id) || landUses[0];
+}
+
+// Helper function to find a layout preset by ID
+export function getFarmLayoutById(id) {
+    return farmLayouts.find(layout => layout.id === id) || null;
+}
+
+// Parse layout rows into land use IDs. Returns { rows, cols, landUse, errors }.
+export function parseLayout(layout) {
+    const errors = [];
+    if (!Array.isArray(layout) || layout.length === 0 || layout.some(line => typeof line !== 'string')) {
+        return { rows: 0, cols: 0, landUse: [], errors: ['Layout must be a non-empty array of strings, one per row'] };
+    }
+    const rows = layout.length;
+    const cols = layout[0].length;
+    if (rows > MAX_GRID_SIZE || cols > MAX_GRID_SIZE) errors.push(`Layout is ${rows} x ${cols}; the most is ${MAX_GRID_SIZE} x ${MAX_GRID_SIZE}`);
+    if (cols === 0) errors.push('Layout rows are empty');
+    const landUse = layout.map((line, row) => {
+        if (line.length !== cols) errors.push(`Row ${row + 1} has ${line.length} plots; expected ${cols}`);
+        return [...line].map((symbol, col) => {
+            const use = landUses.find(u => u.symbol === symbol);
+            if (!use) errors.push(`Unknown plot symbol '${symbol}' at row ${row + 1}, col ${col + 1}`);
+            return use ? use.id : 'farmland';
+        });
+    });
+    if (!landUse.some(row => row.includes('farmland'))) errors.push('Layout has no farmland');
+    return { rows, cols, landUse, errors };
+}
+
+// Farm dimensions within 1..MAX_GRID_SIZE, falling back to the default for bad values
+export function clampGridSize(value) {
+    const size = Math.floor(Number(value));
+    return Number.isFinite(size) && size >= 1 ? Math.min(MAX_GRID_SIZE, size) : DEFAULT_GRID_SIZE;
+}
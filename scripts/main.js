@@ -1,5 +1,8 @@
 // scripts/main.js
 import { CaliforniaClimateFarmer } from './game.js';
+import { regions, getRegionById, DEFAULT_REGION_ID } from './regions.js';
+import { loadContentPack } from './content-packs.js';
+import { farmLayouts } from './land.js';
 
 console.log("Loading main.js for UI game...");
 
@@ -8,6 +11,12 @@ document.addEventListener('DOMContentLoaded', () => {
 
     const regularGameBtn = document.getElementById('regular-game-btn');
     const splashScreen = document.getElementById('splash-screen');
+    const regionSelect = document.getElementById('region-select');
+    const regionDescription = document.getElementById('region-description');
+    const layoutSelect = document.getElementById('layout-select');
+    const layoutDescription = document.getElementById('layout-description');
+    const contentPackInput = document.getElementById('content-pack-input');
+    const contentPackStatus = document.getElementById('content-pack-status');
 
     if (!regularGameBtn) {
         console.error("Start Regular Game button not found! Cannot start game.");
@@ -17,6 +26,54 @@ document.addEventListener('DOMContentLoaded', () => {
         console.warn("Splash screen not found!");
     }
 
+    // Region picker: one option per preset, with the selected region's description below it
+    if (regionSelect) {
+        regionSelect.innerHTML = regions.map(region => `<option value="${region.id}">${region.name}</option>`).join('');
+        regionSelect.value = DEFAULT_REGION_ID;
+        const showDescription = () => {
+            if (regionDescription) regionDescription.textContent = getRegionById(regionSelect.value).description;
+        };
+        regionSelect.addEventListener('change', showDescription);
+        showDescription();
+    }
+
+    // Farm layout picker: the starting farm's size and its roads, buildings or creek
+    if (layoutSelect) {
+        layoutSelect.innerHTML = farmLayouts.map(layout => `<option value="${layout.id}">${layout.name}</option>`).join('');
+        const showDescription = () => {
+            if (layoutDescription) layoutDescription.textContent = farmLayouts.find(l => l.id === layoutSelect.value)?.description || '';
+        };
+        layoutSelect.addEventListener('change', showDescription);
+        showDescription();
+    }
+
+    // Content packs: each selected JSON file is validated and merged into the crop, technology
+    // and event definitions before the game starts. Errors are listed under the picker.
+    if (contentPackInput) {
+        contentPackInput.addEventListener('change', async () => {
+            const lines = [];
+            let failed = false;
+            for (const file of contentPackInput.files) {
+                let result;
+                try {
+                    result = loadContentPack(JSON.parse(await file.text()));
+                } catch (error) {
+                    result = { success: false, name: file.name, errors: [error.message] };
+                }
+                if (result.success) {
+                    lines.push(`Loaded "${result.name}": ${[...result.added, ...result.replaced].join(', ') || 'no changes'}.`);
+                } else {
+                    failed = true;
+                    lines.push(`${file.name} was not loaded:`, ...result.errors.map(error => `  - ${error}`));
+                }
+            }
+            if (contentPackStatus) {
+                contentPackStatus.textContent = lines.join('\n');
+                contentPackStatus.classList.toggle('content-pack-error', failed);
+            }
+        });
+    }
+
     // Listener that starts the game
     regularGameBtn.addEventListener('click', () => {
         console.log("Main.js: Regular game start triggered.");
@@ -35,6 +92,9 @@ document.addEventListener('DOMContentLoaded', () => {
             const game = new CaliforniaClimateFarmer({
                 headless: false,
                 testMode: false,
+                region: regionSelect ? regionSelect.value : DEFAULT_REGION_ID,
+                layout: layoutSelect ? layoutSelect.value : null,
+                recordMetrics: { interval: 1, maxSamples: 3600 }, // Daily samples for the Export CSV/JSON buttons, thinned after 10 years
             });
             window.currentGameInstance = game; // Store globally
             game.start(); // Start the game loop
@@ -0,0 +1,140 @@
+/**
+ * California Climate Farmer - Metrics Recorder
+ *
+ * Samples farm state over time so runs can be analyzed after the fact
+ * (when a strategy collapsed, and why). Used by both TestHarness and the browser game.
+ */
+
+import { crops, coverCrops } from './crops.js';
+import { calculateFarmValue } from './utils.js';
+
+export class MetricsRecorder {
+    constructor(options = {}) {
+        this.interval = Math.max(1, options.interval || 1); // Sample every N simulated days
+        this.maxSamples = options.maxSamples || Infinity; // Past this, the series is thinned to half resolution
+        this.samples = [];
+    }
+
+    // Called once per tick by the game; records a sample every `interval` days
+    record(game) {
+        const absoluteDay = game.getAbsoluteDay();
+        if (absoluteDay % this.interval !== 0) return;
+        this.samples.push(this.takeSample(game, absoluteDay));
+        if (this.samples.length > this.maxSamples) this.downsample();
+    }
+
+    // Double the interval and keep only the samples that fall on it, so a long game still covers
+    // its whole history within maxSamples
+    downsample() {
+        this.interval *= 2;
+        this.samples = this.samples.filter(sample => sample.absoluteDay % this.interval === 0);
+    }
+
+    takeSample(game, absoluteDay) {
+        const sustainability = game.calculateSustainabilityScore();
+        const sample = {
+            absoluteDay,
+            year: game.year,
+            day: game.day,
+            season: game.season,
+            balance: Math.round(game.balance),
+            waterReserve: round2(game.waterReserve),
+            surfaceWaterAllocation: game.waterRights.allocation,
+            surfaceWaterAvailable: game.waterRights.available(),
+            waterTableDepth: round2(game.aquifer.depth),
+            groundwaterPumped: game.aquifer.pumpedThisYear,
+            irrigationCost: game.getIrrigationCost(),
+            tmax: game.weather.today?.tmax,
+            tmin: game.weather.today?.tmin,
+            precip: game.weather.today?.precip,
+            et0: game.weather.today?.et0,
+            smokeShading: game.weather.today?.smokeShading || 0,
+            warmingF: round2(game.climate.warmingF),
+            winterChillHours: game.lastWinterChillHours,
+            farmHealth: game.farmHealth,
+            farmValue: calculateFarmValue(game.grid, game.technologies, game.landMarket),
+            landPriceIndex: round2(game.landMarket.priceIndex),
+            mortgageDebt: game.landMarket.getMortgageDebt(),
+            sustainability: sustainability.total,
+            sustainSoil: sustainability.soilScore,
+            sustainDiversity: sustainability.diversityScore,
+            sustainTech: sustainability.techScore,
+            researchedTechs: game.researchedTechs.length,
+            activeEvents: (game.activeEvents || []).join('|'),
+            activeModifiers: game.activeModifiers.map(m => m.id).join('|')
+        };
+
+        const cropCounts = {};
+        const nutrientTotals = { N: 0, P: 0, K: 0 };
+        let organicMatterTotal = 0;
+        let infestedPlots = 0;
+        let erosionTotal = 0;
+        let cellCount = 0;
+        let leasedPlots = 0;
+        [...crops, ...coverCrops].forEach(crop => { cropCounts[crop.id] = 0; });
+        game.grid.forEach(row => row.forEach(cell => {
+            if (!cell.isFarmable()) return; // Roads, buildings and creeks
+            if (cell.tenure === 'leased') leasedPlots++;
+            cropCounts[cell.crop.id] = (cropCounts[cell.crop.id] || 0) + 1;
+            Object.keys(nutrientTotals).forEach(n => { nutrientTotals[n] += cell.nutrients[n]; });
+            organicMatterTotal += cell.organicMatter;
+            if (cell.infestation) infestedPlots++;
+            erosionTotal += cell.erosionThisYear;
+            cellCount++;
+        }));
+        sample.plots = cellCount;
+        sample.leasedPlots = leasedPlots;
+        sample.infestedPlots = infestedPlots;
+        sample.avgOrganicMatter = round2(organicMatterTotal / Math.max(1, cellCount));
+        sample.avgErosionThisYear = round2(erosionTotal / Math.max(1, cellCount)); // tons/acre
+        Object.entries(nutrientTotals).forEach(([nutrient, total]) => {
+            sample[`avgSoil${nutrient}`] = round2(total / Math.max(1, cellCount));
+        });
+
+        crops.forEach(crop => {
+            if (crop.id === 'empty') return;
+            sample[`price_${crop.id}`] = round2(game.getMarketPrice(crop.id));
+        });
+        Object.entries(cropCounts).forEach(([cropId, count]) => {
+            sample[`count_${cropId}`] = count;
+        });
+        return sample;
+    }
+
+    clear() { this.samples = []; }
+
+    toJSON() {
+        return { interval: this.interval, samples: this.samples };
+    }
+
+    toCSV() {
+        if (this.samples.length === 0) return '';
+        // Union of keys keeps columns stable even if later samples gain fields
+        const columns = [];
+        this.samples.forEach(sample => Object.keys(sample).forEach(key => {
+            if (!columns.includes(key)) columns.push(key);
+        }));
+        const escape = (value) => {
+            if (value === undefined || value === null) return '';
+            const str = String(value);
+            return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+        };
+        const lines = [columns.join(',')];
+        this.samples.forEach(sample => lines.push(columns.map(col => escape(sample[col])).join(',')));
+        return lines.join('\n') + '\n';
+    }
+}
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Node.js only: write <basePath>.csv and <basePath>.json, creating the directory if needed.
+// fs is imported lazily so this module still loads in the browser.
+export async function saveMetricsToFiles(recorder, basePath) {
+    const fs = await import('node:fs/promises');
+    const path = await import('node:path');
+    await fs.mkdir(path.dirname(basePath), { recursive: true });
+    await fs.writeFile(`${basePath}.csv`, recorder.toCSV(), 'utf8');
+    await fs.writeFile(`${basePath}.json`, JSON.stringify(recorder.toJSON(), null, 2), 'utf8');
+}
@@ -0,0 +1,193 @@
+/**
+ * California Climate Farmer - Pests and Diseases
+ *
+ * Named pests and diseases that break out on their host crops and spread across the
+ * farm. Each day a host plot can be infested with a chance set by the weather (daily mean
+ * temperature and humidity against the pest's preferred range), how much of the farm is
+ * planted to its hosts, the plot's background pestPressure and infested neighbors.
+ * An infestation grows in favorable weather, eats into the expected yield once the crop
+ * reaches the pest's damaging stage, and raises the plot's pestPressure (which slows growth).
+ *
+ * Beneficial insects from habitat plantings next door (spatial.js) cut both the outbreak odds and
+ * how fast an outbreak grows.
+ *
+ * Outbreaks start unseen: the player finds them by scouting (game.scoutCell) or once the
+ * damage is obvious, and knocks them back with a spray (game.treatCell).
+ *
+ *   type: 'insect' (treated with an insecticide) or 'disease' (a fungicide)
+ *   hosts: crop IDs the pest attacks
+ *   tempF: daily mean temperature (F) range it develops in, and its optimum
+ *   humidity: daily mean relative humidity (%) range it needs (optional min and max)
+ *   growthRate: severity points gained per day in ideal weather
+ *   yieldLossPerDay: expected yield points lost per day at full severity
+ *   damageFromProgress: growth progress (%) from which the crop is damaged (e.g. hull split)
+ *   spreadChance: daily chance a fully infested plot infects each neighboring host plot
+ */
+
+import { NEIGHBOR_OFFSETS } from './spatial.js';
+
+export const pests = [
+    {
+        id: 'navel_orangeworm', name: 'Navel Orangeworm', type: 'insect', hosts: ['almonds'],
+        tempF: { min: 55, optimum: 85, max: 100 }, humidity: { max: 65 },
+        growthRate: 4, yieldLossPerDay: 0.5, damageFromProgress: 60, spreadChance: 0.08,
+        description: 'Moth larvae bore into nuts from hull split on; worst in hot, dry summers'
+    },
+    {
+        id: 'powdery_mildew', name: 'Powdery Mildew', type: 'disease', hosts: ['grapes'],
+        tempF: { min: 60, optimum: 77, max: 92 }, humidity: { min: 40 },
+        growthRate: 5, yieldLossPerDay: 0.4, damageFromProgress: 0, spreadChance: 0.15,
+        description: 'Wind-borne fungus on leaves and clusters; thrives in mild, humid weather and stalls in extreme heat'
+    },
+    {
+        id: 'corn_earworm', name: 'Corn Earworm', type: 'insect', hosts: ['corn'],
+        tempF: { min: 60, optimum: 84, max: 98 },
+        growthRate: 4, yieldLossPerDay: 0.4, damageFromProgress: 40, spreadChance: 0.06,
+        description: 'Caterpillars feed on silks and kernels from silking on'
+    },
+    {
+        id: 'downy_mildew', name: 'Downy Mildew', type: 'disease', hosts: ['lettuce'],
+        tempF: { min: 45, optimum: 60, max: 75 }, humidity: { min: 70 },
+        growthRate: 6, yieldLossPerDay: 0.6, damageFromProgress: 0, spreadChance: 0.15,
+        description: 'Water mold that spreads through lettuce beds in cool, damp weather'
+    },
+    {
+        id: 'gray_mold', name: 'Gray Mold (Botrytis)', type: 'disease', hosts: ['strawberries'],
+        tempF: { min: 50, optimum: 68, max: 85 }, humidity: { min: 65 },
+        growthRate: 5, yieldLossPerDay: 0.6, damageFromProgress: 40, spreadChance: 0.12,
+        description: 'Fungus that rots ripening berries after rain and fog'
+    }
+];
+
+const BASE_OUTBREAK_CHANCE = 0.002;     // Daily chance on a host plot in ideal weather, average density and pressure
+const UNSUITABLE_HUMIDITY_FACTOR = 0.2; // Weather suitability outside the pest's humidity range
+const PRESSURE_OUTBREAK_SCALE = 40;     // Outbreak odds rise by 1x for every 40 points of pestPressure
+const INITIAL_SEVERITY = 5;
+const NATURAL_DECLINE = 1.5;            // Severity lost per day (predators, weather, plant defenses)
+const DORMANT_DECLINE = 3;              // Faster decline once the host is dormant or harvested
+const TREATED_DECLINE = 8;              // Daily decline while a spray is protecting the plot
+const PRESSURE_TRACKING = 0.05;         // Share of the gap to severity that pestPressure closes each day
+const MAX_PEST_PRESSURE = 80;
+export const VISIBLE_SEVERITY = 40;     // Symptoms are obvious without scouting
+export const DRONE_VISIBLE_SEVERITY = 10; // Precision drones spot outbreaks early
+
+// Helper function to find a pest by ID
+export function getPestById(id) {
+    return pests.find(p => p.id === id) || null;
+}
+
+// Pests that attack a crop (looked up for every plot every day, so cached by crop)
+const pestsByCrop = new Map();
+export function getPestsForCrop(cropId) {
+    if (!pestsByCrop.has(cropId)) pestsByCrop.set(cropId, pests.filter(p => p.hosts.includes(cropId)));
+    return pestsByCrop.get(cropId);
+}
+
+// Weather suitability (0-1): a triangle over the pest's temperature range, cut outside its humidity range
+export function getWeatherSuitability(pest, weather) {
+    if (!weather) return 0;
+    const meanF = (weather.tmax + weather.tmin) / 2;
+    const { min, optimum, max } = pest.tempF;
+    if (meanF <= min || meanF >= max) return 0;
+    const tempSuitability = meanF <= optimum ? (meanF - min) / (optimum - min) : (max - meanF) / (max - optimum);
+    const humidity = weather.humidity ?? 50;
+    const humid = pest.humidity || {};
+    const humidityOk = (humid.min === undefined || humidity >= humid.min) && (humid.max === undefined || humidity <= humid.max);
+    return tempSuitability * (humidityOk ? 1 : UNSUITABLE_HUMIDITY_FACTOR);
+}
+
+// Start an infestation on a plot (no-op if one is already there)
+export function infestCell(cell, pest, severity = INITIAL_SEVERITY) {
+    if (cell.infestation) return false;
+    cell.infestation = { pestId: pest.id, severity, daysInfested: 0, detected: false };
+    return true;
+}
+
+// Daily pest and disease update for the whole grid.
+// options: techs (researched IDs, for drone detection), outbreakFactor (tech pest resistance multiplier),
+// neighborEffects (getNeighborEffects in spatial.js, for beneficial insects)
+// Returns { newlyVisible: [{ row, col, pestId }], infestedCells }
+export function updatePests(grid, weather, random = Math.random, options = {}) {
+    const techs = options.techs || [];
+    const outbreakFactor = options.outbreakFactor ?? 1;
+    const neighborEffects = options.neighborEffects || null;
+    const visibleSeverity = techs.includes('precision_drones') ? DRONE_VISIBLE_SEVERITY : VISIBLE_SEVERITY;
+    const rows = grid.length;
+
+    // Share of the farm planted to each pest's hosts (dense plantings of one host breed outbreaks)
+    let cellCount = 0;
+    const hostCounts = {};
+    grid.forEach(row => row.forEach(cell => {
+        if (!cell.isFarmable()) return;
+        cellCount++;
+        getPestsForCrop(cell.crop.id).forEach(p => { hostCounts[p.id] = (hostCounts[p.id] || 0) + 1; });
+    }));
+
+    // Infections come from yesterday's infestations, so spreading doesn't depend on update order
+    const infestationsBefore = grid.map(row => row.map(cell => (cell.infestation ? { ...cell.infestation } : null)));
+    const neighborSpread = (r, c, pest) => {
+        let chance = 0;
+        NEIGHBOR_OFFSETS.forEach(([dr, dc]) => {
+            const source = infestationsBefore[r + dr]?.[c + dc];
+            if (source && source.pestId === pest.id) chance += pest.spreadChance * source.severity / 100;
+        });
+        return chance;
+    };
+
+    const newlyVisible = [];
+    let infestedCells = 0;
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < grid[r].length; c++) {
+            const cell = grid[r][c];
+            if (cell.pestProtectionDays > 0) cell.pestProtectionDays--;
+            const predation = 1 - (neighborEffects?.[r]?.[c]?.beneficialInsects || 0);
+
+            // Outbreaks die out when their host is gone (harvested, cleared or replaced by a non-host)
+            if (cell.infestation && !getPestById(cell.infestation.pestId)?.hosts.includes(cell.crop.id)) cell.infestation = null;
+
+            if (!cell.infestation) {
+                if (cell.pestProtectionDays > 0) continue;
+                for (const pest of getPestsForCrop(cell.crop.id)) {
+                    const suitability = getWeatherSuitability(pest, weather);
+                    if (suitability <= 0) continue;
+                    const density = 0.5 + 1.5 * (hostCounts[pest.id] || 0) / Math.max(1, cellCount);
+                    const pressure = 1 + cell.pestPressure / PRESSURE_OUTBREAK_SCALE;
+                    const chance = (BASE_OUTBREAK_CHANCE * suitability * density * pressure * outbreakFactor
+                        + neighborSpread(r, c, pest) * suitability) * predation;
+                    if (random() < chance) {
+                        infestCell(cell, pest);
+                        break;
+                    }
+                }
+                if (!cell.infestation) continue;
+            }
+
+            const infestation = cell.infestation;
+            const pest = getPestById(infestation.pestId);
+            infestation.daysInfested++;
+            const active = !cell.dormant && cell.crop.id !== 'empty';
+            let change;
+            if (cell.pestProtectionDays > 0) change = -TREATED_DECLINE;
+            else if (active) change = pest.growthRate * getWeatherSuitability(pest, weather) * predation - NATURAL_DECLINE;
+            else change = -DORMANT_DECLINE;
+            infestation.severity = Math.min(100, infestation.severity + change);
+            if (infestation.severity <= 0) {
+                cell.infestation = null;
+                continue;
+            }
+            infestedCells++;
+
+            if (active && cell.growthProgress >= pest.damageFromProgress) {
+                cell.expectedYield = Math.max(0, cell.expectedYield - pest.yieldLossPerDay * infestation.severity / 100);
+            }
+            if (infestation.severity > cell.pestPressure) {
+                cell.pestPressure = Math.min(MAX_PEST_PRESSURE, cell.pestPressure + (infestation.severity - cell.pestPressure) * PRESSURE_TRACKING);
+            }
+            if (!infestation.detected && infestation.severity >= visibleSeverity) {
+                infestation.detected = true;
+                newlyVisible.push({ row: r, col: c, pestId: pest.id });
+            }
+        }
+    }
+    return { newlyVisible, infestedCells };
+}
@@ -0,0 +1,122 @@
+/**
+ * California Climate Farmer - Regional Farm Presets
+ *
+ * Each region sets the farm's starting climate, its long-term climate trajectory,
+ * which crops can be grown, its water sources and its starting soil. Values come from
+ * the regional projections in BackgroundDeepResearch.md (section 6, "climate.regions").
+ *
+ *   climate: starting values for game.climate. tmax/tmin normals (F) drive the weather
+ *       generator (mean +/- seasonal amplitude). seasonRainFactors scale rainfallChance
+ *       for Spring, Summer, Fall and Winter. floodSeasons are the seasons floods can strike.
+ *       annualErosivity is a typical year's USLE rainfall erosivity R (see erosion.js).
+ *   trajectories: climate fields that change over the game, as { calendarYear: value }
+ *       tables. Values are interpolated linearly between years and held past the ends.
+ *       surfaceSupplyLoss is the share of the surface water entitlement lost for good
+ *       (snowpack decline, Colorado River cutbacks). floodProbability is the chance of a
+ *       flood in each flood season; megafloodProbability is the yearly chance of an
+ *       ARkStorm-scale megaflood (~50% odds by 2060 in the Central Valley).
+ *       wildfireSmokeProbability is the chance of a smoke episode in Summer and in Fall,
+ *       rising with the projected +77% in area burned by 2100.
+ *   crops: IDs of the cash crops that can be planted (cover crops are always allowed).
+ *   water: full surface water entitlement (irrigations/year), its cost as a share of the base
+ *       irrigation cost, and the groundwater basin.
+ *   soil: starting soil health (%), organic matter (%), nutrients (lbs/acre) and USLE erodibility K for every plot.
+ *   terrain: the range of plot slopes (%) the farm is generated with.
+ */
+
+export const START_CALENDAR_YEAR = 2025; // Game year 1
+
+export const regions = [
+    {
+        id: 'central_valley', name: 'Central Valley',
+        description: 'The San Joaquin Valley heartland: hot summers, fertile soils, every crop, but shrinking snowpack deliveries, rising drought risk and overdrafted groundwater.',
+        climate: {
+            rainfallChance: 0.15, frostChanceWinter: 0.20, frostChanceSpringFall: 0.05,
+            tmaxMean: 76, tmaxAmplitude: 21, tminMean: 48, tminAmplitude: 14, // Fresno
+            seasonRainFactors: [0.8, 0.07, 0.4, 1.4],
+            floodSeasons: ['Winter', 'Spring'], // Atmospheric rivers, then snowmelt on the rivers
+            annualErosivity: 20
+        },
+        trajectories: {
+            warmingF: { 2025: 0, 2050: 5.0, 2100: 7.0 },
+            droughtProbability: { 2025: 0.1, 2035: 0.15, 2050: 0.2 },
+            floodProbability: { 2025: 0.05, 2035: 0.1, 2050: 0.15 },
+            megafloodProbability: { 2025: 0.01, 2060: 0.03 }, // Levee breaks in the Delta and Sacramento Valley
+            heatwaveProbability: { 2025: 0.08, 2050: 0.2, 2100: 0.35 }, // Heatwaves ~2 weeks longer by mid-century
+            wildfireSmokeProbability: { 2025: 0.15, 2100: 0.27 }, // Sierra foothill fires settle smoke in the valley
+            surfaceSupplyLoss: { 2025: 0, 2050: 0.33, 2100: 0.5 } // Sierra snowpack decline
+        },
+        crops: ['corn', 'lettuce', 'almonds', 'strawberries', 'grapes'],
+        water: { surfaceEntitlement: 2500, deliveryCostFactor: 0.5, aquiferDepth: 120, aquiferEquilibriumDepth: 130, pumpingCap: 6000 },
+        soil: { soilHealth: 85, organicMatter: 2.0, nutrients: { N: 60, P: 30, K: 90 }, erodibility: 0.28 }, // Sandy loams
+        terrain: { slope: [0.2, 2] } // Valley floor
+    },
+    {
+        id: 'central_coast', name: 'Central Coast',
+        description: 'The Salinas Valley: fog-cooled summers suit lettuce, berries and wine grapes, with milder warming but more variable winter storms and heavy reliance on groundwater.',
+        climate: {
+            rainfallChance: 0.17, frostChanceWinter: 0.10, frostChanceSpringFall: 0.02,
+            tmaxMean: 69, tmaxAmplitude: 6, tminMean: 46, tminAmplitude: 6, // Salinas
+            seasonRainFactors: [0.7, 0.05, 0.4, 1.5],
+            floodSeasons: ['Winter', 'Spring'],
+            annualErosivity: 40 // Pacific storms on the coast ranges
+        },
+        trajectories: {
+            warmingF: { 2025: 0, 2050: 3.0, 2100: 4.5 },
+            droughtProbability: { 2025: 0.05, 2050: 0.1 },
+            floodProbability: { 2025: 0.08, 2050: 0.2 },
+            megafloodProbability: { 2025: 0.01, 2060: 0.025 }, // Pajaro levee breach, Jan 2023
+            heatwaveProbability: { 2025: 0.03, 2050: 0.08, 2100: 0.15 },
+            wildfireSmokeProbability: { 2025: 0.12, 2100: 0.21 }, // Coastal range fires (2020 smoke-tainted vintages)
+            surfaceSupplyLoss: { 2025: 0, 2050: 0.1 }
+        },
+        crops: ['lettuce', 'strawberries', 'grapes'],
+        water: { surfaceEntitlement: 800, deliveryCostFactor: 0.6, aquiferDepth: 80, aquiferEquilibriumDepth: 85, pumpingCap: 7000 },
+        soil: { soilHealth: 90, organicMatter: 2.5, nutrients: { N: 70, P: 35, K: 100 }, erodibility: 0.32 }, // Silt loams
+        terrain: { slope: [1, 12] } // Valley floor rising into hillside berry and vineyard ground
+    },
+    {
+        id: 'imperial_valley', name: 'Imperial Valley',
+        description: 'Desert farming on Colorado River water: winter vegetables and feed corn in extreme heat, almost no rain, salty groundwater and deepening river cutbacks.',
+        climate: {
+            rainfallChance: 0.05, frostChanceWinter: 0.05, frostChanceSpringFall: 0.0,
+            tmaxMean: 89, tmaxAmplitude: 19, tminMean: 60, tminAmplitude: 17, // El Centro
+            seasonRainFactors: [0.5, 0.6, 0.7, 1.4], // Summer monsoon storms
+            floodSeasons: ['Summer', 'Winter'], // Monsoon flash floods
+            annualErosivity: 15 // Little rain, but intense thunderstorms
+        },
+        trajectories: {
+            warmingF: { 2025: 0, 2050: 6.0, 2100: 9.0 },
+            droughtProbability: { 2025: 0.15, 2050: 0.5 }, // Colorado River supply cuts
+            floodProbability: { 2025: 0.03, 2050: 0.05 }, // Low, except for flash floods
+            megafloodProbability: { 2025: 0.002, 2060: 0.005 },
+            heatwaveProbability: { 2025: 0.15, 2050: 0.3, 2100: 0.45 },
+            wildfireSmokeProbability: { 2025: 0.05, 2100: 0.09 },
+            surfaceSupplyLoss: { 2025: 0.05, 2050: 0.2 }
+        },
+        crops: ['corn', 'lettuce', 'grapes'],
+        water: { surfaceEntitlement: 4000, deliveryCostFactor: 0.2, aquiferDepth: 200, aquiferEquilibriumDepth: 200, pumpingCap: 500 },
+        soil: { soilHealth: 75, organicMatter: 1.0, nutrients: { N: 40, P: 30, K: 150 }, erodibility: 0.37 }, // Silty clay loams
+        terrain: { slope: [0.1, 0.5] } // Laser-leveled for furrow irrigation
+    }
+];
+
+export const DEFAULT_REGION_ID = 'central_valley';
+
+// Helper function to find a region by ID (unknown IDs fall back to the default)
+export function getRegionById(id) {
+    return regions.find(r => r.id === id) || regions.find(r => r.id === DEFAULT_REGION_ID);
+}
+
+// Linear interpolation in a { calendarYear: value } table, held constant before the first and after the last year
+export function getTrajectoryValue(table, calendarYear) {
+    const years = Object.keys(table).map(Number).sort((a, b) => a - b);
+    if (calendarYear <= years[0]) return table[years[0]];
+    for (let i = 1; i < years.length; i++) {
+        if (calendarYear <= years[i]) {
+            const t = (calendarYear - years[i - 1]) / (years[i] - years[i - 1]);
+            return table[years[i - 1]] + t * (table[years[i]] - table[years[i - 1]]);
+        }
+    }
+    return table[years[years.length - 1]];
+}
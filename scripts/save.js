@@ -0,0 +1,185 @@
+/**
+ * California Climate Farmer - Save System
+ *
+ * Schema versioning and migration for game snapshots produced by
+ * CaliforniaClimateFarmer.serialize(), plus storage backends:
+ * localStorage slots for the browser and JSON files for headless runs.
+ */
+
+import { DEFAULT_FERTILIZER_ID } from './fertilizers.js';
+import { getCropById } from './crops.js';
+
+// Bump whenever the snapshot shape changes, and register a migration from the previous version.
+export const SAVE_SCHEMA_VERSION = 7;
+
+const SLOT_KEY_PREFIX = 'ccf-save-';
+export const SAVE_SLOT_COUNT = 3;
+
+// Migrations keyed by the version they upgrade FROM. Each receives a snapshot at
+// version N and must return a snapshot at version N + 1.
+const migrations = {};
+
+// Register a migration hook (e.g. registerMigration(1, snap => ({ ...snap, schemaVersion: 2 })))
+export function registerMigration(fromVersion, migrateFn) {
+    migrations[fromVersion] = migrateFn;
+}
+
+// Upgrade a snapshot to the current schema version. Throws if it cannot be migrated.
+export function migrateSnapshot(snapshot) {
+    if (!snapshot || typeof snapshot !== 'object' || !snapshot.state) {
+        throw new Error('Invalid save data: missing game state.');
+    }
+    let version = Number(snapshot.schemaVersion);
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Invalid save data: unknown schema version "${snapshot.schemaVersion}".`);
+    }
+    if (version > SAVE_SCHEMA_VERSION) {
+        throw new Error(`Save was created by a newer version (schema ${version}, supported ${SAVE_SCHEMA_VERSION}).`);
+    }
+
+    let migrated = snapshot;
+    while (version < SAVE_SCHEMA_VERSION) {
+        const migrateFn = migrations[version];
+        if (!migrateFn) {
+            throw new Error(`No migration registered from schema version ${version}.`);
+        }
+        // A new object each step: a migration may return its input, which can be the caller's snapshot
+        migrated = { ...migrateFn(migrated), schemaVersion: ++version };
+    }
+    return migrated;
+}
+
+// Apply `fn` to every serialized cell in a snapshot
+function mapSnapshotCells(snapshot, fn) {
+    const grid = snapshot.state.grid;
+    if (!Array.isArray(grid)) return snapshot;
+    return { ...snapshot, state: { ...snapshot.state, grid: grid.map(row => row.map(fn)) } };
+}
+
+// v1 -> v2: the per-cycle `fertilized` flag became soil nutrient pools and organic matter
+// (missing ones load at the starting levels) plus the list of products applied this cycle
+registerMigration(1, snapshot => mapSnapshotCells(snapshot, ({ fertilized, ...cell }) => ({
+    ...cell,
+    fertilizersApplied: fertilized ? [DEFAULT_FERTILIZER_ID] : []
+})));
+
+// v2 -> v3: gddAccumulated went from raw degree days (display only) to the effective degree days
+// that drive development, so it's rebuilt from the crop's progress (crops from a content pack that
+// isn't loaded yet keep theirs)
+registerMigration(2, snapshot => mapSnapshotCells(snapshot, cell => {
+    const gddToMaturity = getCropById(cell.cropId)?.gddToMaturity;
+    if (!gddToMaturity) return cell;
+    return { ...cell, gddAccumulated: (cell.growthProgress || 0) / 100 * gddToMaturity };
+}));
+
+// v3 -> v4: lastFloodDay went from a day of the year to an absolute day, like lastSmokeDay
+registerMigration(3, snapshot => {
+    const { lastFloodDay, year } = snapshot.state;
+    if (lastFloodDay === null || lastFloodDay === undefined) return snapshot;
+    return { ...snapshot, state: { ...snapshot.state, lastFloodDay: lastFloodDay + ((year || 1) - 1) * 360 } };
+});
+
+// v4 -> v5: square farms (gridSize) became gridRows x gridCols
+registerMigration(4, snapshot => {
+    const { gridSize, ...state } = snapshot.state;
+    const grid = Array.isArray(state.grid) ? state.grid : [];
+    return {
+        ...snapshot,
+        state: { ...state, gridRows: state.gridRows ?? (grid.length || gridSize), gridCols: state.gridCols ?? (grid[0]?.length || gridSize) }
+    };
+});
+
+// v5 -> v6: the land market (prices, offers and mortgages), retirement, and each plot's tenure and
+// water access. Older farms owned all their land with district water and had no mortgages; a null
+// landMarket is rebuilt for the save's region by the game (createLandMarket).
+registerMigration(5, snapshot => {
+    const migrated = mapSnapshotCells(snapshot, cell => ({ tenure: 'owned', waterAccess: 'district', ...cell }));
+    return { ...migrated, state: { ...migrated.state, landMarket: migrated.state.landMarket ?? null, retired: !!migrated.state.retired } };
+});
+
+// v6 -> v7: the legacy rain events are gone (the weather generator brings all rain), so any
+// still scheduled are dropped rather than processed as an unknown event type
+registerMigration(6, snapshot => {
+    const pendingEvents = snapshot.state.pendingEvents;
+    if (!Array.isArray(pendingEvents)) return snapshot;
+    return { ...snapshot, state: { ...snapshot.state, pendingEvents: pendingEvents.filter(event => event?.type !== 'rain') } };
+});
+
+// --- Browser: localStorage slots ---
+
+function getStorage() {
+    return (typeof localStorage !== 'undefined') ? localStorage : null;
+}
+
+// Save the game into a numbered slot. Returns true on success.
+export function saveToSlot(game, slot) {
+    const storage = getStorage();
+    if (!storage) { game.logger.log('Save slots unavailable: localStorage not supported.', 0); return false; }
+    try {
+        storage.setItem(SLOT_KEY_PREFIX + slot, JSON.stringify(game.serialize()));
+        game.logger.log(`Game saved to slot ${slot}.`, 1);
+        return true;
+    } catch (error) {
+        game.logger.log(`ERROR saving to slot ${slot}: ${error.message}`, 0);
+        return false;
+    }
+}
+
+// Load a numbered slot into an existing game instance. Returns true on success.
+export function loadFromSlot(game, slot) {
+    const storage = getStorage();
+    if (!storage) { game.logger.log('Save slots unavailable: localStorage not supported.', 0); return false; }
+    const raw = storage.getItem(SLOT_KEY_PREFIX + slot);
+    if (!raw) { game.logger.log(`Save slot ${slot} is empty.`, 1); return false; }
+    try {
+        return game.deserialize(JSON.parse(raw));
+    } catch (error) {
+        game.logger.log(`ERROR loading slot ${slot}: ${error.message}`, 0);
+        return false;
+    }
+}
+
+export function deleteSaveSlot(slot) {
+    const storage = getStorage();
+    if (storage) storage.removeItem(SLOT_KEY_PREFIX + slot);
+}
+
+// Summaries of every slot for the save/load menu ({ slot, empty, year, season, balance, savedAt })
+export function listSaveSlots() {
+    const storage = getStorage();
+    const slots = [];
+    for (let slot = 1; slot <= SAVE_SLOT_COUNT; slot++) {
+        const raw = storage ? storage.getItem(SLOT_KEY_PREFIX + slot) : null;
+        if (!raw) { slots.push({ slot, empty: true }); continue; }
+        try {
+            const snapshot = JSON.parse(raw);
+            slots.push({
+                slot, empty: false,
+                year: snapshot.state.year, season: snapshot.state.season,
+                balance: snapshot.state.balance, savedAt: snapshot.savedAt
+            });
+        } catch (error) {
+            slots.push({ slot, empty: false, corrupt: true });
+        }
+    }
+    return slots;
+}
+
+// --- Node.js: JSON files (headless runs) ---
+// fs is imported lazily so this module still loads in the browser.
+
+// Creates the file's directory if it doesn't exist yet.
+export async function saveGameToFile(game, filePath) {
+    const fs = await import('node:fs/promises');
+    const path = await import('node:path');
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(game.serialize(), null, 2), 'utf8');
+    game.logger.log(`Game saved to ${filePath}`, 1);
+}
+
+// Load a snapshot file into an existing game instance. Returns true on success.
+export async function loadGameFromFile(game, filePath) {
+    const fs = await import('node:fs/promises');
+    const raw = await fs.readFile(filePath, 'utf8');
+    return game.deserialize(JSON.parse(raw));
+}
@@ -0,0 +1,136 @@
+/**
+ * California Climate Farmer - Spatial Effects
+ *
+ * Interactions between neighboring plots, so the layout of the farm matters:
+ *  - Windbreaks (hedgerows) shelter the plots next to them from hot, drying winds (less heat
+ *    stress) and keep bare soil from blowing away.
+ *  - Pollinator habitat raises the yield of adjacent pollinator-dependent crops (almonds) and
+ *    houses beneficial insects that keep neighbors' pest outbreaks down (see pests.js).
+ *  - Rain that doesn't soak in runs off downslope onto the next plot, carrying the topsoil it
+ *    washed off (erosion.js) with it. Vegetated plots catch part of the sediment passing through,
+ *    and strips of habitat or dense cover across the slope break the flow path, which cuts
+ *    erosion on the plots below them. Roads and farm buildings shed all their rain onto the plot
+ *    below, and a creek carries everything reaching it off the farm (see land.js).
+ * Pest and disease spread between neighbors is handled in pests.js.
+ *
+ * Habitat plantings are coverCrops with category 'habitat' (see crops.js). Their effects
+ * scale with how established the planting is (growthProgress):
+ *   windbreak: share of neighbors' heat stress and wind erosion prevented
+ *   pollinatorHabitat: yield gain for each adjacent crop that fully depends on pollinators
+ *   beneficialInsects: share of neighbors' pest outbreak odds and outbreak growth suppressed
+ *   sedimentTrapping: share of the sediment in runoff that the plot catches
+ */
+
+import { PLOT_LENGTH_FT, calculateSoilLoss, erodeCell } from './erosion.js';
+import { getLandUseById } from './land.js';
+
+export const NEIGHBOR_OFFSETS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+export const DOWNSLOPE_OFFSET = [1, 0];   // The farm drains toward its last row
+const MAX_POLLINATION_BONUS = 0.25;       // Habitat on every side can't raise yield more than this
+const MAX_BENEFICIAL_SUPPRESSION = 0.6;
+const CROP_SEDIMENT_TRAPPING = 0.1;       // Row crops catch a little of the sediment flowing through
+const COVER_SEDIMENT_TRAPPING = 0.4;      // Share of a cover crop's erosionProtection that also filters runoff
+const FLOW_BREAK_TRAPPING = 0.3;          // Plots catching at least this share of sediment break the slope length
+
+// Plots next to (row, col), skipping the edge of the farm
+export function getNeighbors(grid, row, col) {
+    const neighbors = [];
+    NEIGHBOR_OFFSETS.forEach(([dr, dc]) => {
+        const cell = grid[row + dr]?.[col + dc];
+        if (cell) neighbors.push({ row: row + dr, col: col + dc, cell });
+    });
+    return neighbors;
+}
+
+// A habitat field of the plot's planting, scaled by how established it is (0 for other plantings)
+export function getHabitatValue(cell, field) {
+    if (cell.crop.category !== 'habitat') return 0;
+    return (cell.crop[field] || 0) * Math.min(1, cell.growthProgress / 100);
+}
+
+// What the plot gets from its neighbors: { windbreak, pollination, beneficialInsects }
+export function getCellNeighborEffects(grid, row, col) {
+    let windbreak = 0, pollination = 0, beneficialInsects = 0;
+    getNeighbors(grid, row, col).forEach(({ cell }) => {
+        windbreak = Math.max(windbreak, getHabitatValue(cell, 'windbreak')); // One windbreak is enough shelter
+        pollination += getHabitatValue(cell, 'pollinatorHabitat');
+        beneficialInsects += getHabitatValue(cell, 'beneficialInsects');
+    });
+    return {
+        windbreak,
+        pollination: Math.min(MAX_POLLINATION_BONUS, pollination),
+        beneficialInsects: Math.min(MAX_BENEFICIAL_SUPPRESSION, beneficialInsects)
+    };
+}
+
+const NO_NEIGHBOR_EFFECTS = Object.freeze({ windbreak: 0, pollination: 0, beneficialInsects: 0 });
+
+// Neighbor effects for every plot, in the grid's shape. Only habitat plantings have any, so a farm
+// without them skips the neighbor scan (this runs every day).
+export function getNeighborEffects(grid) {
+    const hasHabitat = grid.some(row => row.some(cell => cell.crop.category === 'habitat'));
+    return grid.map((row, r) => row.map((cell, c) => (hasHabitat ? getCellNeighborEffects(grid, r, c) : NO_NEIGHBOR_EFFECTS)));
+}
+
+// Share of the sediment flowing in that the plot catches
+function getSedimentTrapping(cell) {
+    if (cell.crop.category === 'habitat') return getHabitatValue(cell, 'sedimentTrapping');
+    if (cell.crop.isCoverCrop) return (cell.crop.erosionProtection || 0) * COVER_SEDIMENT_TRAPPING;
+    return cell.crop.id === 'empty' ? 0 : CROP_SEDIMENT_TRAPPING;
+}
+
+// USLE slope length (ft) for every plot: its own length plus the unbroken run of farmland above it
+export function getSlopeLengths(grid) {
+    const [dr, dc] = DOWNSLOPE_OFFSET;
+    const lengths = grid.map(row => row.map(() => PLOT_LENGTH_FT));
+    // Upslope rows first, so each plot adds onto the finished length above it
+    for (let r = 0; r < grid.length; r++) {
+        for (let c = 0; c < grid[r].length; c++) {
+            const upslope = grid[r - dr]?.[c - dc];
+            if (upslope?.isFarmable() && getSedimentTrapping(upslope) < FLOW_BREAK_TRAPPING) lengths[r][c] += lengths[r - dr][c - dc];
+        }
+    }
+    return lengths;
+}
+
+// Rain of `waterPoints` on every plot, routed downslope: water that doesn't soak in runs onto the
+// next plot along with the soil the storm (of USLE erosivity R) washed off.
+// Returns { runoff, sediment } that left the farm, the farm's total soil loss (erosion, tons/acre summed
+// over plots) and the worst plot's (worstErosion).
+export function routeRunoff(grid, waterPoints, techs = [], erosivity = 0) {
+    const [dr, dc] = DOWNSLOPE_OFFSET;
+    const slopeLengths = erosivity > 0 ? getSlopeLengths(grid) : null;
+    const inflow = grid.map(row => row.map(() => ({ water: 0, sediment: 0 })));
+    const result = { runoff: 0, sediment: 0, erosion: 0, worstErosion: 0 };
+    // Upslope rows first so runoff cascades down the farm in one pass
+    for (let r = 0; r < grid.length; r++) {
+        for (let c = 0; c < grid[r].length; c++) {
+            const cell = grid[r][c];
+            const incoming = inflow[r][c];
+            let runoff = waterPoints + incoming.water;
+            let sediment = incoming.sediment;
+            // Roads and roofs shed everything onto the plot below
+            if (cell.isFarmable()) {
+                runoff = cell.addWater(runoff);
+                const trapped = sediment * getSedimentTrapping(cell);
+                if (trapped > 0) cell.depositSediment(trapped);
+                const soilLoss = erosivity > 0 ? calculateSoilLoss(cell, erosivity, techs, slopeLengths[r][c]) : 0;
+                const eroded = erodeCell(cell, soilLoss);
+                result.erosion += soilLoss;
+                result.worstErosion = Math.max(result.worstErosion, soilLoss);
+                sediment += eroded - trapped;
+            }
+
+            // The bottom row and creeks drain off the farm
+            const target = getLandUseById(cell.landUse).drainsRunoff ? null : inflow[r + dr]?.[c + dc];
+            if (target) {
+                target.water += runoff;
+                target.sediment += sediment;
+            } else {
+                result.runoff += runoff;
+                result.sediment += sediment;
+            }
+        }
+    }
+    return result;
+}
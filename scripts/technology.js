@@ -83,11 +83,11 @@ export const technologies = [
     {
         id: 'renewable_energy',
         name: 'Renewable Energy Systems',
-        description: 'Solar and wind power to reduce energy costs (if modeled)',
+        description: 'Solar and wind power to cut the energy cost of pumping groundwater',
         cost: 55000,
         researched: false,
         effects: {
-            energyCostFactor: 0.7 // Reduces overhead/pumping costs if implemented
+            energyCostFactor: 0.7 // Groundwater pumping costs (see game.getIrrigationCost)
         },
         prerequisites: []
     },
@@ -115,8 +115,18 @@ export const technologies = [
             soilHealthRegen: 0.01
         },
         prerequisites: ['no_till_farming'] // Requires no-till knowledge first?
+    },
+    {
+        id: 'drainage_levees',
+        name: 'Drainage & Levee Upgrades',
+        description: 'Tile drains and a reinforced levee keep floodwater off fields and drain waterlogged soil quickly',
+        cost: 25000,
+        researched: false,
+        effects: {
+            floodProtection: 0.4 // Floods reach 60% fewer plots, drain faster and do less equipment damage
+        },
+        prerequisites: []
     }
-    // Consider adding Cover Crops as a researchable tech/practice
 ];
 
 // Create a deep copy of the technology tree
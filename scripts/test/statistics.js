@@ -0,0 +1,47 @@
+/**
+ * California Climate Farmer - Batch Statistics
+ *
+ * Descriptive statistics used to summarize Monte Carlo strategy runs.
+ */
+
+export function mean(values) {
+    if (values.length === 0) return NaN;
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// Population standard deviation
+export function stdDev(values) {
+    if (values.length === 0) return NaN;
+    const avg = mean(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / values.length);
+}
+
+// Percentile (0-100) with linear interpolation between closest ranks
+export function percentile(values, p) {
+    if (values.length === 0) return NaN;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+export function median(values) {
+    return percentile(values, 50);
+}
+
+// Full summary of a sample: { count, mean, median, stdDev, min, max, p10, p25, p75, p90 }
+export function summarizeSamples(values) {
+    return {
+        count: values.length,
+        mean: mean(values),
+        median: median(values),
+        stdDev: stdDev(values),
+        min: values.length ? Math.min(...values) : NaN,
+        max: values.length ? Math.max(...values) : NaN,
+        p10: percentile(values, 10),
+        p25: percentile(values, 25),
+        p75: percentile(values, 75),
+        p90: percentile(values, 90)
+    };
+}
@@ -5,7 +5,7 @@
  * Assigns a strategy function to game.strategyTick.
  */
 
-import { crops, getCropById } from '../crops.js';
+import { getCropById } from '../crops.js';
 import { formatCurrency } from '../utils.js';
 // Import tech helpers needed for DecisionRule
 import { checkTechPrerequisites } from '../technology.js';
@@ -50,16 +50,21 @@ export function setupTestStrategy(game, strategyId) {
     }
 }
 
+// The strategy's usual crop if the farm's region grows it, otherwise the region's first crop
+function preferredCrop(game, cropId) {
+    return game.isCropAvailable(cropId) ? cropId : game.getAvailableCrops()[0].id;
+}
+
 // --- Initial Setup Functions ---
 function setupMonocultureInitial(game) {
-    const cropId = 'corn';
+    const cropId = preferredCrop(game, 'corn');
     const cropToPlantData = getCropById(cropId);
-    const plantCost = cropToPlantData ? Math.round(cropToPlantData.basePrice * game.plantingCostFactor) : Infinity;
+    const plantCost = cropToPlantData ? game.getPlantingCost(cropToPlantData) : Infinity;
     game.logger.log(`SETUP MONO: Calculated plant cost for ${cropId}: ${formatCurrency(plantCost)}`, 2);
 
     let plantedCount = 0;
-    for (let row = 0; row < game.gridSize; row++) {
-        for (let col = 0; col < game.gridSize; col++) {
+    for (let row = 0; row < game.gridRows; row++) {
+        for (let col = 0; col < game.gridCols; col++) {
             const balanceBeforePlant = game.balance;
             game.logger.log(`SETUP MONO: Attempting plant (${row},${col}), Bal Before: ${formatCurrency(balanceBeforePlant)}, Need: ${formatCurrency(plantCost)}`, 3);
             const plantSuccess = game.plantCrop(row, col, cropId);
@@ -68,7 +73,7 @@ function setupMonocultureInitial(game) {
             if (plantSuccess) {
                 plantedCount++;
             } else {
-                if (balanceBeforePlant >= plantCost && game.grid[row][col].crop.id === 'empty') {
+                if (balanceBeforePlant >= plantCost && game.grid[row][col].isFarmable() && game.grid[row][col].crop.id === 'empty') {
                     game.logger.log(`SETUP MONO WARNING: Planting failed at (${row},${col}) unexpectedly!`, 0);
                 }
             }
@@ -78,17 +83,17 @@ function setupMonocultureInitial(game) {
 }
 
 function setupDiverseCropsInitial(game) {
-    const cropIds = crops.filter(c => c.id !== 'empty').map(c => c.id);
+    const cropIds = game.getAvailableCrops().map(c => c.id);
     if (cropIds.length === 0) { game.logger.log("No crops defined (excluding empty)!", 0); return; }
     game.logger.log(`SETUP DIVERSE: Available crops: ${cropIds.join(', ')}`, 2);
 
     let counts = {};
-    for (let row = 0; row < game.gridSize; row++) {
-        for (let col = 0; col < game.gridSize; col++) {
+    for (let row = 0; row < game.gridRows; row++) {
+        for (let col = 0; col < game.gridCols; col++) {
             const cropIndex = (row * 3 + col * 5) % cropIds.length;
             const cropId = cropIds[cropIndex];
             const cropToPlantData = getCropById(cropId);
-            const plantCost = cropToPlantData ? Math.round(cropToPlantData.basePrice * game.plantingCostFactor) : Infinity;
+            const plantCost = cropToPlantData ? game.getPlantingCost(cropToPlantData) : Infinity;
             const balanceBeforePlantD = game.balance;
             game.logger.log(`SETUP DIVERSE: Attempting plant (${row},${col}) - ${cropId}, Bal Before: ${formatCurrency(balanceBeforePlantD)}, Need: ${formatCurrency(plantCost)}`, 3);
             const plantSuccessD = game.plantCrop(row, col, cropId);
@@ -97,7 +102,7 @@ function setupDiverseCropsInitial(game) {
             if (plantSuccessD) {
                  counts[cropId] = (counts[cropId] || 0) + 1;
             } else {
-                 if (balanceBeforePlantD >= plantCost && game.grid[row][col].crop.id === 'empty') {
+                 if (balanceBeforePlantD >= plantCost && game.grid[row][col].isFarmable() && game.grid[row][col].crop.id === 'empty') {
                      game.logger.log(`SETUP DIVERSE WARNING: Planting ${cropId} failed at (${row},${col}) unexpectedly!`, 0);
                  }
             }
@@ -111,10 +116,10 @@ function setupTechFocusInitial(game) {
      const incomeCrop = 'lettuce';
      let plantedCount = 0;
      const cropToPlantData = getCropById(incomeCrop);
-     const plantCost = cropToPlantData ? Math.round(cropToPlantData.basePrice * game.plantingCostFactor) : Infinity;
+     const plantCost = cropToPlantData ? game.getPlantingCost(cropToPlantData) : Infinity;
      game.logger.log(`SETUP TECH: Calculated plant cost for ${incomeCrop}: ${formatCurrency(plantCost)}`, 2);
-     for (let row = 0; row < Math.ceil(game.gridSize / 2); row++) {
-        for (let col = 0; col < Math.ceil(game.gridSize / 2); col++) {
+     for (let row = 0; row < Math.ceil(game.gridRows / 2); row++) {
+        for (let col = 0; col < Math.ceil(game.gridCols / 2); col++) {
              const balanceBefore = game.balance;
              game.logger.log(`SETUP TECH: Attempting plant (${row},${col}), Bal Before: ${formatCurrency(balanceBefore)}, Need: ${formatCurrency(plantCost)}`, 3);
              const success = game.plantCrop(row, col, incomeCrop);
@@ -128,17 +133,17 @@ function setupTechFocusInitial(game) {
 function setupWaterSavingInitial(game) {
      game.logger.log(`Water Saving Initial: Planting water-efficient crops.`, 2);
      let counts = {};
-     const waterEfficient = crops.filter(c => c.id !== 'empty' && c.waterUse < 3.0).map(c => c.id);
+     const waterEfficient = game.getAvailableCrops().filter(c => c.waterUse < 3.0).map(c => c.id);
      const targetCropsIds = waterEfficient.length > 0 ? waterEfficient : ['grapes', 'lettuce'];
      game.logger.log(`SETUP WATER: Target crops: ${targetCropsIds.join(', ')}`, 2);
      if (targetCropsIds.length === 0) { game.logger.log("No water efficient crops defined for setup!", 0); return; }
 
-     for (let row = 0; row < game.gridSize; row++) {
-        for (let col = 0; col < game.gridSize; col++) {
-             const cropIndex = (row * game.gridSize + col) % targetCropsIds.length;
+     for (let row = 0; row < game.gridRows; row++) {
+        for (let col = 0; col < game.gridCols; col++) {
+             const cropIndex = (row * game.gridCols + col) % targetCropsIds.length;
              const cropId = targetCropsIds[cropIndex];
              const cropToPlantData = getCropById(cropId);
-             const plantCost = cropToPlantData ? Math.round(cropToPlantData.basePrice * game.plantingCostFactor) : Infinity;
+             const plantCost = cropToPlantData ? game.getPlantingCost(cropToPlantData) : Infinity;
              const balanceBefore = game.balance;
              game.logger.log(`SETUP WATER: Attempting plant (${row},${col}) - ${cropId}, Bal Before: ${formatCurrency(balanceBefore)}, Need: ${formatCurrency(plantCost)}`, 3);
              const success = game.plantCrop(row, col, cropId);
@@ -161,22 +166,22 @@ function setupDecisionRuleInitial(game) {
 // --- Strategy Update Functions (Called each tick via game.strategyTick) ---
 
 function updateMonocultureStrategy(game) {
-    const cropId = 'corn';
+    const cropId = preferredCrop(game, 'corn');
     if (game.day % 5 !== 0) return;
 
     let harvestedCount = 0;
     let totalHarvestIncome = 0;
     let planted = 0, irrigated = 0, fertilized = 0;
-    const irrigationCost = game.irrigationCost;
-    const fertilizeCost = game.fertilizeCost;
+    const irrigationCost = game.getIrrigationCost();
+    const fertilizeCost = game.getFertilizeCost();
     const cropToPlantData = getCropById(cropId);
-    const plantCost = cropToPlantData ? Math.round(cropToPlantData.basePrice * game.plantingCostFactor) : Infinity;
+    const plantCost = cropToPlantData ? game.getPlantingCost(cropToPlantData) : Infinity;
 
     // Harvest Loop
-    for (let row = 0; row < game.gridSize; row++) {
-        for (let col = 0; col < game.gridSize; col++) {
+    for (let row = 0; row < game.gridRows; row++) {
+        for (let col = 0; col < game.gridCols; col++) {
             const cell = game.grid[row][col];
-            if (cell.harvestReady) {
+            if (cell.harvestReady && !game.isLaborStopped()) {
                 const harvestResult = game.harvestCell(row, col);
                 if (harvestResult.success) {
                     harvestedCount++;
@@ -192,9 +197,10 @@ function updateMonocultureStrategy(game) {
     }
 
     // Planting / Action Loop
-    for (let row = 0; row < game.gridSize; row++) {
-        for (let col = 0; col < game.gridSize; col++) {
+    for (let row = 0; row < game.gridRows; row++) {
+        for (let col = 0; col < game.gridCols; col++) {
             const cell = game.grid[row][col];
+            if (!cell.isFarmable()) continue; // Roads, buildings and creeks
             if (cell.crop.id === 'empty') {
                 if (game.balance >= plantCost) {
                     if (game.plantCrop(row, col, cropId)) planted++;
@@ -205,7 +211,7 @@ function updateMonocultureStrategy(game) {
                         if (game.irrigateCell(row, col)) irrigated++;
                     }
                 }
-                if (!cell.fertilized && cell.growthProgress > 25 && cell.growthProgress < 75) {
+                if (cell.getNutrientFactor() < 0.8 && cell.growthProgress > 25 && cell.growthProgress < 75) {
                      if (game.balance >= fertilizeCost) {
                          if (game.fertilizeCell(row, col)) fertilized++;
                      }
@@ -241,20 +247,20 @@ function updateMonocultureStrategy(game) {
 function updateDiverseCropsStrategy(game) {
      if (game.day % 5 !== 0) return;
 
-     const cropIds = crops.filter(c => c.id !== 'empty').map(c => c.id);
+     const cropIds = game.getAvailableCrops().map(c => c.id);
      if (cropIds.length === 0) return;
 
      let harvestedCount = 0;
      let totalHarvestIncome = 0;
      let planted = 0, irrigated = 0, fertilized = 0;
-     const irrigationCost = game.irrigationCost;
-     const fertilizeCost = game.fertilizeCost;
+     const irrigationCost = game.getIrrigationCost();
+     const fertilizeCost = game.getFertilizeCost();
 
      // Harvest Loop
-     for (let row = 0; row < game.gridSize; row++) {
-        for (let col = 0; col < game.gridSize; col++) {
+     for (let row = 0; row < game.gridRows; row++) {
+        for (let col = 0; col < game.gridCols; col++) {
             const cell = game.grid[row][col];
-            if (cell.harvestReady) {
+            if (cell.harvestReady && !game.isLaborStopped()) {
                  const harvestResult = game.harvestCell(row, col);
                  if (harvestResult.success) {
                      harvestedCount++;
@@ -270,14 +276,15 @@ function updateDiverseCropsStrategy(game) {
      }
 
      // Planting / Action Loop
-     for (let row = 0; row < game.gridSize; row++) {
-        for (let col = 0; col < game.gridSize; col++) {
+     for (let row = 0; row < game.gridRows; row++) {
+        for (let col = 0; col < game.gridCols; col++) {
             const cell = game.grid[row][col];
+            if (!cell.isFarmable()) continue; // Roads, buildings and creeks
             if (cell.crop.id === 'empty') {
                 const cropIndex = (row * 3 + col * 5 + Math.floor(game.day / 10)) % cropIds.length;
                 const cropId = cropIds[cropIndex];
                 const cropToPlantData = getCropById(cropId);
-                const plantCost = cropToPlantData ? Math.round(cropToPlantData.basePrice * game.plantingCostFactor) : Infinity;
+                const plantCost = cropToPlantData ? game.getPlantingCost(cropToPlantData) : Infinity;
                 if (game.balance >= plantCost) {
                     if (game.plantCrop(row, col, cropId)) planted++;
                 }
@@ -287,7 +294,7 @@ function updateDiverseCropsStrategy(game) {
                          if (game.irrigateCell(row, col)) irrigated++;
                      }
                 }
-                else if (!cell.fertilized && cell.growthProgress > 25 && cell.growthProgress < 75) {
+                else if (cell.getNutrientFactor() < 0.8 && cell.growthProgress > 25 && cell.growthProgress < 75) {
                      if (game.balance >= fertilizeCost) {
                          if (game.fertilizeCell(row, col)) fertilized++;
                      }
@@ -323,17 +330,17 @@ function updateDiverseCropsStrategy(game) {
 function updateTechFocusStrategy(game) {
     const incomeCrop = 'lettuce';
     const incomeCropData = getCropById(incomeCrop);
-    const incomeCropCost = incomeCropData ? Math.round(incomeCropData.basePrice * game.plantingCostFactor) : Infinity;
-    const irrigationCost = game.irrigationCost;
+    const incomeCropCost = incomeCropData ? game.getPlantingCost(incomeCropData) : Infinity;
+    const irrigationCost = game.getIrrigationCost();
 
     let harvestedCount = 0;
     let totalHarvestIncome = 0;
     let planted = 0, irrigated = 0;
 
     // Harvest Loop (Every Tick)
-    for (let row = 0; row < game.gridSize; row++) {
-        for (let col = 0; col < game.gridSize; col++) {
-            if (game.grid[row][col].harvestReady) {
+    for (let row = 0; row < game.gridRows; row++) {
+        for (let col = 0; col < game.gridCols; col++) {
+            if (game.grid[row][col].harvestReady && !game.isLaborStopped()) {
                 const harvestResult = game.harvestCell(row, col);
                 if (harvestResult.success) {
                     harvestedCount++;
@@ -348,9 +355,10 @@ function updateTechFocusStrategy(game) {
 
     // Actions Loop (Every 5 Ticks)
     if (game.day % 5 === 0) {
-        for (let row = 0; row < game.gridSize; row++) {
-            for (let col = 0; col < game.gridSize; col++) {
+        for (let row = 0; row < game.gridRows; row++) {
+            for (let col = 0; col < game.gridCols; col++) {
                 const cell = game.grid[row][col];
+                if (!cell.isFarmable()) continue; // Roads, buildings and creeks
                 if (cell.crop.id === 'empty') {
                     if (row < 5 && col < 5) {
                          if (game.balance >= incomeCropCost) {
@@ -373,7 +381,7 @@ function updateTechFocusStrategy(game) {
 
     // Research Loop (Every 10 Ticks)
      if (game.day % 10 === 0) {
-         const researchQueue = ['soil_sensors', 'drip_irrigation', 'precision_drones', 'ai_irrigation', 'drought_resistant', 'no_till_farming', 'renewable_energy', 'greenhouse', 'silvopasture'];
+         const researchQueue = ['soil_sensors', 'drip_irrigation', 'precision_drones', 'ai_irrigation', 'drought_resistant', 'no_till_farming', 'renewable_energy', 'greenhouse', 'silvopasture', 'drainage_levees'];
          for (const techId of researchQueue) {
             const tech = game.technologies.find(t => t.id === techId);
             if (tech && !tech.researched) {
@@ -396,19 +404,23 @@ function updateTechFocusStrategy(game) {
 function updateWaterSavingStrategy(game) {
     if (game.day % 3 !== 0) return;
 
-    const targetCropsData = crops.filter(c => c.id !== 'empty' && c.waterUse < 3.0);
+    const targetCropsData = game.getAvailableCrops().filter(c => c.waterUse < 3.0);
     let targetCropsIds = targetCropsData.map(c => c.id);
     if (targetCropsIds.length === 0) targetCropsIds.push('lettuce');
 
+    // Water-efficient crops still draw down the soil, so starved plots get their limiting nutrient
+    const FERTILIZE_NUTRIENT_FACTOR_THRESHOLD = 0.7;
+    const FERTILIZER_FOR_NUTRIENT = { N: 'nitrogen', P: 'phosphate', K: 'potash' };
+
     let harvestedCount = 0;
     let totalHarvestIncome = 0;
-    let planted = 0, irrigated = 0;
-    const irrigationCost = game.irrigationCost;
+    let planted = 0, irrigated = 0, fertilized = 0;
+    const irrigationCost = game.getIrrigationCost();
 
     // Harvest Loop
-    for (let row = 0; row < game.gridSize; row++) {
-        for (let col = 0; col < game.gridSize; col++) {
-            if (game.grid[row][col].harvestReady) {
+    for (let row = 0; row < game.gridRows; row++) {
+        for (let col = 0; col < game.gridCols; col++) {
+            if (game.grid[row][col].harvestReady && !game.isLaborStopped()) {
                 const harvestResult = game.harvestCell(row, col);
                 if (harvestResult.success) {
                     harvestedCount++;
@@ -422,14 +434,15 @@ function updateWaterSavingStrategy(game) {
     }
 
     // Planting / Action Loop
-    for (let row = 0; row < game.gridSize; row++) {
-        for (let col = 0; col < game.gridSize; col++) {
+    for (let row = 0; row < game.gridRows; row++) {
+        for (let col = 0; col < game.gridCols; col++) {
             const cell = game.grid[row][col];
+            if (!cell.isFarmable()) continue; // Roads, buildings and creeks
             if (cell.crop.id === 'empty') {
-                const cropIndex = (row * game.gridSize + col) % targetCropsIds.length;
+                const cropIndex = (row * game.gridCols + col) % targetCropsIds.length;
                 const cropId = targetCropsIds[cropIndex];
                 const cropToPlantData = getCropById(cropId);
-                const plantCost = cropToPlantData ? Math.round(cropToPlantData.basePrice * game.plantingCostFactor) : Infinity;
+                const plantCost = cropToPlantData ? game.getPlantingCost(cropToPlantData) : Infinity;
                  if (game.balance >= plantCost) {
                      if (game.plantCrop(row, col, cropId)) planted++;
                  }
@@ -439,10 +452,16 @@ function updateWaterSavingStrategy(game) {
                      if (game.irrigateCell(row, col)) irrigated++;
                  }
             }
+            else if (!cell.harvestReady && cell.getNutrientFactor() < FERTILIZE_NUTRIENT_FACTOR_THRESHOLD) {
+                 const fertilizerId = FERTILIZER_FOR_NUTRIENT[cell.getLimitingNutrient()] || 'balanced';
+                 if (game.balance >= game.getFertilizeCost(fertilizerId)) {
+                     if (game.fertilizeCell(row, col, fertilizerId)) fertilized++;
+                 }
+            }
         }
     }
-     if(planted || irrigated) {
-         game.logger.log(`WaterSave Tick Actions: P:${planted}, I:${irrigated}. Bal: ${formatCurrency(game.balance)}`, 3);
+     if(planted || irrigated || fertilized) {
+         game.logger.log(`WaterSave Tick Actions: P:${planted}, I:${irrigated}, F:${fertilized}. Bal: ${formatCurrency(game.balance)}`, 3);
      }
 
      // Research Loop (Check affordability)
@@ -483,9 +502,11 @@ function updateDecisionRuleStrategy(game) {
     const PLANTING_PRICE_FACTOR_THRESHOLD = 0.7;
     const IRRIGATION_WATER_LEVEL_THRESHOLD = 45;
     const IRRIGATION_RESERVE_THRESHOLD = 30;
-    const FERTILIZE_SOIL_HEALTH_THRESHOLD = 55;
+    const FERTILIZE_NUTRIENT_FACTOR_THRESHOLD = 0.7;
+    const FERTILIZER_FOR_NUTRIENT = { N: 'nitrogen', P: 'phosphate', K: 'potash' };
     const RESEARCH_CHECK_FREQUENCY_DAYS = 30;
     const MIN_BALANCE_TO_CONSIDER_RESEARCH = 40000;
+    const MAX_PERENNIAL_SHARE = 0.3; // Orchards tie a plot up for years before paying back
 
     const CHEAP_TECH_COST_LIMIT = 25000;
     const CHEAP_TECH_BUFFER = 10000;
@@ -503,19 +524,21 @@ function updateDecisionRuleStrategy(game) {
 
     let harvestedCount = 0;
     let totalHarvestIncome = 0;
-    let planted = 0, irrigated = 0, fertilized = 0, researched = 0;
+    let planted = 0, irrigated = 0, fertilized = 0, treated = 0, researched = 0;
 
-    const availableCrops = crops.filter(c => c.id !== 'empty');
+    const availableCrops = game.getAvailableCrops();
     const availableCropIds = availableCrops.map(c => c.id);
     if (availableCropIds.length === 0) return;
 
-    const currentIrrigationCost = game.irrigationCost;
-    const fertilizeCost = game.fertilizeCost;
+    const currentIrrigationCost = game.getIrrigationCost();
+    let perennialCount = 0;
+    game.grid.forEach(r => r.forEach(cell => { if (cell.crop.perennial) perennialCount++; }));
+    const maxPerennials = Math.floor(game.getFarmablePlotCount() * MAX_PERENNIAL_SHARE);
 
     // --- Harvest Loop ---
-    for (let row = 0; row < game.gridSize; row++) {
-        for (let col = 0; col < game.gridSize; col++) {
-            if (game.grid[row][col].harvestReady) {
+    for (let row = 0; row < game.gridRows; row++) {
+        for (let col = 0; col < game.gridCols; col++) {
+            if (game.grid[row][col].harvestReady && !game.isLaborStopped()) {
                 const harvestResult = game.harvestCell(row, col);
                 if (harvestResult.success) {
                     harvestedCount++;
@@ -530,31 +553,36 @@ function updateDecisionRuleStrategy(game) {
     }
 
     // --- Action Loop ---
-    for (let row = 0; row < game.gridSize; row++) {
-        for (let col = 0; col < game.gridSize; col++) {
+    for (let row = 0; row < game.gridRows; row++) {
+        for (let col = 0; col < game.gridCols; col++) {
             const cell = game.grid[row][col];
+            if (!cell.isFarmable()) continue; // Roads, buildings and creeks
             // 1. Plant if empty
             if (cell.crop.id === 'empty') {
                 let bestCropId = null;
                 let maxPriceFactor = 0;
-                availableCropIds.forEach(id => {
-                    const priceFactor = game.marketPrices[id] || 1.0;
+                const candidateIds = perennialCount < maxPerennials
+                    ? availableCropIds
+                    : availableCrops.filter(c => !c.perennial).map(c => c.id);
+                candidateIds.forEach(id => {
+                    const priceFactor = game.getMarketPrice(id);
                     if (priceFactor > maxPriceFactor) {
                         maxPriceFactor = priceFactor;
                         bestCropId = id;
                     }
                 });
                 if (!bestCropId || maxPriceFactor < PLANTING_PRICE_FACTOR_THRESHOLD) {
-                    const cropIndex = (row * game.gridSize + col + Math.floor(game.day / 5)) % availableCropIds.length;
-                    bestCropId = availableCropIds[cropIndex];
+                    const cropIndex = (row * game.gridCols + col + Math.floor(game.day / 5)) % candidateIds.length;
+                    bestCropId = candidateIds[cropIndex];
                     // *** Increase log level for routine decision detail ***
                     // game.logger.log(`DecisionRule planting diverse (${bestCropId}) at (${row},${col}) due to low market prices (Best factor: ${maxPriceFactor.toFixed(2)})`, 4);
                 }
                 const cropToPlantData = getCropById(bestCropId);
-                const plantCost = cropToPlantData ? Math.round(cropToPlantData.basePrice * game.plantingCostFactor) : Infinity;
+                const plantCost = cropToPlantData ? game.getPlantingCost(cropToPlantData) : Infinity;
                 if (game.balance >= plantCost) {
                     if (game.plantCrop(row, col, bestCropId)) {
                          planted++;
+                         if (cropToPlantData.perennial) perennialCount++;
                         // *** Increase log level for routine decision detail ***
                          // if (maxPriceFactor >= PLANTING_PRICE_FACTOR_THRESHOLD) {
                          //     game.logger.log(`DecisionRule planted ${bestCropId} at (${row},${col}) chasing market (Factor: ${maxPriceFactor.toFixed(2)})`, 4);
@@ -562,23 +590,33 @@ function updateDecisionRuleStrategy(game) {
                     }
                 }
             }
-            // 2. Irrigate if needed
+            // Dormant orchards rest until spring bloom
+            else if (cell.dormant) continue;
+            // 2. Spray known outbreaks; scout plots next to one, since that's where it spreads
+            else if (cell.infestation?.detected && cell.pestProtectionDays <= 0 && game.balance >= game.getTreatmentCost()) {
+                if (game.treatCell(row, col)) treated++;
+            }
+            else if (!cell.infestation?.detected && [[-1, 0], [1, 0], [0, -1], [0, 1]].some(([dr, dc]) => game.grid[row + dr]?.[col + dc]?.infestation?.detected)) {
+                game.scoutCell(row, col);
+            }
+            // 3. Irrigate if needed
             else if (!cell.harvestReady && !cell.irrigated && cell.waterLevel < IRRIGATION_WATER_LEVEL_THRESHOLD && game.waterReserve > IRRIGATION_RESERVE_THRESHOLD) {
                 if (game.balance >= currentIrrigationCost) {
                     if (game.irrigateCell(row, col)) irrigated++;
                 }
             }
-            // 3. Fertilize if needed
-            else if (!cell.harvestReady && !cell.fertilized && cell.soilHealth < FERTILIZE_SOIL_HEALTH_THRESHOLD) {
-                 if (game.balance >= fertilizeCost) {
-                     if (game.fertilizeCell(row, col)) fertilized++;
+            // 4. Fertilize if needed, targeting the limiting nutrient
+            else if (!cell.harvestReady && cell.getNutrientFactor() < FERTILIZE_NUTRIENT_FACTOR_THRESHOLD) {
+                 const fertilizerId = FERTILIZER_FOR_NUTRIENT[cell.getLimitingNutrient()] || 'balanced';
+                 if (game.balance >= game.getFertilizeCost(fertilizerId)) {
+                     if (game.fertilizeCell(row, col, fertilizerId)) fertilized++;
                  }
             }
         }
     }
      // --- Keep Tick Summary at Level 2 (less verbose than individual actions) ---
-     if(planted > 0 || irrigated > 0 || fertilized > 0) {
-         game.logger.log(`DecisionRule Tick Actions: P:${planted}, I:${irrigated}, F:${fertilized}. Bal: ${formatCurrency(game.balance)}`, 2);
+     if(planted > 0 || irrigated > 0 || fertilized > 0 || treated > 0) {
+         game.logger.log(`DecisionRule Tick Actions: P:${planted}, I:${irrigated}, F:${fertilized}, T:${treated}. Bal: ${formatCurrency(game.balance)}`, 2);
      }
 
     // --- Research Logic (Tiered Approach) ---
@@ -598,7 +636,8 @@ function updateDecisionRuleStrategy(game) {
                  { id: 'silvopasture', category: 'soil', cost: game.getTechnologyCost('silvopasture') },
                  { id: 'ai_irrigation', category: 'water', cost: game.getTechnologyCost('ai_irrigation') },
                  { id: 'renewable_energy', category: 'cost', cost: game.getTechnologyCost('renewable_energy') },
-                 { id: 'greenhouse', category: 'protection', cost: game.getTechnologyCost('greenhouse') }
+                 { id: 'greenhouse', category: 'protection', cost: game.getTechnologyCost('greenhouse') },
+                 { id: 'drainage_levees', category: 'protection', cost: game.getTechnologyCost('drainage_levees') }
              ].filter(t => t.cost > 0);
 
              const isWaterConcern = game.waterReserve < LOW_WATER_RESERVE_THRESHOLD || currentIrrigationCost > HIGH_WATER_COST_THRESHOLD;
@@ -6,14 +6,24 @@
 import { CaliforniaClimateFarmer } from '../game.js';
 import { setupTestStrategy } from './strategies.js';
 // *** ADDED formatCurrency ***
-import { formatCurrency } from '../utils.js';
+import { formatCurrency, generateSeed } from '../utils.js';
+import { saveGameToFile } from '../save.js';
+import { summarizeSamples } from './statistics.js';
+import { saveMetricsToFiles } from '../metrics.js';
+import { getRegionById } from '../regions.js';
 
 
 console.log('TestHarness module loading...');
 
 // Test Harness class
 export class TestHarness {
-    constructor() {
+    // options.seed: fixed RNG seed for every test (replay); omit to draw a fresh seed per test
+    // options.saveDir: if set, the final game state of each test is written there as a save file
+    // options.runs: Monte Carlo batch size; > 1 runs each strategy that many times with distinct seeds
+    // options.metricsDir / options.metricsInterval: record a time series every N days and export it as CSV/JSON
+    // options.region: regional preset ID for every test (see regions.js); omit for the default region
+    // options.gridRows / options.gridCols / options.layout: farm size and layout for every test (see land.js)
+    constructor(options = {}) {
         console.log('TestHarness constructor called');
         this.tests = [
             { id: 'monoculture', name: 'Monoculture Strategy' },
@@ -29,6 +39,14 @@ export class TestHarness {
         this.selectedTests = []; // Array of test IDs to run
         this.currentTestIndex = -1;
         this.results = {}; // Store results per test ID
+        this.seed = (options.seed !== undefined && options.seed !== null) ? options.seed : null;
+        this.saveDir = options.saveDir || null;
+        this.runs = Math.max(1, options.runs || 1);
+        this.metricsDir = options.metricsDir || null;
+        this.metricsInterval = options.metricsInterval || 1;
+        this.region = getRegionById(options.region);
+        this.farmOptions = { gridRows: options.gridRows, gridCols: options.gridCols, layout: options.layout };
+        this.batchResults = {}; // Array of per-run results per test ID (batch mode)
     }
 
     // Select all available tests
@@ -65,7 +83,8 @@ export class TestHarness {
 
         if (this.currentTestIndex >= this.selectedTests.length) {
             console.log('\n🎉 All selected tests completed! 🎉');
-            this.displaySummaryResults();
+            if (this.runs > 1) this.displayBatchSummary();
+            else this.displaySummaryResults();
             return false; // No more tests
         }
 
@@ -80,7 +99,14 @@ export class TestHarness {
 
         console.log(`\n--- Starting Test ${this.currentTestIndex + 1}/${this.selectedTests.length}: [${testInfo.name}] (ID: ${testId}) ---`);
 
+        if (this.runs > 1) {
+            await this.runBatch(testId);
+            setTimeout(() => this.startNextTest(), 100);
+            return true;
+        }
+
         this.activeGame = null;
+        const seed = this.seed !== null ? this.seed : generateSeed();
 
         try {
             this.activeGame = new CaliforniaClimateFarmer({
@@ -90,33 +116,24 @@ export class TestHarness {
                 debugMode: false, // Keep default logging level low
                 testEndYear: 50,
                 autoTerminate: true,
+                seed: seed,
+                region: this.region.id,
+                ...this.farmOptions,
+                recordMetrics: this.metricsDir ? { interval: this.metricsInterval } : false,
                 nextTestCallback: () => this.startNextTest()
             });
 
             setupTestStrategy(this.activeGame, testId);
 
+            console.log(`Test '${testId}' using seed ${this.activeGame.seed} (replay: node run-tests.js ${testId} --seed=${this.activeGame.seed} --region=${this.region.id}${this.getFarmArgs()})`);
             console.log(`Simulating test '${testId}' until Year ${this.activeGame.testEndYear} or Balance <= 0...`);
-            const startTime = Date.now();
-
-            while (this.activeGame.year < this.activeGame.testEndYear && this.activeGame.balance > 0) {
-                this.activeGame.runTick();
-            }
-
-            const endTime = Date.now();
-            const durationMs = endTime - startTime;
+            const durationMs = this.simulate(this.activeGame);
             console.log(`Test '${testId}' simulation finished in ${durationMs} ms.`);
 
             // Store final state
-            this.results[testId] = {
-                endYear: this.activeGame.year,
-                endBalance: this.activeGame.balance,
-                endFarmValue: this.activeGame.farmValue,
-                endFarmHealth: this.activeGame.farmHealth,
-                endWaterReserve: this.activeGame.waterReserve,
-                endSustainability: this.activeGame.calculateSustainabilityScore().total,
-                researchedTechs: this.activeGame.researchedTechs.length,
-                durationMs: durationMs
-            };
+            this.results[testId] = this.collectResult(this.activeGame, durationMs);
+
+            await this.writeRunOutputs(this.activeGame, testId);
 
             this.activeGame.terminateTest();
             return true;
@@ -128,6 +145,95 @@ export class TestHarness {
         }
     }
 
+    // Export the run's metrics (--metrics-dir) and final save (--save-dir), named by test and seed
+    async writeRunOutputs(game, testId) {
+        if (this.metricsDir) {
+            const metricsPath = `${this.metricsDir}/${testId}-seed${game.seed}-metrics`;
+            try {
+                await saveMetricsToFiles(game.metrics, metricsPath);
+                console.log(`Exported ${game.metrics.samples.length} metric samples for '${testId}' to ${metricsPath}.csv/.json`);
+            } catch (error) {
+                console.error(`❌ Could not export metrics for '${testId}' to ${metricsPath}: ${error.message}`);
+            }
+        }
+
+        if (this.saveDir) {
+            const savePath = `${this.saveDir}/${testId}-seed${game.seed}.json`;
+            try {
+                await saveGameToFile(game, savePath);
+                console.log(`Saved final state of '${testId}' to ${savePath}`);
+            } catch (error) {
+                console.error(`❌ Could not save final state of '${testId}' to ${savePath}: ${error.message}`);
+            }
+        }
+    }
+
+    // Run the game loop until the end year, bankruptcy or the farm is sold; returns wall-clock duration in ms
+    simulate(game) {
+        const startTime = Date.now();
+        while (game.year < game.testEndYear && !game.isGameOver()) {
+            game.runTick();
+        }
+        return Date.now() - startTime;
+    }
+
+    // Snapshot the end-of-run values recorded for each test
+    collectResult(game, durationMs) {
+        return {
+            endYear: game.year,
+            endBalance: game.balance,
+            endFarmValue: game.farmValue,
+            endFarmHealth: game.farmHealth,
+            endWaterReserve: game.waterReserve,
+            endSustainability: game.calculateSustainabilityScore().total,
+            researchedTechs: game.researchedTechs.length,
+            bankrupt: !game.retired && game.balance <= 0,
+            retired: game.retired,
+            seed: game.seed,
+            durationMs: durationMs
+        };
+    }
+
+    // Run one strategy this.runs times with distinct seeds (base seed + run index when a seed is fixed),
+    // writing each run's metrics and save like a single run does
+    async runBatch(testId) {
+        const runResults = [];
+        console.log(`Running '${testId}' ${this.runs} times${this.seed !== null ? ` (seeds ${this.seed}-${this.seed + this.runs - 1})` : ''}...`);
+
+        for (let run = 0; run < this.runs; run++) {
+            const seed = this.seed !== null ? (this.seed + run) >>> 0 : generateSeed();
+            try {
+                const game = new CaliforniaClimateFarmer({
+                    headless: true,
+                    testMode: true,
+                    testStrategyId: testId,
+                    debugMode: false,
+                    testEndYear: 50,
+                    autoTerminate: true,
+                    seed: seed,
+                    region: this.region.id,
+                    ...this.farmOptions,
+                    recordMetrics: this.metricsDir ? { interval: this.metricsInterval } : false,
+                    consoleLogLevel: 0 // Errors only; per-run logs would drown the summary
+                });
+                this.activeGame = game;
+                setupTestStrategy(game, testId);
+                const durationMs = this.simulate(game);
+                runResults.push(this.collectResult(game, durationMs));
+                await this.writeRunOutputs(game, testId);
+                game.stop();
+            } catch (error) {
+                console.error(`❌ Error in run ${run + 1} of ${testId} (seed ${seed}):`, error);
+            }
+            if ((run + 1) % 10 === 0 || run + 1 === this.runs) {
+                console.log(`  ${testId}: ${run + 1}/${this.runs} runs complete`);
+            }
+        }
+
+        this.batchResults[testId] = runResults;
+        return runResults;
+    }
+
     // Run all tests currently selected
     runSelectedTests() {
         if (this.selectedTests.length === 0) {
@@ -137,12 +243,21 @@ export class TestHarness {
         console.log(`\n🚀 Starting test run for ${this.selectedTests.length} selected tests...`);
         this.currentTestIndex = -1;
         this.results = {};
+        this.batchResults = {};
         this.startNextTest();
     }
 
+    // run-tests.js flags that reproduce the farm size and layout (as given, not as the farm grew or shrank)
+    getFarmArgs() {
+        let args = '';
+        if (this.farmOptions.layout) args += ` --layout=${this.farmOptions.layout}`;
+        if (this.farmOptions.gridRows || this.farmOptions.gridCols) args += ` --grid=${this.farmOptions.gridRows}x${this.farmOptions.gridCols}`;
+        return args;
+    }
+
     // Display a summary table of results
     displaySummaryResults() {
-        console.log("\n--- Test Run Summary ---");
+        console.log(`\n--- Test Run Summary (${this.region.name}) ---`);
         const summary = Object.entries(this.results).map(([id, result]) => ({
             ID: id,
             EndYear: result.endYear,
@@ -154,6 +269,7 @@ export class TestHarness {
             Water: `${result.endWaterReserve.toFixed(2)}%`,
             Sustain: `${result.endSustainability}%`,
             Techs: result.researchedTechs,
+            Seed: result.seed,
             Time: `${(result.durationMs / 1000).toFixed(2)}s`
         }));
 
@@ -164,6 +280,52 @@ export class TestHarness {
         }
         console.log("------------------------");
     }
+
+    // Display distribution statistics for each strategy across all batch runs
+    displayBatchSummary() {
+        console.log(`\n--- Monte Carlo Summary (${this.runs} runs per strategy) ---`);
+        const entries = Object.entries(this.batchResults).filter(([, runs]) => runs.length > 0);
+        if (entries.length === 0) {
+            console.log("No results to display.");
+            console.log("------------------------");
+            return;
+        }
+
+        const overview = entries.map(([id, runs]) => ({
+            ID: id,
+            Runs: runs.length,
+            Bankrupt: `${(runs.filter(r => r.bankrupt).length / runs.length * 100).toFixed(1)}%`,
+            Retired: `${(runs.filter(r => r.retired).length / runs.length * 100).toFixed(1)}%`,
+            MeanBalance: formatCurrency(summarizeSamples(runs.map(r => r.endBalance)).mean),
+            MeanYear: summarizeSamples(runs.map(r => r.endYear)).mean.toFixed(1),
+            Time: `${(runs.reduce((sum, r) => sum + r.durationMs, 0) / 1000).toFixed(2)}s`
+        }));
+        console.table(overview);
+
+        const metrics = [
+            { key: 'endBalance', label: 'End Balance', format: formatCurrency },
+            { key: 'endYear', label: 'Survival Year', format: v => v.toFixed(1) },
+            { key: 'endFarmHealth', label: 'Farm Health (%)', format: v => v.toFixed(1) },
+            { key: 'endSustainability', label: 'Sustainability (%)', format: v => v.toFixed(1) }
+        ];
+        metrics.forEach(metric => {
+            console.log(`\n${metric.label}:`);
+            console.table(entries.map(([id, runs]) => {
+                const stats = summarizeSamples(runs.map(r => r[metric.key]));
+                return {
+                    ID: id,
+                    Mean: metric.format(stats.mean),
+                    Median: metric.format(stats.median),
+                    P10: metric.format(stats.p10),
+                    P25: metric.format(stats.p25),
+                    P75: metric.format(stats.p75),
+                    P90: metric.format(stats.p90),
+                    StdDev: metric.format(stats.stdDev)
+                };
+            }));
+        });
+        console.log("------------------------");
+    }
 }
 
 console.log('TestHarness module loaded.');
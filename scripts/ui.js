@@ -2,9 +2,26 @@
  * California Climate Farmer - UI Manager
  */
 
-import { crops, getCropById } from './crops.js';
+import { crops, coverCrops, getCropById, GROWTH_STAGES, getGrowthStageIndex } from './crops.js';
 import { formatCurrency } from './utils.js';
 import { checkTechPrerequisites } from './technology.js';
+import { listSaveSlots, saveToSlot, loadFromSlot, deleteSaveSlot } from './save.js';
+import { fertilizers, DEFAULT_FERTILIZER_ID, getFertilizerById } from './fertilizers.js';
+import { NUTRIENTS } from './cell.js';
+import { getPestById } from './pests.js';
+import { getCellNeighborEffects, getSlopeLengths } from './spatial.js';
+import { calculateSoilLoss } from './erosion.js';
+import { landUses, getLandUseById, PARCEL_SIDES } from './land.js';
+import { WATER_ACCESS, SALE_COST_SHARE } from './land-market.js';
+
+const NUTRIENT_COLORS = { N: '#e76f51', P: '#9370db', K: '#f4a261' };
+// Erosion overlay: USLE soil loss for a typical year (tons/acre), against the 5 t/ac the soil can rebuild
+const EROSION_RISK_CLASSES = [
+    { maxRisk: 2, color: '#a8d5a2', label: 'Under 2 t/ac/yr' },
+    { maxRisk: 5, color: '#f2e6a0', label: '2-5 t/ac/yr' },
+    { maxRisk: 10, color: '#e59866', label: '5-10 t/ac/yr' },
+    { maxRisk: Infinity, color: '#c0392b', label: 'Over 10 t/ac/yr' }
+];
 
 export class UIManager {
     constructor(game) {
@@ -34,23 +51,35 @@ export class UIManager {
     }
 
     setupCanvasSize() {
-        const calculateSize = () => {
-            const container = this.canvas.parentElement;
-            if (!container) return;
+        this.resizeCanvas();
+        window.addEventListener('resize', () => this.resizeCanvas());
+    }
 
-            // Fit canvas within container while maintaining aspect ratio
-            const containerWidth = container.clientWidth - 60; // Subtract padding
-            const containerHeight = container.clientHeight - 60;
-            const size = Math.min(containerWidth, containerHeight, 700); // Max size
+    resizeCanvas() {
+        const container = this.canvas.parentElement;
+        if (!container) return;
 
-            this.canvas.width = size;
-            this.canvas.height = size;
-            this.cellSize = size / this.game.gridSize;
+        // Fit canvas within container; plots stay square, so a rectangular farm leaves a margin on one side
+        const containerWidth = container.clientWidth - 60; // Subtract padding
+        const containerHeight = container.clientHeight - 60;
+        const size = Math.min(containerWidth, containerHeight, 700); // Max size
 
-            this.render(); // Re-render after resize
-        };
-        calculateSize();
-        window.addEventListener('resize', calculateSize);
+        this.canvas.width = size;
+        this.canvas.height = size;
+        this.cellSize = size / Math.max(this.game.gridRows, this.game.gridCols);
+
+        this.render(); // Re-render after resize
+    }
+
+    // The farm grew or shrank (land bought, leased or sold) or a save with another layout was loaded
+    onGridResized() {
+        if (this.selectedCell && !this.game.isInGrid(this.selectedCell.row, this.selectedCell.col)) {
+            this.selectedCell = null;
+            document.getElementById('cell-info').style.display = 'none';
+        }
+        this.resizeCanvas();
+        this.setupRowColumnSelectors();
+        this.updateLegend();
     }
 
     setupEventListeners() {
@@ -71,7 +100,16 @@ export class UIManager {
         document.getElementById('pause-btn')?.addEventListener('click', () => this.game.togglePause());
         document.getElementById('help-btn')?.addEventListener('click', () => document.getElementById('help-modal').style.display = 'flex');
         document.getElementById('research-btn')?.addEventListener('click', () => { this.isResearchModalOpen = true; this.showResearchModal(); });
-        document.getElementById('market-btn')?.addEventListener('click', () => { this.isMarketModalOpen = true; this.showMarketModal(); });
+        document.getElementById('market-btn')?.addEventListener('click', () => {
+            this.isMarketModalOpen = true;
+            this.showMarketModal();
+            document.getElementById('market-modal').style.display = 'flex';
+        });
+        document.getElementById('water-btn')?.addEventListener('click', () => this.showWaterModal());
+        document.getElementById('land-btn')?.addEventListener('click', () => this.showLandModal());
+        document.getElementById('save-btn')?.addEventListener('click', () => this.showSaveModal());
+        document.getElementById('export-csv-btn')?.addEventListener('click', () => this.exportMetrics('csv'));
+        document.getElementById('export-json-btn')?.addEventListener('click', () => this.exportMetrics('json'));
 
         // Modal Closes
         document.querySelectorAll('.modal .close').forEach(btn => btn.addEventListener('click', (e) => this._closeModal(e.target.closest('.modal'))));
@@ -88,8 +126,16 @@ export class UIManager {
         // Cell Info Panel Actions
         document.getElementById('close-cell-info')?.addEventListener('click', () => { document.getElementById('cell-info').style.display = 'none'; this.selectedCell = null; this.render(); });
         document.getElementById('irrigate-btn')?.addEventListener('click', () => this._handleCellAction('irrigate', this.game.irrigateCell));
-        document.getElementById('fertilize-btn')?.addEventListener('click', () => this._handleCellAction('fertilize', this.game.fertilizeCell));
+        this._populateFertilizerSelect();
+        document.getElementById('fertilize-btn')?.addEventListener('click', () => {
+            const fertilizerId = document.getElementById('fertilizer-select')?.value;
+            this._handleCellAction('fertilize', (row, col) => this.game.fertilizeCell(row, col, fertilizerId));
+        });
+        document.getElementById('scout-btn')?.addEventListener('click', () => this._handleCellAction('scout', this.game.scoutCell));
+        document.getElementById('treat-btn')?.addEventListener('click', () => this._handleCellAction('treat', this.game.treatCell));
+        document.getElementById('contour-btn')?.addEventListener('click', () => this._handleCellAction('contour', this.game.contourCell));
         document.getElementById('harvest-btn')?.addEventListener('click', () => this._handleCellAction('harvest', this.game.harvestCell));
+        document.getElementById('remove-btn')?.addEventListener('click', () => this._handleCellAction('remove', this.game.removeCrop));
 
         this.setupRowColumnSelectors(); // Initialize headers
     }
@@ -116,13 +162,14 @@ export class UIManager {
         }
         colSelectors.innerHTML = ''; // Clear existing
 
-        for (let i = 0; i < this.game.gridSize; i++) {
+        for (let i = 0; i < this.game.gridRows; i++) {
             const rowBtn = document.createElement('button');
             rowBtn.className = 'selector-btn';
             rowBtn.textContent = i + 1;
             rowBtn.dataset.row = i;
             rowSelectors.appendChild(rowBtn);
-
+        }
+        for (let i = 0; i < this.game.gridCols; i++) {
             const colBtn = document.createElement('button');
             colBtn.className = 'selector-btn';
             colBtn.textContent = String.fromCharCode(65 + i);
@@ -138,19 +185,18 @@ export class UIManager {
         const colSelectors = document.querySelector('.column-selectors');
         if (!rowSelectors || !colSelectors) return;
 
-        const gridDimension = this.cellSize * this.game.gridSize;
         const buttonSize = 22;
         const margin = 5;
 
         // Position the vertical row selectors to the left of the grid
         rowSelectors.style.left = `${offsetX - buttonSize - margin}px`;
         rowSelectors.style.top = `${offsetY}px`;
-        rowSelectors.style.height = `${gridDimension}px`;
+        rowSelectors.style.height = `${this.cellSize * this.game.gridRows}px`;
         
         // Position the horizontal column selectors above the grid
         colSelectors.style.left = `${offsetX}px`;
         colSelectors.style.top = `${offsetY - buttonSize - margin}px`;
-        colSelectors.style.width = `${gridDimension}px`;
+        colSelectors.style.width = `${this.cellSize * this.game.gridCols}px`;
     }
 
 
@@ -159,10 +205,64 @@ export class UIManager {
         document.getElementById('farm-value').textContent = formatCurrency(this.game.farmValue);
         document.getElementById('farm-health').textContent = this.game.farmHealth.toFixed(0);
         document.getElementById('water-reserve').textContent = this.game.waterReserve.toFixed(0);
-        document.getElementById('date-display').textContent = `${this.game.season}, Year ${this.game.year}`;
+        const rights = this.game.waterRights;
+        const surfaceWater = document.getElementById('surface-water');
+        surfaceWater.textContent = `${rights.available()} / ${rights.allocation + rights.banked}`;
+        surfaceWater.style.color = rights.available() === 0 ? 'var(--danger-color)' : '';
+        const aquifer = this.game.aquifer;
+        document.getElementById('water-table').textContent = aquifer.depth.toFixed(0);
+        const pumpingStatus = document.getElementById('pumping-status');
+        pumpingStatus.textContent = `${aquifer.pumpedThisYear} / ${aquifer.annualCap}`;
+        pumpingStatus.style.color = aquifer.overdrafted ? 'var(--danger-color)' : '';
+        document.getElementById('irrigation-cost').textContent = formatCurrency(this.game.getIrrigationCost());
+        document.getElementById('region-display').textContent = this.game.region.name;
+        document.getElementById('date-display').textContent = `${this.game.season}, Year ${this.game.year} (${this.game.getCalendarYear()})`;
+        this.updateWeather();
+        this.updateActiveModifiers();
         document.getElementById('year-display').textContent = this.game.year;
         document.getElementById('season-display').textContent = this.game.season;
         document.getElementById('pause-btn').textContent = this.game.paused ? 'Resume' : 'Pause';
+        // Once the farm is sold only the reports, saves and help stay open
+        ['pause-btn', 'research-btn', 'water-btn', 'speed-slider'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.disabled = this.game.retired;
+        });
+    }
+
+    // Today's weather and the 7-day forecast
+    updateWeather() {
+        const todayEl = document.getElementById('weather-today');
+        const forecastEl = document.getElementById('weather-forecast');
+        const today = this.game.weather.today;
+        if (!todayEl || !today) return;
+        const rain = today.precip > 0 ? `, rain ${today.precip.toFixed(2)}"` : '';
+        const smoke = today.smokeShading ? `, smoke${this.game.isLaborStopped() ? ' (field work stopped)' : ''}` : '';
+        todayEl.textContent = `${Math.round(today.tmax)}° / ${Math.round(today.tmin)}°F${rain}, ET0 ${today.et0.toFixed(2)}"${smoke}`;
+        todayEl.style.color = (today.heatwave || this.game.isLaborStopped()) ? 'var(--danger-color)' : '';
+        if (!forecastEl) return;
+        forecastEl.innerHTML = this.game.weather.getForecast().map((day, i) => {
+            const classes = ['forecast-day'];
+            if (day.tmax >= 100) classes.push('hot');
+            if (day.precip > 0) classes.push('wet');
+            const rainText = day.precip > 0 ? `<br>${day.precip.toFixed(1)}"` : '';
+            return `<div class="${classes.join(' ')}" title="Day ${day.dayOfYear}: ET0 ${day.et0.toFixed(2)} in">+${i + 1}<br>${Math.round(day.tmax)}/${Math.round(day.tmin)}${rainText}</div>`;
+        }).join('');
+    }
+
+    // Temporary effects (e.g. water restrictions) with their remaining duration
+    updateActiveModifiers() {
+        const container = document.getElementById('active-modifiers');
+        if (!container) return;
+        container.innerHTML = this.game.activeModifiers.map(m => {
+            const percent = Math.round((m.multiplier - 1) * 100);
+            return `<div class="stat active-modifier${this._isFavorableModifier(m) ? ' positive' : ''}"><span>${m.label} (${percent >= 0 ? '+' : ''}${percent}%):</span>
+                    <span class="stat-value">${this.game.getModifierDaysRemaining(m)} days left</span></div>`;
+        }).join('');
+    }
+
+    // Price boosts help the farmer; cost modifiers help only when they lower the cost
+    _isFavorableModifier(modifier) {
+        return modifier.target.startsWith('marketPrice:') ? modifier.multiplier > 1 : modifier.multiplier < 1;
     }
 
     updateEventsList() {
@@ -183,11 +283,17 @@ export class UIManager {
         legend.innerHTML = '';
         let items = [];
         switch (this.game.currentOverlay) {
-            case 'crop': items = crops.filter(c => c.id !== 'empty').map(c => ({ color: c.color, label: c.name })); break;
+            case 'crop': items = [...crops.filter(c => c.id !== 'empty'), ...coverCrops].map(c => ({ color: c.color, label: c.name })); break;
             case 'water': items = [{ color: '#ff6666', label: 'Low' }, { color: '#ffcc66', label: 'Med' }, { color: '#66cc66', label: 'High' }]; break;
             case 'soil': items = [{ color: '#cc9966', label: 'Poor' }, { color: '#aa8855', label: 'Avg' }, { color: '#886644', label: 'Good' }]; break;
             case 'yield': items = [{ color: '#ffaaaa', label: 'Low' }, { color: '#ffffaa', label: 'Med' }, { color: '#aaffaa', label: 'High' }]; break;
+            case 'nutrients': items = [{ color: NUTRIENT_COLORS.N, label: 'N limiting' }, { color: NUTRIENT_COLORS.P, label: 'P limiting' }, { color: NUTRIENT_COLORS.K, label: 'K limiting' }, { color: '#66cc66', label: 'Sufficient' }]; break;
+            case 'pests': items = [{ color: '#f2e6a0', label: 'Low pressure' }, { color: '#d9a441', label: 'High pressure' }, { color: '#c0392b', label: 'Known outbreak' }, { color: '#7fb3d5', label: 'Sprayed' }]; break;
+            case 'erosion': items = EROSION_RISK_CLASSES.map(c => ({ color: c.color, label: c.label })); break;
         }
+        // Roads, buildings and creeks look the same on every overlay
+        const usesOnFarm = new Set(this.game.grid.flat().map(cell => cell.landUse));
+        landUses.filter(use => !use.farmable && usesOnFarm.has(use.id)).forEach(use => items.push({ color: use.color, label: use.name }));
         items.forEach(item => {
             legend.innerHTML += `<div class="legend-item"><div class="legend-color" style="background-color: ${item.color}"></div><span>${item.label}</span></div>`;
         });
@@ -211,53 +317,173 @@ export class UIManager {
         const cropOptions = document.getElementById('crop-options');
         if (!panel || !details || !cropOptions) return;
 
-        details.innerHTML = `<div class="stat"><span>Plot:</span><span>${String.fromCharCode(65 + col)}${row + 1}</span></div>
-                             <div class="stat"><span>Crop:</span><span>${cell.crop.name}</span></div>
-                             <div class="stat"><span>Water:</span><span>${cell.waterLevel.toFixed(0)}%</span></div>
-                             <div class="stat"><span>Soil:</span><span>${cell.soilHealth.toFixed(0)}%</span></div>`;
+        // Roads, buildings and creeks have nothing to plant or tend, and nothing can be once the farm is sold
+        const farmable = cell.isFarmable();
+        panel.querySelectorAll('.crop-selection, .fertilizer-selection, .cell-actions .btn:not(#close-cell-info)').forEach(el => { el.style.display = farmable && !this.game.retired ? '' : 'none'; });
+        if (!farmable) {
+            const use = getLandUseById(cell.landUse);
+            details.innerHTML = `<div class="stat"><span>Plot:</span><span>${String.fromCharCode(65 + col)}${row + 1}</span></div>
+                                 <div class="stat"><span>Land:</span><span>${use.name}</span></div>
+                                 <p>${use.description}</p>`;
+            panel.style.display = 'block';
+            return;
+        }
 
-        if (cell.crop.id !== 'empty') {
+        details.innerHTML = `<div class="stat"><span>Plot:</span><span>${String.fromCharCode(65 + col)}${row + 1}${cell.tenure === 'leased' ? ' (leased)' : ''}</span></div>
+                             <div class="stat"><span>Crop:</span><span>${cell.crop.name}</span></div>
+                             <div class="stat"><span>Water:</span><span>${cell.waterLevel.toFixed(0)} / ${cell.getWaterCapacity().toFixed(0)}</span></div>
+                             <div class="stat"><span>Soil:</span><span>${cell.soilHealth.toFixed(0)}%</span></div>
+                             <div class="stat"><span>Organic Matter:</span><span>${cell.organicMatter.toFixed(2)}%</span></div>
+                             <div class="stat"><span>Water Access:</span><span>${WATER_ACCESS[cell.waterAccess]?.name || cell.waterAccess}</span></div>
+                             <div class="stat"><span>N / P / K (lb/ac):</span><span>${NUTRIENTS.map(n => cell.nutrients[n].toFixed(0)).join(' / ')}</span></div>
+                             ${this._erosionDetails(cell, row, col)}`;
+        if (cell.waterloggedDays > 0) {
+            details.innerHTML += `<div class="stat"><span>Flooded:</span><span>Waterlogged for ${cell.waterloggedDays} more day${cell.waterloggedDays === 1 ? '' : 's'}</span></div>`;
+        }
+        if (cell.smokeTaint > 0) {
+            details.innerHTML += `<div class="stat"><span>Smoke Taint:</span><span>-${Math.round(cell.smokeTaint * 100)}% crop value</span></div>`;
+        }
+        details.innerHTML += this._neighborDetails(cell, row, col);
+
+        if (cell.crop.isCoverCrop) {
+            const isFallow = cell.crop.category === 'fallow';
+            const practice = isFallow ? 'Managed fallow' : (cell.crop.category === 'habitat' ? 'Habitat' : 'Cover crop');
+            details.innerHTML += `<div class="stat"><span>Practice:</span><span>${practice} (${cell.daysSincePlanting} days)</span></div>
+                                  ${isFallow ? '' : `<div class="stat"><span>Growth:</span><span>${Math.floor(cell.growthProgress)}%</span></div>`}
+                                  ${cell.crop.nFixation ? `<div class="stat"><span>N Fixed:</span><span>${cell.getFixedNitrogen().toFixed(0)} lb/ac</span></div>` : ''}
+                                  <div class="stat"><span>Erosion Protection:</span><span>${Math.round(cell.crop.erosionProtection * 100)}%</span></div>
+                                  ${cell.crop.leachingReduction ? `<div class="stat"><span>Leaching Reduction:</span><span>${Math.round(cell.crop.leachingReduction * 100)}%</span></div>` : ''}
+                                  <div class="stat"><span>Pests:</span><span>${cell.pestPressure.toFixed(0)}% (suppressing)</span></div>`;
+            this._showPlantingOptions(cropOptions, row, col, 'Terminate & Plant');
+        } else if (cell.crop.id !== 'empty') {
+            if (cell.crop.perennial) details.innerHTML += this._perennialDetails(cell);
             details.innerHTML += `<div class="stat"><span>Growth:</span><span>${Math.floor(cell.growthProgress)}%</span></div>
-                                  <div class="stat"><span>Yield:</span><span>${cell.expectedYield.toFixed(0)}%</span></div>`;
+                                  <div class="stat"><span>Degree Days:</span><span>${Math.round(cell.gddAccumulated)} / ${cell.crop.gddToMaturity} (base ${cell.crop.gddBase}&deg;F)</span></div>
+                                  <div class="stat"><span>Yield:</span><span>${cell.expectedYield.toFixed(0)}%</span></div>
+                                  <div class="stat"><span>Water Stress:</span><span>${Math.round(cell.waterYieldFactor * 100)}% of yield kept (${cell.harvestReady || cell.dormant ? 'season over' : GROWTH_STAGES[getGrowthStageIndex(cell.growthProgress)].name.toLowerCase()}, Ky ${cell.crop.ky})</span></div>
+                                  <div class="stat"><span>Nutrient Supply:</span><span>${Math.round(cell.getNutrientFactor() * 100)}%${cell.getLimitingNutrient() ? ` (${cell.getLimitingNutrient()} limiting)` : ''}</span></div>
+                                  <div class="stat"><span>Fertilized:</span><span>${cell.fertilizersApplied.map(id => getFertilizerById(id).name).join(', ') || 'Not this season'}</span></div>
+                                  ${this._pestDetails(cell)}`;
             cropOptions.style.display = 'none';
         } else {
-            cropOptions.innerHTML = '<h3>Plant Crop</h3>';
-            crops.forEach(crop => {
-                if (crop.id === 'empty') return;
-                const cost = formatCurrency(Math.round(crop.basePrice * this.game.plantingCostFactor));
-                cropOptions.innerHTML += `<div class="crop-option">
-                    <input type="radio" id="crop-${crop.id}" name="crop-select" value="${crop.id}">
-                    <label for="crop-${crop.id}">${crop.name} (${cost})</label>
-                </div>`;
-            });
-            cropOptions.innerHTML += `<button id="plant-btn" class="btn">Plant</button>`;
-            document.getElementById('plant-btn').onclick = () => {
-                const selected = document.querySelector('input[name="crop-select"]:checked');
-                if (selected) {
-                    if (this.game.plantCrop(row, col, selected.value)) {
-                         this.lastAction = { type: 'plant', params: { row, col, cropId: selected.value } };
-                        this.showCellInfo(row, col); // Refresh panel
-                    }
-                }
-            };
-            cropOptions.style.display = 'block';
+            // Bare soil with nothing managing it erodes and loses fertility
+            details.innerHTML += `<div class="stat"><span>Status:</span><span>Neglected - soil degrading</span></div>`;
+            this._showPlantingOptions(cropOptions, row, col, 'Plant');
         }
         
-        document.getElementById('irrigate-btn').disabled = cell.irrigated || cell.crop.id === 'empty';
-        document.getElementById('fertilize-btn').disabled = cell.fertilized || cell.crop.id === 'empty';
+        document.getElementById('irrigate-btn').disabled = cell.irrigated || cell.crop.id === 'empty' || cell.crop.category === 'fallow';
+        document.getElementById('fertilize-btn').disabled = cell.crop.id === 'empty';
+        this._populateFertilizerSelect();
         document.getElementById('harvest-btn').disabled = !cell.harvestReady;
+        const scoutBtn = document.getElementById('scout-btn');
+        if (scoutBtn) scoutBtn.disabled = cell.crop.id === 'empty';
+        const contourBtn = document.getElementById('contour-btn');
+        if (contourBtn) {
+            contourBtn.disabled = cell.contour;
+            contourBtn.textContent = cell.contour ? 'On Contour' : `Contour (${formatCurrency(this.game.getContourCost())})`;
+        }
+        const treatBtn = document.getElementById('treat-btn');
+        if (treatBtn) {
+            treatBtn.disabled = cell.crop.id === 'empty';
+            treatBtn.textContent = `Spray (${formatCurrency(this.game.getTreatmentCost())})`;
+        }
+        const removeBtn = document.getElementById('remove-btn');
+        if (removeBtn) {
+            removeBtn.style.display = cell.crop.perennial ? '' : 'none';
+            removeBtn.textContent = `Remove ${cell.crop.id === 'grapes' ? 'Vineyard' : 'Orchard'} (${formatCurrency(this.game.getRemovalCost(cell.crop))})`;
+        }
 
         panel.style.display = 'block';
     }
 
+    // Slope, soil erodibility and the plot's soil loss: actual this year and last, and the USLE risk for a typical year
+    _erosionDetails(cell, row, col) {
+        const risk = this._getErosionRisk(cell, getSlopeLengths(this.game.grid)[row][col]);
+        return `<div class="stat"><span>Slope:</span><span>${cell.slope}% (K ${cell.erodibility.toFixed(2)})${cell.contour ? ', on contour' : ''}</span></div>
+                <div class="stat"><span>Erosion:</span><span>${cell.erosionThisYear.toFixed(1)} t/ac this year (${cell.erosionLastYear.toFixed(1)} last), risk ${risk.toFixed(1)} t/ac/yr</span></div>`;
+    }
+
+    // USLE soil loss (tons/acre) for a typical year's rain on the plot as it stands
+    _getErosionRisk(cell, slopeLength) {
+        return calculateSoilLoss(cell, this.game.climate.annualErosivity, this.game.researchedTechs, slopeLength);
+    }
+
+    // What the plot gets from habitat plantings next door (windbreak shelter, pollinators, beneficial insects)
+    _neighborDetails(cell, row, col) {
+        const effects = getCellNeighborEffects(this.game.grid, row, col);
+        const parts = [];
+        if (effects.windbreak > 0) parts.push(`windbreak -${Math.round(effects.windbreak * 100)}% heat stress`);
+        if (effects.pollination > 0 && cell.crop.pollinatorDependence) parts.push(`pollinators +${Math.round(effects.pollination * cell.crop.pollinatorDependence * 100)}% yield`);
+        if (effects.beneficialInsects > 0) parts.push(`beneficial insects -${Math.round(effects.beneficialInsects * 100)}% pests`);
+        return parts.length ? `<div class="stat"><span>Neighbors:</span><span>${parts.join(', ')}</span></div>` : '';
+    }
+
+    // Pest pressure and any outbreak the player knows about (undetected outbreaks stay hidden until scouted)
+    _pestDetails(cell) {
+        const infestation = cell.infestation?.detected ? cell.infestation : null;
+        const outbreak = infestation
+            ? `${getPestById(infestation.pestId).name}, ${Math.round(infestation.severity)}% severity`
+            : 'None found';
+        const protection = cell.pestProtectionDays > 0 ? ` (sprayed, ${cell.pestProtectionDays} days left)` : '';
+        return `<div class="stat"><span>Pest Pressure:</span><span>${cell.pestPressure.toFixed(0)}%</span></div>
+                <div class="stat"><span>Outbreak:</span><span>${outbreak}${protection}</span></div>`;
+    }
+
+    // Age, bearing stage and winter chill rows for orchards and vineyards
+    _perennialDetails(cell) {
+        const crop = cell.crop;
+        let stage;
+        if (cell.plantAge < crop.establishmentYears) stage = `Establishing (year ${cell.plantAge + 1} of ${crop.establishmentYears})`;
+        else if (cell.plantAge < crop.matureAge) stage = 'Young - yield ramping up';
+        else if (cell.plantAge > crop.declineAge) stage = 'Old - yield declining';
+        else stage = 'Full bearing';
+        if (cell.dormant) stage += ', dormant';
+        const chill = cell.lastChillHours === null
+            ? `n/a (needs ${crop.chillHoursRequired})`
+            : `${cell.lastChillHours} / ${crop.chillHoursRequired} hrs${cell.chillFactor < 1 ? ` (-${Math.round((1 - cell.chillFactor) * 100)}% crop)` : ''}`;
+        return `<div class="stat"><span>Age:</span><span>${cell.plantAge} yr - ${stage}</span></div>
+                <div class="stat"><span>Age Yield Factor:</span><span>${Math.round(cell.getAgeFactor() * 100)}%</span></div>
+                <div class="stat"><span>Winter Chill:</span><span>${chill}</span></div>`;
+    }
+
+    // Cash crops plus cover crop / fallow practices; planting over a cover terminates it
+    _showPlantingOptions(cropOptions, row, col, buttonLabel) {
+        const option = (crop) => {
+            const cost = formatCurrency(this.game.getPlantingCost(crop));
+            return `<div class="crop-option">
+                <input type="radio" id="crop-${crop.id}" name="crop-select" value="${crop.id}">
+                <label for="crop-${crop.id}">${crop.name} (${cost})</label>
+            </div>`;
+        };
+        const current = this.game.grid[row][col].crop.id;
+        cropOptions.innerHTML = '<h3>Plant Crop</h3>'
+            + this.game.getAvailableCrops().map(option).join('')
+            + '<h3>Cover Crops / Fallow</h3>'
+            + coverCrops.filter(c => c.id !== current).map(option).join('')
+            + `<button id="plant-btn" class="btn">${buttonLabel}</button>`;
+        document.getElementById('plant-btn').onclick = () => {
+            const selected = document.querySelector('input[name="crop-select"]:checked');
+            if (selected) {
+                if (this.game.plantCrop(row, col, selected.value)) {
+                     this.lastAction = { type: 'plant', params: { row, col, cropId: selected.value } };
+                    this.showCellInfo(row, col); // Refresh panel
+                }
+            }
+        };
+        cropOptions.style.display = 'block';
+    }
+
     showTooltip(x, y, row, col) {
         const tooltip = document.getElementById('tooltip');
         if (!tooltip) return;
         const cell = this.game.grid[row][col];
-        let content = `<strong>${String.fromCharCode(65 + col)}${row + 1}</strong>: ${cell.crop.name}`;
+        const landName = cell.isFarmable() ? cell.crop.name : getLandUseById(cell.landUse).name;
+        let content = `<strong>${String.fromCharCode(65 + col)}${row + 1}</strong>: ${landName}`;
         if (cell.crop.id !== 'empty') {
             content += ` (${Math.floor(cell.growthProgress)}%)`;
             if (cell.harvestReady) content += ` - Ready!`;
+            if (cell.crop.perennial) content += `, age ${cell.plantAge}${cell.dormant ? ', dormant' : ''}`;
+            if (cell.infestation?.detected) content += ` - ${getPestById(cell.infestation.pestId).name}!`;
         }
         tooltip.innerHTML = content;
         tooltip.style.left = `${x + 15}px`;
@@ -279,7 +505,7 @@ export class UIManager {
             const canAfford = this.game.balance >= tech.cost;
             let status = 'available';
             if (tech.researched) status = 'researched';
-            else if (!prereqsMet || !canAfford) status = 'unavailable';
+            else if (!prereqsMet || !canAfford || this.game.retired) status = 'unavailable';
 
             const item = document.createElement('div');
             item.className = `tech-item ${status}`;
@@ -301,12 +527,172 @@ export class UIManager {
     showMarketModal() {
         const container = document.getElementById('market-info');
         if (!container) return;
-        container.innerHTML = crops.filter(c => c.id !== 'empty').map(crop =>
-            `<div class="stat">
+        container.innerHTML = crops.filter(c => c.id !== 'empty').map(crop => {
+            const basePercent = Math.round((this.game.marketPrices[crop.id] || 1.0) * 100);
+            const boost = this.game.activeModifiers.find(m => m.target === `marketPrice:${crop.id}`);
+            if (!boost) {
+                return `<div class="stat"><span>${crop.name}:</span><span class="stat-value">${basePercent}%</span></div>`;
+            }
+            // Temporary opportunity: show base vs. boosted price and when the boost ends
+            const boostedPercent = Math.round(this.game.getMarketPrice(crop.id) * 100);
+            return `<div class="stat">
                 <span>${crop.name}:</span>
-                <span class="stat-value">${Math.round((this.game.marketPrices[crop.id] || 1.0) * 100)}%</span>
-            </div>`
-        ).join('');
+                <span class="stat-value">${basePercent}% &rarr; <span class="active-modifier${this._isFavorableModifier(boost) ? ' positive' : ''}">${boostedPercent}%</span></span>
+            </div>
+            <div class="stat"><span></span><small>Boost expires ${this._formatAbsoluteDay(boost.expiresDay)} (${this.game.getModifierDaysRemaining(boost)} days)</small></div>`;
+        }).join('');
+    }
+
+    // "Day D, Year Y" for an absolute game day
+    _formatAbsoluteDay(absoluteDay) {
+        const year = Math.floor((absoluteDay - 1) / 360) + 1;
+        const day = ((absoluteDay - 1) % 360) + 1;
+        return `Day ${day}, Year ${year}`;
+    }
+
+    showWaterModal() {
+        const modal = document.getElementById('water-modal');
+        const container = document.getElementById('water-info');
+        if (!modal || !container) return;
+        const rights = this.game.waterRights;
+        const price = rights.getMarketPrice();
+        const stat = (label, value) => `<div class="stat"><span>${label}:</span><span class="stat-value">${value}</span></div>`;
+        container.innerHTML = [
+            stat('District Allocation', `${Math.round(rights.allocationPercent * 100)}% (${rights.allocation} irrigations)`),
+            stat('Used This Year', rights.used),
+            stat('Sold This Year', rights.sold),
+            stat('Banked Carryover', rights.banked),
+            stat('Available', rights.available()),
+            stat('Sellable', rights.sellable()),
+            stat('Market Price', `${formatCurrency(price)} / irrigation`),
+            stat('After Delivery Fee', `${formatCurrency(this.game.getWaterSalePrice())} / irrigation`)
+        ].join('') + `<p>Irrigation uses surface water first, then groundwater. Unused allocation is banked into next year (with seepage losses); only this year's allocation can be sold, and the district charges its delivery fee on sales.</p>
+            <div class="btn-group">
+                <button class="btn" data-sell="100">Sell 100</button>
+                <button class="btn" data-sell="500">Sell 500</button>
+                <button class="btn secondary" data-sell="all">Sell All</button>
+            </div>`;
+        container.querySelectorAll('[data-sell]').forEach(btn => {
+            const units = btn.dataset.sell === 'all' ? rights.sellable() : Number(btn.dataset.sell);
+            btn.disabled = rights.sellable() === 0 || this.game.getWaterSalePrice() <= 0;
+            btn.onclick = () => { this.game.sellWater(units); this.showWaterModal(); };
+        });
+        modal.style.display = 'flex';
+    }
+
+    // The land market: buy (cash or mortgage) or lease the parcels neighbors have on offer, sell edge strips,
+    // or sell the whole farm and retire
+    showLandModal() {
+        const modal = document.getElementById('land-modal');
+        const container = document.getElementById('land-info');
+        if (!modal || !container) return;
+        const game = this.game;
+        const market = game.landMarket;
+        const stat = (label, value) => `<div class="stat"><span>${label}:</span><span class="stat-value">${value}</span></div>`;
+        if (game.retired) {
+            container.innerHTML = stat('Retired', `Year ${game.year}`) + stat('Final Net Worth', formatCurrency(game.balance))
+                + '<p>The farm has been sold. Start a new game from the splash screen to farm again.</p>';
+            modal.style.display = 'flex';
+            return;
+        }
+        let leased = 0;
+        game.grid.forEach(row => row.forEach(cell => { if (cell.tenure === 'leased') leased++; }));
+        const sideLabel = { south: 'South (new row)', east: 'East (new column)' };
+        const edgeLabel = { south: 'south row', east: 'east column' };
+        const change = market.lastPriceChange;
+        container.innerHTML = [
+            stat('Farm Size', `${game.gridRows} x ${game.gridCols} (${game.getFarmablePlotCount()} farmable plots)`),
+            stat('Leased Plots', leased),
+            stat('Land Prices', `${Math.round(market.priceIndex * 100)}% of Year 1 (${change >= 0 ? '+' : ''}${(change * 100).toFixed(1)}% this year)`),
+            stat('Mortgages', market.mortgages.length > 0
+                ? `${formatCurrency(market.getMortgageDebt())} owed, ${formatCurrency(market.getMortgagePayments())}/yr`
+                : 'None')
+        ].join('') + '<p>Land is priced on its soil and water access. Leased land is farmed like your own but pays rent every year at the going rate and adds nothing to the farm\'s value.</p>'
+            + PARCEL_SIDES.map(side => {
+                const offer = game.getParcelOffer(side);
+                if (!offer) return `<h3>${sideLabel[side]}</h3><p>No neighbor is offering land here this year.</p>`;
+                return `<h3>${sideLabel[side]}: ${game.getParcelSize(side)} plots</h3>
+                ${stat('Soil', `${offer.soilHealth}% health, ${offer.organicMatter.toFixed(1)}% organic matter`)}
+                ${stat('Water', WATER_ACCESS[offer.waterAccess].name)}
+                <div class="btn-group">
+                    <button class="btn" data-buy="${side}">Buy (${formatCurrency(game.getParcelPrice(side))})</button>
+                    <button class="btn" data-mortgage="${side}">Mortgage (${formatCurrency(game.getParcelDownPayment(side))} down)</button>
+                    <button class="btn secondary" data-lease="${side}">Lease (${formatCurrency(game.getParcelRent(side))}/yr)</button>
+                </div>`;
+            }).join('')
+            + '<h3>Sell Land</h3><div class="btn-group">'
+            + PARCEL_SIDES.map(side => `<button class="btn secondary" data-sell="${side}">Sell ${edgeLabel[side]} (${formatCurrency(game.getParcelSaleValue(side))})</button>`).join('')
+            + `</div><p>Sales pay ${Math.round(SALE_COST_SHARE * 100)}% in closing costs and pay down mortgages first. Leased plots on a sold edge go back to their owners.</p>
+            <div class="btn-group"><button class="btn secondary" id="sell-farm-btn">Sell the Farm and Retire (${formatCurrency(game.getFarmSaleValue() - market.getMortgageDebt())} after mortgages)</button></div>`;
+        const bind = (attr, action) => container.querySelectorAll(`[data-${attr}]`).forEach(btn => {
+            btn.onclick = () => { action(btn.dataset[attr]); this.showLandModal(); };
+        });
+        bind('buy', side => game.buyParcel(side));
+        bind('mortgage', side => game.buyParcel(side, { mortgage: true }));
+        bind('lease', side => game.leaseParcel(side));
+        bind('sell', side => game.sellParcel(side));
+        document.getElementById('sell-farm-btn').onclick = () => {
+            if (!window.confirm('Sell the farm and retire? This ends the game.')) return;
+            game.sellFarm();
+            this.showLandModal();
+        };
+        modal.style.display = 'flex';
+    }
+
+    showSaveModal() {
+        const modal = document.getElementById('save-modal');
+        const container = document.getElementById('save-slots');
+        if (!modal || !container) return;
+        container.innerHTML = '';
+        listSaveSlots().forEach(slotInfo => {
+            let label = '<span class="empty">Empty</span>';
+            if (slotInfo.corrupt) label = '<span class="empty">Unreadable save</span>';
+            else if (!slotInfo.empty) label = `Year ${slotInfo.year}, ${slotInfo.season} - ${formatCurrency(slotInfo.balance)}`;
+
+            const item = document.createElement('div');
+            item.className = 'save-slot';
+            item.innerHTML = `<div class="save-slot-info"><strong>Slot ${slotInfo.slot}</strong><br>${label}</div>
+                              <div class="btn-group">
+                                  <button class="btn" data-action="save">Save</button>
+                                  <button class="btn secondary" data-action="load" ${slotInfo.empty ? 'disabled' : ''}>Load</button>
+                                  <button class="btn secondary" data-action="delete" ${slotInfo.empty ? 'disabled' : ''}>Delete</button>
+                              </div>`;
+            item.querySelector('[data-action="save"]').onclick = () => {
+                if (saveToSlot(this.game, slotInfo.slot)) this.game.addEvent(`Game saved to slot ${slotInfo.slot}.`);
+                this.showSaveModal();
+            };
+            item.querySelector('[data-action="load"]').onclick = () => {
+                if (loadFromSlot(this.game, slotInfo.slot)) {
+                    this.game.addEvent(`Loaded game from slot ${slotInfo.slot}.`);
+                    this._closeModal(modal);
+                } else {
+                    this.game.addEvent(`Could not load slot ${slotInfo.slot}.`, true);
+                }
+            };
+            item.querySelector('[data-action="delete"]').onclick = () => { deleteSaveSlot(slotInfo.slot); this.showSaveModal(); };
+            container.appendChild(item);
+        });
+        modal.style.display = 'flex';
+    }
+
+    // Download the game's recorded time series as a CSV or JSON file
+    exportMetrics(format) {
+        const recorder = this.game.metrics;
+        if (!recorder || recorder.samples.length === 0) {
+            this.game.addEvent('No metrics recorded yet.', true);
+            return;
+        }
+        const content = format === 'csv' ? recorder.toCSV() : JSON.stringify(recorder.toJSON(), null, 2);
+        const mimeType = format === 'csv' ? 'text/csv' : 'application/json';
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `farm-metrics-year${this.game.year}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
     }
 
     render() {
@@ -314,12 +700,11 @@ export class UIManager {
         if (!this.game.grid) return;
 
         // Calculate grid offsets to center it in the canvas
-        const gridDimension = this.cellSize * this.game.gridSize;
-        const offsetX = (this.canvas.width - gridDimension) / 2;
-        const offsetY = (this.canvas.height - gridDimension) / 2;
+        const { offsetX, offsetY } = this._getGridOffsets();
+        this._slopeLengths = this.game.currentOverlay === 'erosion' ? getSlopeLengths(this.game.grid) : null;
 
-        for (let row = 0; row < this.game.gridSize; row++) {
-            for (let col = 0; col < this.game.gridSize; col++) {
+        for (let row = 0; row < this.game.gridRows; row++) {
+            for (let col = 0; col < this.game.gridCols; col++) {
                 this.drawCell(offsetX + col * this.cellSize, offsetY + row * this.cellSize, row, col);
             }
         }
@@ -328,17 +713,54 @@ export class UIManager {
         this._updateSelectorPositions(offsetX, offsetY);
     }
 
+    // Top-left corner of the grid, centered in the canvas
+    _getGridOffsets() {
+        return {
+            offsetX: (this.canvas.width - this.cellSize * this.game.gridCols) / 2,
+            offsetY: (this.canvas.height - this.cellSize * this.game.gridRows) / 2
+        };
+    }
+
     drawCell(x, y, row, col) {
         const cell = this.game.grid[row][col];
         let fillColor;
-        switch (this.game.currentOverlay) {
+        const overlay = cell.isFarmable() ? this.game.currentOverlay : 'land';
+        switch (overlay) {
+            case 'land': fillColor = getLandUseById(cell.landUse).color; break;
             case 'water': fillColor = `rgba(30, 144, 255, ${cell.waterLevel / 100})`; break;
             case 'soil': fillColor = `rgba(139, 69, 19, ${cell.soilHealth / 100})`; break;
-            case 'yield': fillColor = cell.crop.id === 'empty' ? '#ddd' : `rgba(144, 238, 144, ${cell.expectedYield / 120})`; break;
+            case 'yield': fillColor = (cell.crop.id === 'empty' || cell.crop.isCoverCrop) ? '#ddd' : `rgba(144, 238, 144, ${cell.expectedYield / 120})`; break;
+            case 'nutrients': {
+                // Color by the limiting nutrient; paler means less severe. Empty plots show N level.
+                const limiting = cell.crop.id === 'empty' ? null : cell.getLimitingNutrient();
+                if (limiting) {
+                    this.ctx.fillStyle = NUTRIENT_COLORS[limiting];
+                    this.ctx.globalAlpha = 1 - 0.7 * cell.getNutrientFactor();
+                    this.ctx.fillRect(x, y, this.cellSize, this.cellSize);
+                    this.ctx.globalAlpha = 1;
+                    fillColor = null;
+                } else {
+                    fillColor = cell.crop.id === 'empty' ? `rgba(102, 204, 102, ${Math.min(1, cell.nutrients.N / 150)})` : '#66cc66';
+                }
+                break;
+            }
+            case 'pests':
+                // Known outbreaks in red by severity; otherwise background pressure, or blue while a spray protects the plot
+                if (cell.infestation?.detected) fillColor = `rgba(192, 57, 43, ${0.3 + 0.7 * cell.infestation.severity / 100})`;
+                else if (cell.pestProtectionDays > 0) fillColor = '#7fb3d5';
+                else fillColor = `rgba(217, 164, 65, ${0.15 + cell.pestPressure / 80})`;
+                break;
+            case 'erosion': {
+                const risk = this._getErosionRisk(cell, this._slopeLengths[row][col]);
+                fillColor = EROSION_RISK_CLASSES.find(c => risk < c.maxRisk).color;
+                break;
+            }
             default: fillColor = cell.crop.color;
         }
-        this.ctx.fillStyle = fillColor;
-        this.ctx.fillRect(x, y, this.cellSize, this.cellSize);
+        if (fillColor) {
+            this.ctx.fillStyle = fillColor;
+            this.ctx.fillRect(x, y, this.cellSize, this.cellSize);
+        }
 
         // Selection highlight
         if (this.selectedCell && this.selectedCell.row === row && this.selectedCell.col === col) {
@@ -349,6 +771,14 @@ export class UIManager {
             this.ctx.lineWidth = 1;
         }
         this.ctx.strokeRect(x, y, this.cellSize, this.cellSize);
+        // Leased plots get a dashed inner border
+        if (cell.tenure === 'leased') {
+            this.ctx.strokeStyle = '#555';
+            this.ctx.lineWidth = 1;
+            this.ctx.setLineDash([4, 3]);
+            this.ctx.strokeRect(x + 3, y + 3, this.cellSize - 6, this.cellSize - 6);
+            this.ctx.setLineDash([]);
+        }
 
         // Crop icon/status
         if (cell.crop.id !== 'empty') {
@@ -368,9 +798,7 @@ export class UIManager {
 
     _getCanvasClickCoords(event) {
         const rect = this.canvas.getBoundingClientRect();
-        const gridDimension = this.cellSize * this.game.gridSize;
-        const offsetX = (this.canvas.width - gridDimension) / 2;
-        const offsetY = (this.canvas.height - gridDimension) / 2;
+        const { offsetX, offsetY } = this._getGridOffsets();
 
         const x = event.clientX - rect.left - offsetX;
         const y = event.clientY - rect.top - offsetY;
@@ -378,12 +806,22 @@ export class UIManager {
         const col = Math.floor(x / this.cellSize);
         const row = Math.floor(y / this.cellSize);
 
-        if (row >= 0 && row < this.game.gridSize && col >= 0 && col < this.game.gridSize) {
+        if (this.game.isInGrid(row, col)) {
             return { row, col };
         }
         return { row: -1, col: -1 };
     }
 
+    _populateFertilizerSelect() {
+        const select = document.getElementById('fertilizer-select');
+        if (!select) return;
+        const previous = select.value || DEFAULT_FERTILIZER_ID;
+        select.innerHTML = fertilizers.map(f =>
+            `<option value="${f.id}" title="${f.description}">${f.name} (${formatCurrency(this.game.getFertilizeCost(f.id))})</option>`
+        ).join('');
+        select.value = previous; // Keep the player's choice; prices may have changed
+    }
+
     _closeModal(modal) {
         if (modal) modal.style.display = 'none';
         if (modal.id === 'research-modal') this.isResearchModalOpen = false;
@@ -4,6 +4,9 @@
  * This file contains utility functions used throughout the game.
  */
 
+// Built on first use and reused: formatting runs for most log messages, and building a formatter is slow
+let currencyFormatter = null;
+
 // Format currency values for display
 export function formatCurrency(value) {
     const num = Number(value);
@@ -20,7 +23,8 @@ export function formatCurrency(value) {
     };
     // Use Intl.NumberFormat for better localization and formatting
     try {
-        return new Intl.NumberFormat('en-US', options).format(num);
+        if (!currencyFormatter) currencyFormatter = new Intl.NumberFormat('en-US', options);
+        return currencyFormatter.format(num);
     } catch (e) {
         // Fallback for environments without Intl support or other errors
         return '$' + num.toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: 0 });
@@ -28,7 +32,7 @@ export function formatCurrency(value) {
 }
 
 
-// Calculate farm health based on soil and water conditions
+// Calculate farm health based on soil and water conditions (farmland only, owned or leased)
 export function calculateFarmHealth(grid, waterReserve) {
     if (!grid || grid.length === 0 || !grid[0] || grid[0].length === 0) return 50;
 
@@ -36,8 +40,8 @@ export function calculateFarmHealth(grid, waterReserve) {
     let plotCount = 0;
 
     for (let row = 0; row < grid.length; row++) {
-        for (let col = 0; col < grid[0].length; col++) {
-             if(grid[row] && grid[row][col]) {
+        for (let col = 0; col < grid[row].length; col++) {
+             if(grid[row][col] && grid[row][col].isFarmable()) {
                 totalSoilHealth += grid[row][col].soilHealth;
                 plotCount++;
              }
@@ -59,14 +63,18 @@ export function calculateFarmHealth(grid, waterReserve) {
 
 // Calculate farm value based on land, soil quality, GROWING crops, and technologies
 // ** CONFIRMED ** Does NOT include cash balance.
-export function calculateFarmValue(grid, technologies) {
+// Only owned farmland carries land and soil value; crops growing on leased plots still count.
+// With a landMarket (land-market.js), owned land is valued at market prices instead.
+export function calculateFarmValue(grid, technologies, landMarket = null) {
      if (!grid || grid.length === 0 || !grid[0] || grid[0].length === 0) return 0;
      if (!technologies) technologies = [];
 
-    let baseLandValue = 50000; // Keep base value modest
+    const baseLandValuePerPlot = 500; // Keep base value modest (50,000 for the standard 10 x 10 farm)
+    let ownedPlots = 0;
     let soilValueAddon = 0; // Value added by soil quality *above* a baseline
     let growingCropValue = 0; // Value of currently growing crops
     let techValue = 0;
+    let landMarketValue = 0;
 
     // ADJUSTMENT: Lower soil value multiplier AND apply it as a bonus above baseline
     const soilValueMultiplier = 25; // Was 60 - Much lower direct value per % point
@@ -74,11 +82,16 @@ export function calculateFarmValue(grid, technologies) {
     const techDepreciationFactor = 0.80; // Was 0.85 - Slightly less value retention
 
     for (let row = 0; row < grid.length; row++) {
-        for (let col = 0; col < grid[0].length; col++) {
-            if(grid[row] && grid[row][col]) {
+        for (let col = 0; col < grid[row].length; col++) {
+            if(grid[row][col] && grid[row][col].isFarmable()) {
                 const cell = grid[row][col];
                 // Soil adds value based on its health, but scaled less aggressively
-                soilValueAddon += Math.max(0, cell.soilHealth) * soilValueMultiplier;
+                if (cell.tenure !== 'leased') {
+                    // The land market (land-market.js) prices the same soil scale by water access and land prices
+                    if (landMarket) landMarketValue += landMarket.getPlotValue(cell);
+                    else soilValueAddon += Math.max(0, cell.soilHealth) * soilValueMultiplier;
+                    ownedPlots++;
+                }
 
                 // Value from GROWING crops
                 if (cell.crop.id !== 'empty' && cell.crop.harvestValue > 0 && cell.growthProgress > 0) {
@@ -97,14 +110,39 @@ export function calculateFarmValue(grid, technologies) {
 
     // Total value = Base Land + Soil Addon + Growing Crops + Technology
     // This prevents empty plots with high health from dominating the value.
+    if (landMarket) return Math.round(landMarketValue + growingCropValue + techValue);
+    const baseLandValue = baseLandValuePerPlot * ownedPlots;
     let totalValue = baseLandValue + soilValueAddon + growingCropValue + techValue;
 
     // Ensure value doesn't go below a minimum (e.g., base land + some minimum soil value)
-    totalValue = Math.max(baseLandValue + (10 * soilValueMultiplier * grid.length * grid[0].length) , totalValue); // Floor slightly above pure base
+    totalValue = Math.max(baseLandValue + (10 * soilValueMultiplier * ownedPlots) , totalValue); // Floor slightly above pure base
 
     return Math.round(totalValue);
 }
 
+// Generate a random 32-bit seed for a new simulation run
+export function generateSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// Seedable pseudo-random number generator (mulberry32).
+// Each game owns one instance so a run can be replayed exactly from its seed.
+export class SeededRandom {
+    constructor(seed = generateSeed()) {
+        this.seed = seed >>> 0; // Coerce to unsigned 32-bit integer
+        this.state = this.seed;
+    }
+
+    // Returns a float in [0, 1), drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
 // Logger for debug info
 // (Logger class remains unchanged from provided code)
 export class Logger {
@@ -0,0 +1,119 @@
+/**
+ * California Climate Farmer - Surface Water Rights
+ *
+ * Tracks the farm's annual surface-water allocation from its irrigation district.
+ * Each new year the district announces an allocation (a percentage of the full
+ * entitlement) that shrinks as drought risk grows and after drought-heavy years.
+ * Irrigation draws on surface water before groundwater. Unused allocation is banked
+ * into next year (with conveyance losses), or can be sold on the water market while it's
+ * still this year's: banked carryover can only be used on the farm. The district still
+ * charges its delivery fee on water that is sold.
+ */
+
+// Quantities are in irrigations (one irrigation of one plot)
+const FULL_ENTITLEMENT = 2500;          // Allocation in a 100% year (regions set their own)
+const MIN_ALLOCATION_PERCENT = 0.05;    // Districts always deliver a minimum for health & safety
+const DROUGHT_PROBABILITY_CUT = 2.0;    // Allocation % lost per point of drought probability
+const DROUGHT_DAY_CUT = 0.01;           // Allocation % lost per drought day in the previous year
+
+const DELIVERY_COST_FACTOR = 0.5;       // Surface water costs half of base irrigation (no pumping lift) unless the region sets its own
+
+const BANKING_LIMIT = 1000;             // Max irrigations that can be carried over
+const BANKING_LOSS = 0.1;               // Fraction of carried-over water lost to seepage/evaporation
+
+const MARKET_BASE_PRICE = 15;           // $ per irrigation sold in a full-allocation year
+const MAX_SCARCITY_MULTIPLIER = 4;      // Price cap relative to the base price
+
+export class WaterRights {
+    constructor(options = {}) {
+        this.fullEntitlement = options.surfaceEntitlement ?? FULL_ENTITLEMENT;
+        this.deliveryCostFactor = options.deliveryCostFactor ?? DELIVERY_COST_FACTOR;
+        this.allocationPercent = 1.0;
+        this.allocation = this.fullEntitlement;
+        this.used = 0;
+        this.sold = 0;
+        this.banked = 0;
+        this.droughtDaysThisYear = 0;
+    }
+
+    // Surface water left this year, including banked carryover
+    available() {
+        return Math.max(0, this.allocation - this.used - this.sold) + this.banked;
+    }
+
+    // Current-year allocation that hasn't been used or sold (banked water can't be sold)
+    sellable() {
+        return Math.max(0, this.allocation - this.used - this.sold);
+    }
+
+    // Multiplier applied to the base irrigation cost for surface deliveries
+    getDeliveryCostMultiplier() {
+        return this.deliveryCostFactor;
+    }
+
+    // Draw `units` irrigations, current-year allocation first, then the bank. Returns false if short.
+    draw(units = 1) {
+        if (this.available() < units) return false;
+        const fromAllocation = Math.min(units, Math.max(0, this.allocation - this.used - this.sold));
+        this.used += fromAllocation;
+        this.banked -= units - fromAllocation;
+        return true;
+    }
+
+    // Water market price per irrigation: scarce (low-allocation) years pay more
+    getMarketPrice() {
+        const scarcity = Math.min(MAX_SCARCITY_MULTIPLIER, 1 / Math.max(this.allocationPercent, 0.01));
+        return Math.round(MARKET_BASE_PRICE * scarcity);
+    }
+
+    // Sell up to `units` of this year's unused allocation, paying `deliveryCost` per irrigation
+    // to the district. Returns { units, revenue } (revenue net of delivery).
+    sell(units, deliveryCost = 0) {
+        const toSell = Math.max(0, Math.min(Math.floor(units), this.sellable()));
+        if (toSell === 0) return { units: 0, revenue: 0 };
+        this.sold += toSell;
+        return { units: toSell, revenue: toSell * (this.getMarketPrice() - deliveryCost) };
+    }
+
+    // Grow (or shrink, for negative `units`) the full entitlement when land carrying district
+    // water changes hands. Takes effect from next year's allocation.
+    addEntitlement(units) {
+        this.fullEntitlement = Math.max(0, this.fullEntitlement + units);
+    }
+
+    recordDroughtDay() {
+        this.droughtDaysThisYear++;
+    }
+
+    // Bank leftover water and announce the new allocation. `supplyLoss` is the share of the
+    // entitlement permanently lost to the region's shrinking supply. Returns a message for the event log.
+    startNewYear(droughtProbability, supplyLoss = 0) {
+        const unused = Math.max(0, this.allocation - this.used - this.sold);
+        this.banked = Math.min(BANKING_LIMIT, Math.floor((this.banked + unused) * (1 - BANKING_LOSS)));
+
+        const percent = 1 - droughtProbability * DROUGHT_PROBABILITY_CUT - this.droughtDaysThisYear * DROUGHT_DAY_CUT;
+        this.allocationPercent = Math.max(MIN_ALLOCATION_PERCENT, Math.min(1, percent));
+        this.allocation = Math.round(this.fullEntitlement * (1 - supplyLoss) * this.allocationPercent);
+        this.used = 0;
+        this.sold = 0;
+        this.droughtDaysThisYear = 0;
+
+        const bankedMsg = this.banked > 0 ? ` ${this.banked} irrigations banked from last year.` : '';
+        return `Irrigation district announced a ${Math.round(this.allocationPercent * 100)}% surface water allocation (${this.allocation} irrigations).${bankedMsg}`;
+    }
+
+    serialize() {
+        return {
+            fullEntitlement: this.fullEntitlement, deliveryCostFactor: this.deliveryCostFactor, allocationPercent: this.allocationPercent, allocation: this.allocation, used: this.used,
+            sold: this.sold, banked: this.banked, droughtDaysThisYear: this.droughtDaysThisYear
+        };
+    }
+
+    static deserialize(data = {}) {
+        const rights = new WaterRights();
+        Object.keys(rights.serialize()).forEach(key => {
+            if (data[key] !== undefined) rights[key] = data[key];
+        });
+        return rights;
+    }
+}
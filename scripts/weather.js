@@ -0,0 +1,173 @@
+/**
+ * California Climate Farmer - Daily Weather
+ *
+ * Generates each day's weather: max/min temperature (F), precipitation (inches) and
+ * reference evapotranspiration ET0 (inches/day, Hargreaves method), plus an estimated daily mean
+ * relative humidity (%) for the pest and disease models. Temperatures follow
+ * a seasonal curve based on Central Valley (Fresno) normals, shifted by the climate's
+ * warming offset, a per-season anomaly (warm winters, hot summers) and day-to-day
+ * persistence. Days are generated a week ahead so the HUD can show a forecast.
+ */
+
+export const FORECAST_DAYS = 7;
+export const WATER_POINTS_PER_INCH = 20; // Cell water units per inch of water (an irrigation adds ~1.5")
+
+const DAYS_PER_YEAR = 360;
+const DAYS_PER_SEASON = 90;
+
+// Seasonal normals (defaults; regions override them through the climate's tmaxMean,
+// tmaxAmplitude, tminMean and tminAmplitude). Game day 1 is the start of Spring (~Mar 20),
+// so the hottest day (~Jul 20) is day 120 and the coldest (~Jan 15) is day 300.
+const TMAX_MEAN = 76;
+const TMAX_AMPLITUDE = 21;     // ~97F in July, ~55F in January
+const TMIN_MEAN = 48;
+const TMIN_AMPLITUDE = 14;     // ~62F in July, ~34F in January
+const HOTTEST_DAY = 120;
+const SOLSTICE_DAY = 92;       // Peak solar radiation (~Jun 21)
+
+const DAILY_PERSISTENCE = 0.7; // Share of yesterday's anomaly carried into today
+const DAILY_NOISE_F = 5;       // +/- range of the fresh daily anomaly
+const SEASON_ANOMALY_F = 3;    // +/- range of a whole season running warm or cool
+
+// Chance of a wet day as a multiple of climate.rainfallChance (Mediterranean: wet winters, dry summers),
+// unless the climate sets its own seasonRainFactors
+const SEASON_RAIN_FACTORS = [0.8, 0.07, 0.4, 1.4]; // Spring, Summer, Fall, Winter
+const MEAN_RAIN_INCHES = 0.3;  // Mean rainfall on a wet day
+const WET_DAY_COOLING_F = 6;   // Cloud and rain hold the high down
+const WET_DAY_ET0_FACTOR = 0.5;
+
+const CHILL_THRESHOLD_F = 45;  // Chill hours are hours below 45F
+
+// Humidity is estimated from the dew point, which sits below the overnight low by a share of the
+// daily temperature range (dry air heats and cools more)
+const DEW_POINT_DEPRESSION = 0.2;
+const WET_DAY_HUMIDITY_BOOST = 25;
+
+const SMOKE_COOLING_F = 5;     // A thick smoke layer blocks enough sun to hold the high down
+
+export class Weather {
+    constructor() {
+        this.days = []; // days[0] is today, followed by the forecast
+        this.dailyAnomaly = 0;
+        this.seasonAnomaly = 0;
+    }
+
+    get today() {
+        return this.days[0] || null;
+    }
+
+    getForecast() {
+        return this.days.slice(1, FORECAST_DAYS + 1);
+    }
+
+    // Make `absoluteDay` today, generating it and the week ahead as needed. Returns today's weather.
+    advanceTo(absoluteDay, climate, random) {
+        while (this.days.length > 0 && this.days[0].absoluteDay < absoluteDay) this.days.shift();
+        if (this.days.length === 0 || this.days[0].absoluteDay > absoluteDay) this.days = [];
+        let nextDay = this.days.length > 0 ? this.days[this.days.length - 1].absoluteDay + 1 : absoluteDay;
+        while (this.days.length < FORECAST_DAYS + 1) {
+            this.days.push(this.generateDay(nextDay++, climate, random));
+        }
+        return this.today;
+    }
+
+    generateDay(absoluteDay, climate, random) {
+        const dayOfYear = ((absoluteDay - 1) % DAYS_PER_YEAR) + 1;
+        const seasonIndex = Math.floor((dayOfYear - 1) / DAYS_PER_SEASON);
+        if ((dayOfYear - 1) % DAYS_PER_SEASON === 0) {
+            this.seasonAnomaly = (random() * 2 - 1) * SEASON_ANOMALY_F;
+        }
+        this.dailyAnomaly = this.dailyAnomaly * DAILY_PERSISTENCE + (random() * 2 - 1) * DAILY_NOISE_F;
+
+        const seasonalCurve = Math.cos(2 * Math.PI * (dayOfYear - HOTTEST_DAY) / DAYS_PER_YEAR);
+        const offset = (climate.warmingF || 0) + this.seasonAnomaly + this.dailyAnomaly;
+        let tmax = (climate.tmaxMean ?? TMAX_MEAN) + (climate.tmaxAmplitude ?? TMAX_AMPLITUDE) * seasonalCurve + offset;
+        const tmin = (climate.tminMean ?? TMIN_MEAN) + (climate.tminAmplitude ?? TMIN_AMPLITUDE) * seasonalCurve + offset * 0.8;
+
+        let precip = 0;
+        const rainChance = (climate.rainfallChance || 0) * (climate.seasonRainFactors || SEASON_RAIN_FACTORS)[seasonIndex];
+        if (random() < rainChance) {
+            precip = -Math.log(1 - random()) * MEAN_RAIN_INCHES; // Exponential: many light days, a few soakers
+            tmax -= WET_DAY_COOLING_F;
+        }
+        tmax = Math.max(tmax, tmin + 2);
+
+        let et0 = hargreavesET0(tmax, tmin, dayOfYear);
+        if (precip > 0) et0 *= WET_DAY_ET0_FACTOR;
+
+        let humidity = estimateHumidity(tmax, tmin);
+        if (precip > 0) humidity = Math.min(100, humidity + WET_DAY_HUMIDITY_BOOST);
+
+        return {
+            absoluteDay, dayOfYear,
+            tmax: round1(tmax), tmin: round1(tmin),
+            precip: Math.round(precip * 100) / 100,
+            et0: Math.round(et0 * 1000) / 1000,
+            humidity: Math.round(humidity)
+        };
+    }
+
+    // Heatwave events push today's temperatures above what the generator drew
+    applyHeatwave(extraF) {
+        const today = this.today;
+        if (!today || today.heatwave) return;
+        today.tmax = round1(today.tmax + extraF);
+        today.tmin = round1(today.tmin + extraF * 0.6);
+        today.et0 = Math.round(hargreavesET0(today.tmax, today.tmin, today.dayOfYear) * 1000) / 1000;
+        today.heatwave = true;
+    }
+
+    // Wildfire smoke blocks `shading` of today's sunlight: cooler highs and less evaporative demand.
+    // Crops read today.smokeShading to cut photosynthesis (see Cell.calculateGrowthRate).
+    applySmoke(shading) {
+        const today = this.today;
+        if (!today || today.smokeShading) return;
+        today.tmax = round1(Math.max(today.tmin + 2, today.tmax - SMOKE_COOLING_F * shading / 0.5));
+        today.et0 = Math.round(today.et0 * (1 - shading) * 1000) / 1000;
+        today.smokeShading = shading;
+    }
+
+    serialize() {
+        return { days: this.days.map(day => ({ ...day })), dailyAnomaly: this.dailyAnomaly, seasonAnomaly: this.seasonAnomaly };
+    }
+
+    static deserialize(data = {}) {
+        const weather = new Weather();
+        if (Array.isArray(data.days)) weather.days = data.days.map(day => ({ ...day }));
+        if (data.dailyAnomaly !== undefined) weather.dailyAnomaly = data.dailyAnomaly;
+        if (data.seasonAnomaly !== undefined) weather.seasonAnomaly = data.seasonAnomaly;
+        return weather;
+    }
+}
+
+// Hours below 45F in a day, assuming temperature moves linearly between the low and the high
+export function getChillHours(day) {
+    if (!day) return 0;
+    if (day.tmin >= CHILL_THRESHOLD_F) return 0;
+    if (day.tmax <= CHILL_THRESHOLD_F) return 24;
+    return 24 * (CHILL_THRESHOLD_F - day.tmin) / (day.tmax - day.tmin);
+}
+
+// Hargreaves reference ET (FAO-56 eq. 52) in inches/day. Extraterrestrial radiation Ra
+// (as mm/day of evaporation) is approximated for ~37N latitude.
+function hargreavesET0(tmaxF, tminF, dayOfYear) {
+    const tmaxC = (tmaxF - 32) / 1.8;
+    const tminC = (tminF - 32) / 1.8;
+    const ra = 11.5 + 5.5 * Math.cos(2 * Math.PI * (dayOfYear - SOLSTICE_DAY) / DAYS_PER_YEAR);
+    const et0mm = 0.0023 * ra * ((tmaxC + tminC) / 2 + 17.8) * Math.sqrt(Math.max(0, tmaxC - tminC));
+    return Math.max(0, et0mm / 25.4);
+}
+
+// Daily mean relative humidity (%): vapor pressure at the dew point over saturation at the mean temperature
+function estimateHumidity(tmaxF, tminF) {
+    const saturation = (tempF) => {
+        const tempC = (tempF - 32) / 1.8;
+        return 0.6108 * Math.exp(17.27 * tempC / (tempC + 237.3)); // kPa (FAO-56 eq. 11)
+    };
+    const dewPointF = tminF - DEW_POINT_DEPRESSION * (tmaxF - tminF);
+    return Math.min(100, 100 * saturation(dewPointF) / saturation((tmaxF + tminF) / 2));
+}
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}